@@ -2,45 +2,168 @@
 
 /**
  * Excel/CSV Data Remapper - Main Entry Point
- * 
- * A simplified interface for the data remapper that automatically resolves
- * file paths to the correct folders and makes the tool easier to use.
- * 
+ *
+ * Command-line interface of the data remapper. File names are resolved to
+ * the default folders (data/templates, data/input, config, data/output)
+ * unless an absolute path is given.
+ *
  * Usage:
- *   node data-remapper.js <template> <input> <config> <output>
- * 
- * Where:
- *   <template> - Name of template file (will search in data/templates/)
- *   <input>    - Name of input file (will search in data/input/)
- *   <config>   - Name of config file (will search in config/)
- *   <output>   - Name for output file (will save to data/output/)
- * 
+ *   node data-remapper.js <command> [arguments] [options]
+ *
+ * Commands:
+ *   remap            - Map an input file onto a template (the default command)
+ *   batch            - Map every file of a folder or glob with one template and config
+ *   watch            - Remap files as they arrive in the input folder
+ *   reverse          - Convert a remapped file back into the source schema of its config
+ *   validate-config  - Check a mapping config, optionally against a template and input
+ *   test-config      - Run the test cases of a mapping config
+ *   check-duplicates - Report duplicate values in columns of an input file
+ *   inspect          - Show the sheets, columns and sample rows of a file
+ *   init             - Create a starter mapping config
+ *   suggest          - Draft a mapping config by matching template headers to input columns
+ *
  * Example:
+ *   node data-remapper.js remap --template template.csv --input source-data.csv --config mapping-config.json --output result.csv
  *   node data-remapper.js template.csv source-data.csv mapping-config.json result.csv
+ *
+ * Output:
+ *   --quiet    - Only print errors
+ *   --verbose  - Also print debug details (files loaded, template headers, ...)
+ *   --json     - Print a single JSON run summary on stdout (log messages go to stderr)
+ *   --help     - Show the help of a command
+ *
+ * Exit codes: 0 success, 1 unexpected error, 2 invalid arguments, 3 config
+ * error, 4 input error (missing or unreadable template / input file),
+ * 5 validation failure (run aborted by its error policy, duplicates found,
+ * config tests failed).
  */
 
 const fs = require('fs');
 const path = require('path');
-const { remapWithConfig } = require('./src/advanced-remapper');
+const { remapWithConfig, remapWithConfigStream, remapIntoTemplate, reverseWithConfig, validateConfig, validateConfigFile } = require('./src/advanced-remapper');
+const { checkForDuplicates, readHeaderRow } = require('./src/excel-remapper');
+const { inspectFile } = require('./src/file-inspector');
+const { suggestConfig, DEFAULT_MIN_CONFIDENCE } = require('./src/config-suggester');
+const { remapBatch, findBatchInputs, BatchOptionsError } = require('./src/batch-remapper');
+const { watchFolder, DEFAULT_INTERVAL: DEFAULT_WATCH_INTERVAL } = require('./src/folder-watcher');
+const { ConfigValidationError } = require('./src/config-validator');
+const { testConfigFile } = require('./src/config-tests');
+const { compileUniqueKeys, NORMALIZERS } = require('./src/unique-keys');
+const { hasProfiles, resolveProfile, selectProfileForInput } = require('./src/mapping-profiles');
+const { isAuto, normalizeEncoding, resolveOutputEncoding } = require('./src/text-encoding');
+const { resolveFormat, formatNames } = require('./src/format-adapters');
+const { parseErrorRate, POLICY_MODES } = require('./src/error-policy');
+const logger = require('./src/logger');
 
 // Default folder paths
 const FOLDERS = {
   templates: path.join(__dirname, 'data', 'templates'),
   input: path.join(__dirname, 'data', 'input'),
   config: path.join(__dirname, 'config'),
-  output: path.join(__dirname, 'data', 'output')
+  output: path.join(__dirname, 'data', 'output'),
+  archive: path.join(__dirname, 'data', 'archive'), // Inputs processed by watch
+  errors: path.join(__dirname, 'data', 'errors') // Inputs watch could not process
 };
 
-// Ensure all folders exist
-Object.values(FOLDERS).forEach(folder => {
-  if (!fs.existsSync(folder)) {
-    fs.mkdirSync(folder, { recursive: true });
-    console.log(`Created folder: ${folder}`);
+// Run log of the watch command (JSON lines)
+const WATCH_LOG_FILE = path.join(__dirname, 'data', 'watch-log.jsonl');
+
+// Exit codes, so schedulers can tell the kinds of failure apart
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  config: 3,
+  input: 4,
+  validation: 5
+};
+
+// Flags that take a value (`--flag value` or `--flag=value`); all other flags are switches
+const VALUE_FLAGS = [
+  'template', 'input', 'config', 'output', 'sheet', 'delimiter', 'column', 'rows',
+  'template-sheet', 'input-sheet', 'output-sheet', 'errors-sheet', 'start-cell',
+  'on-error', 'max-error-rate', 'max-errors', 'rejects-file',
+  'output-dir', 'output-pattern', 'concurrency', 'combine',
+  'match', 'input-dir', 'archive-dir', 'error-dir', 'log-file', 'interval', 'profile',
+  'min-confidence', 'encoding', 'output-encoding', 'input-format', 'output-format', 'sample', 'key', 'normalize'
+];
+
+// Options accepted by every command
+const GLOBAL_OPTIONS = [
+  ['--quiet, --verbose', 'Only print errors / also print debug details'],
+  ['--json', 'Print a single JSON summary on stdout (log messages go to stderr)'],
+  ['--help', 'Show this help']
+];
+
+/**
+ * Error of a command, with the exit code the process should end with
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [exitCode=EXIT_CODES.error] - Exit code (see EXIT_CODES)
+   */
+  constructor(message, exitCode = EXIT_CODES.error) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
   }
-});
+}
+
+// Ensure all folders exist
+function ensureFolders() {
+  Object.values(FOLDERS).forEach(folder => {
+    if (!fs.existsSync(folder)) {
+      fs.mkdirSync(folder, { recursive: true });
+      logger.info(`Created folder: ${folder}`);
+    }
+  });
+}
+
+// Sets the log level from --quiet / --verbose; --json keeps stdout free for the run summary
+function configureLogging(flags) {
+  const level = flags.verbose ? 'debug' : flags.quiet ? 'error' : flags.json ? 'warn' : 'info';
+  logger.setLogger(logger.createConsoleLogger({ level, stderr: Boolean(flags.json) }));
+}
+
+// Prints the machine-readable summary of a run (--json) as the only output on stdout
+function printRunSummary(run, fields) {
+  const finishedAt = new Date();
+  const summary = {
+    command: run.command,
+    mode: run.mode,
+    ...fields,
+    files: { ...run.files, ...fields.files },
+    timings: {
+      startedAt: run.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - run.startedAt
+    }
+  };
+  process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+}
+
+// Prints rows as aligned columns under a header line; long cells are cut
+function printTable(header, rows, maxWidth = 40) {
+  const cut = cell => {
+    const text = String(cell).replace(/\s+/g, ' ');
+    return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+  };
+  const table = [header, ...rows].map(row => row.map(cut));
+  const widths = header.map((_, column) => Math.max(...table.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  logger.info(formatRow(table[0]));
+  logger.info(widths.map(width => '-'.repeat(width)).join('  '));
+  table.slice(1).forEach(row => logger.info(formatRow(row)));
+}
 
 // Helper function to search for a file in a folder
 function findFile(filename, folder) {
+  // Absolute paths are used as they are
+  if (path.isAbsolute(filename)) {
+    return fs.existsSync(filename) ? filename : null;
+  }
+  
   // First, check if the file exists exactly as specified
   const exactPath = path.join(folder, filename);
   if (fs.existsSync(exactPath)) {
@@ -55,135 +178,1490 @@ function findFile(filename, folder) {
     return path.join(folder, match);
   }
   
+  // Finally, accept a path relative to the current directory
+  const relativePath = path.resolve(filename);
+  if (fs.existsSync(relativePath)) {
+    return relativePath;
+  }
+  
   // If file doesn't exist anywhere
   return null;
 }
 
-// Main function
-function main() {
-  // Display the app name and version
-  console.log('\n===== Excel/CSV Data Remapper =====\n');
-  
-  // Handle command line arguments
-  const args = process.argv.slice(2);
-  
-  if (args.length < 3) {
-    console.log('Usage:');
-    console.log('  node data-remapper.js <template> <input> <config> [output]');
-    console.log('\nWhere:');
-    console.log('  <template> - Name of template file (will search in data/templates/)');
-    console.log('  <input>    - Name of input file (will search in data/input/)');
-    console.log('  <config>   - Name of config file (will search in config/)');
-    console.log('  [output]   - Name for output file (will save to data/output/)');
-    console.log('              If not provided, will use input filename with "-mapped" suffix');
-    console.log('\nExample:');
-    console.log('  node data-remapper.js template.csv customer-data.csv basic-config.json mapped-customers.csv');
-    return;
+// Finds a file the command needs or fails with the exit code for its kind (config or input)
+function requireFile(filename, folder, kind) {
+  const filePath = findFile(filename, folder);
+  if (!filePath) {
+    const exitCode = kind === 'Config' ? EXIT_CODES.config : EXIT_CODES.input;
+    throw new CliError(`${kind} file "${filename}" not found in ${folder}`, exitCode);
   }
+  logger.debug(`✓ ${kind}: ${filePath}`);
+  return filePath;
+}
+
+// Resolves where an output file goes: absolute paths as they are, names into the output folder
+function resolveOutputPath(filename) {
+  return path.isAbsolute(filename) ? filename : path.join(FOLDERS.output, filename);
+}
+
+// Splits command line arguments into positional arguments and --flag / --flag=value options
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
   
-  // Parse arguments
-  const [templateName, inputName, configName, outputName] = args;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (match && match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (match && VALUE_FLAGS.includes(match[1])) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw new CliError(`Option --${match[1]} needs a value`, EXIT_CODES.usage);
+      }
+      flags[match[1]] = argv[++i];
+    } else if (match) {
+      flags[match[1]] = true;
+    } else {
+      positional.push(arg);
+    }
+  }
   
-  // Default output name if not provided
-  const defaultOutputName = inputName.replace(/(\.[^.]+)$/, '-mapped$1');
-  const finalOutputName = outputName || defaultOutputName;
+  return { positional, flags };
+}
+
+// Reads the CSV delimiter given with --delimiter ("tab" or "\t" for tabs)
+function parseDelimiter(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === 'tab' || value === '\\t') {
+    return '\t';
+  }
+  if (value === '') {
+    throw new CliError('--delimiter must not be empty', EXIT_CODES.usage);
+  }
+  return value;
+}
+
+// Reads the input encoding given with --encoding ("auto" to detect it)
+function parseEncoding(value) {
+  if (typeof value !== 'string' || isAuto(value)) {
+    return value;
+  }
+  try {
+    return normalizeEncoding(value);
+  } catch (error) {
+    throw new CliError(`--encoding: ${error.message}`, EXIT_CODES.usage);
+  }
+}
+
+// Builds the output encoding overrides from --output-encoding and --bom
+function parseOutputFlags(flags) {
+  const output = {};
+  if (typeof flags['output-encoding'] === 'string') {
+    output.encoding = flags['output-encoding'];
+  }
+  if (flags.bom) {
+    output.bom = true;
+  }
+  try {
+    resolveOutputEncoding(output);
+  } catch (error) {
+    throw new CliError(`--output-encoding: ${error.message}`, EXIT_CODES.usage);
+  }
+  return output;
+}
+
+// Reads the file formats given with --input-format and --output-format (default: by file extension)
+function parseFormatFlags(flags) {
+  const formats = {};
+  ['input', 'output'].forEach(role => {
+    const name = flags[`${role}-format`];
+    if (typeof name !== 'string') {
+      return;
+    }
+    if (!formatNames().includes(name)) {
+      throw new CliError(`--${role}-format: unknown format "${name}". Supported formats: ${formatNames().join(', ')}`, EXIT_CODES.usage);
+    }
+    formats[role] = name;
+  });
+  return formats;
+}
+
+// Builds the error policy overrides from --on-error, --max-error-rate, --max-errors and --rejects-file
+function parseErrorPolicyFlags(flags) {
+  const errorPolicy = {};
   
-  // Resolve file paths
-  console.log('Resolving file paths...');
+  if (typeof flags['on-error'] === 'string') {
+    // Accept the kebab-case spelling of the config modes (fail-fast -> failFast)
+    errorPolicy.mode = flags['on-error'].replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (!POLICY_MODES.includes(errorPolicy.mode)) {
+      throw new CliError(`--on-error must be one of continue, fail-fast, skip or quarantine, got "${flags['on-error']}"`, EXIT_CODES.usage);
+    }
+  }
+  if (typeof flags['max-error-rate'] === 'string') {
+    try {
+      parseErrorRate(flags['max-error-rate']);
+    } catch (error) {
+      throw new CliError(`--max-error-rate: ${error.message}`, EXIT_CODES.usage);
+    }
+    errorPolicy.maxErrorRate = flags['max-error-rate'];
+  }
+  if (typeof flags['max-errors'] === 'string') {
+    const maxErrors = Number(flags['max-errors']);
+    if (!Number.isInteger(maxErrors) || maxErrors < 0) {
+      throw new CliError(`--max-errors must be a whole number, got "${flags['max-errors']}"`, EXIT_CODES.usage);
+    }
+    errorPolicy.maxErrors = maxErrors;
+  }
+  if (typeof flags['rejects-file'] === 'string') {
+    errorPolicy.rejectsFile = flags['rejects-file'];
+  }
   
-  // Find template file
-  const templatePath = findFile(templateName, FOLDERS.templates);
-  if (!templatePath) {
-    console.error(`Error: Template file "${templateName}" not found in ${FOLDERS.templates}`);
-    return;
+  return errorPolicy;
+}
+
+// -----------------------------
+// remap
+// -----------------------------
+
+// Builds the run options of remap and batch from the sheet, CSV format, error report and error policy flags
+function buildRemapOptions(flags) {
+  // Sheet selection for Excel templates, inputs and outputs (--sheet is short for --input-sheet)
+  const sheets = {};
+  ['template', 'input', 'output', 'errors'].forEach(kind => {
+    if (typeof flags[`${kind}-sheet`] === 'string') {
+      sheets[kind] = flags[`${kind}-sheet`];
+    }
+  });
+  if (typeof flags.sheet === 'string' && sheets.input === undefined) {
+    sheets.input = flags.sheet;
   }
-  console.log(`✓ Template: ${templatePath}`);
   
-  // Find input file
-  const inputPath = findFile(inputName, FOLDERS.input);
-  if (!inputPath) {
-    console.error(`Error: Input file "${inputName}" not found in ${FOLDERS.input}`);
-    return;
+  const csvOptions = {};
+  const delimiter = parseDelimiter(flags.delimiter);
+  if (delimiter) {
+    csvOptions.delimiter = delimiter;
+  }
+  const encoding = parseEncoding(flags.encoding);
+  if (encoding) {
+    csvOptions.encoding = encoding;
   }
-  console.log(`✓ Input: ${inputPath}`);
   
-  // Find config file
-  const configPath = findFile(configName, FOLDERS.config);
-  if (!configPath) {
-    console.error(`Error: Config file "${configName}" not found in ${FOLDERS.config}`);
-    return;
+  return {
+    sheets,
+    errorReport: flags['error-report'], // true, "csv" or "json"
+    errorPolicy: parseErrorPolicyFlags(flags),
+    csvOptions,
+    output: parseOutputFlags(flags),
+    formats: parseFormatFlags(flags),
+    profile: typeof flags.profile === 'string' ? flags.profile : undefined
+  };
+}
+
+// Finds the template of the config profile used for an input, when no template is given
+function profileTemplatePath(configPath, inputPath, profileName) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigValidationError(configPath, [{ path: '$', message: `Cannot read configuration: ${error.message}` }]);
   }
-  console.log(`✓ Config: ${configPath}`);
   
-  // Set output path
-  const outputPath = path.join(FOLDERS.output, finalOutputName);
-  console.log(`✓ Output: ${outputPath}`);
+  let profile = null;
+  if (hasProfiles(config)) {
+    try {
+      profile = resolveProfile(config, selectProfileForInput(config, profileName, inputPath).name);
+    } catch (error) {
+      throw new ConfigValidationError(configPath, [{ path: '$.profiles', message: error.message }]);
+    }
+  }
+  if (!profile || !profile.template) {
+    throw new CliError('remap needs a template file (or a config profile with a "template")', EXIT_CODES.usage);
+  }
   
-  // Run the remapping with resolved paths
-  console.log('\nStarting data remapping process...');
+  // Relative to the config file, or a name in the template folder
+  const besideConfig = path.resolve(path.dirname(configPath), profile.template);
+  return fs.existsSync(besideConfig) ? besideConfig : requireFile(profile.template, FOLDERS.templates, 'Template');
+}
+
+// Prints the outcome of a remapping run
+function reportResult(result, run) {
+  const { preview } = result.stats;
+  if (run.dryRun) {
+    logger.info('\n✅ Dry run completed successfully (no files written)');
+    logger.info(preview
+      ? `Previewed ${preview.rows} of ${preview.of} input rows (${preview.sample ? 'spread over the input' : 'the first ones'}), ${result.stats.outputRows} rows would be written`
+      : `Processed ${result.stats.totalRows} rows of data, ${result.stats.outputRows} rows would be written`);
+  } else {
+    logger.info('\n✅ Remapping completed successfully!');
+    logger.info(`Processed ${result.stats.totalRows} rows of data`);
+  }
   
-  try {
-    const result = remapWithConfig(templatePath, inputPath, configPath, outputPath);
-    
-    // Clear console output to remove duplicate messages
-    console.clear();
-    console.log('\n===== Excel/CSV Data Remapper =====');
-    
-    console.log('\n✅ Remapping completed successfully!');
-    console.log(`Processed ${result.stats.totalRows} rows of data`);
+  // Process and display issues without duplication
+  const issues = [];
+  
+  // Add ID validation issues
+  if (result.validation && result.validation.validationMessages) {
+    result.validation.validationMessages.forEach(msg => {
+      issues.push({
+        type: 'ID Validation',
+        message: msg
+      });
+    });
+  }
+  
+  // Add CSV parsing issues (de-duplicated)
+  if (result.stats.parseErrors) {
+    result.stats.parseErrors.forEach(err => {
+      issues.push({
+        type: 'CSV Format',
+        message: `Row ${err.row}: ${err.message}`
+      });
+    });
+  }
+  
+  // Add validation rule issues (the full list goes to the error report)
+  if (result.stats.validationErrors) {
+    issues.push({
+      type: 'Data Validation',
+      message: `${result.stats.validationErrors} failed rule(s) in ${result.stats.invalidRows} row(s)`
+    });
+  }
+  
+  // Rows dropped by the error policy
+  if (result.stats.skippedRows) {
+    issues.push({ type: 'Error Policy', message: `${result.stats.skippedRows} row(s) with errors skipped` });
+  }
+  if (result.stats.quarantinedRows) {
+    issues.push({ type: 'Error Policy', message: `${result.stats.quarantinedRows} row(s) with errors quarantined` });
+  }
+  
+  // If we have issues, display them in a clean format
+  if (issues.length > 0) {
+    logger.info(`\n⚠️ Issues Found: ${issues.length}`);
     
-    // Process and display issues without duplication
-    const issues = [];
+    // Group issues by type
+    const issuesByType = {};
+    issues.forEach(issue => {
+      if (!issuesByType[issue.type]) {
+        issuesByType[issue.type] = [];
+      }
+      issuesByType[issue.type].push(issue.message);
+    });
     
-    // Add ID validation issues
-    if (result.validation && result.validation.validationMessages) {
-      result.validation.validationMessages.forEach(msg => {
-        issues.push({
-          type: 'ID Validation',
-          message: msg
-        });
+    // Display issues by type
+    Object.keys(issuesByType).forEach(type => {
+      logger.info(`\n${type} Issues:`);
+      issuesByType[type].forEach(message => {
+        logger.info(`  - ${message}`);
       });
+    });
+  }
+  
+  if (!run.dryRun) {
+    logger.info(`\nOutput file saved to: ${run.files.output}`);
+  }
+  if (result.errorReport) {
+    logger.info(`Error report saved to: ${result.errorReport}`);
+  }
+  if (result.rejectsFile) {
+    logger.info(`Rejected rows saved to: ${result.rejectsFile}`);
+  }
+  
+  if (run.json) {
+    printRunSummary(run, {
+      status: 'success',
+      dryRun: run.dryRun,
+      stats: result.stats,
+      validation: result.validation,
+      errorCount: result.errors ? result.errors.length : 0,
+      ...(run.dryRun && !result.diff ? { rows: previewRows(result, run.previewLimit) } : {}),
+      ...(result.diff ? { diff: result.diff } : {}),
+      files: { errorReport: result.errorReport || null, rejectsFile: result.rejectsFile || null }
+    });
+  }
+}
+
+// Reads a positive row count given with --rows or --sample
+function parseRowCount(flags, name) {
+  if (flags[name] === undefined) {
+    return undefined;
+  }
+  const count = Number(flags[name]);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new CliError(`--${name} must be a whole number of at least 1, got "${flags[name]}"`, EXIT_CODES.usage);
+  }
+  return count;
+}
+
+// The first rows of a dry run's result as objects keyed by template header
+function previewRows(result, limit) {
+  return result.data.slice(0, limit).map(row => Object.fromEntries(result.headers.map((header, index) => [header, row[index]])));
+}
+
+// Shows the first rows a dry run would write
+function printPreview(result, limit) {
+  const rows = previewRows(result, limit);
+  if (rows.length === 0) {
+    return;
+  }
+  const cell = value => (value === undefined || value === null ? '' : value instanceof Date ? value.toISOString() : String(value));
+  logger.info(`\nFirst ${rows.length} of ${result.data.length} output row(s):\n`);
+  printTable(result.headers, rows.map(row => result.headers.map(header => cell(row[header]))));
+}
+
+// Lists the rows a run would add, remove and change in the existing output
+function printDiff(diff, limit) {
+  const { added, removed, changed } = diff;
+  logger.info(`\nCompared with ${diff.file} (key: ${diff.keyColumns.join(', ')})`);
+  logger.info(`  ${added.length} added, ${removed.length} removed, ${changed.length} changed, ${diff.unchanged} unchanged row(s)`);
+  if (diff.addedColumns.length > 0) {
+    logger.info(`  New columns: ${diff.addedColumns.join(', ')}`);
+  }
+  if (diff.removedColumns.length > 0) {
+    logger.info(`  Columns no longer written: ${diff.removedColumns.join(', ')}`);
+  }
+  if (diff.duplicateKeys.length > 0) {
+    logger.warn(`  ⚠️ Keys found more than once (paired in file order): ${diff.duplicateKeys.slice(0, 10).join(', ')}${diff.duplicateKeys.length > 10 ? ', ...' : ''}`);
+  }
+  
+  const more = (entries, kind) => {
+    if (entries.length > limit) {
+      logger.info(`  ... and ${entries.length - limit} more ${kind} row(s) (--json lists all)`);
     }
-    
-    // Add CSV parsing issues (de-duplicated)
-    if (result.stats.parseErrors) {
-      result.stats.parseErrors.forEach(err => {
-        issues.push({
-          type: 'CSV Format',
-          message: `Row ${err.row}: ${err.message}`
-        });
-      });
+  };
+  if (changed.length > 0) {
+    logger.info('\nChanged rows:\n');
+    printTable(['Key', 'Column', 'Before', 'After'], changed.slice(0, limit).flatMap(({ key, changes }) =>
+      changes.map((change, index) => [index === 0 ? key : '', change.column, change.before, change.after])));
+    more(changed, 'changed');
+  }
+  [['Added', added], ['Removed', removed]].forEach(([title, entries]) => {
+    if (entries.length === 0) {
+      return;
     }
-    
-    // If we have issues, display them in a clean format
-    if (issues.length > 0) {
-      console.log(`\n⚠️ Issues Found: ${issues.length}`);
-      
-      // Group issues by type
-      const issuesByType = {};
-      issues.forEach(issue => {
-        if (!issuesByType[issue.type]) {
-          issuesByType[issue.type] = [];
-        }
-        issuesByType[issue.type].push(issue.message);
-      });
-      
-      // Display issues by type
-      Object.keys(issuesByType).forEach(type => {
-        console.log(`\n${type} Issues:`);
-        issuesByType[type].forEach(message => {
-          console.log(`  - ${message}`);
-        });
+    const columns = Object.keys(entries[0].row);
+    logger.info(`\n${title} rows:\n`);
+    printTable(columns, entries.slice(0, limit).map(({ row }) => columns.map(column => (row[column] === undefined || row[column] === null ? '' : String(row[column])))));
+    more(entries, title.toLowerCase());
+  });
+}
+
+// Maps an input file onto a template
+async function remapCommand(args, flags, run) {
+  const templateName = flags.template || args[0];
+  const inputName = flags.input || args[1];
+  const configName = flags.config || args[2];
+  const outputName = flags.output || args[3];
+  
+  if (!inputName || !configName) {
+    throw new CliError('remap needs a template, an input and a config file', EXIT_CODES.usage);
+  }
+  
+  const streamMode = Boolean(flags.stream);
+  const intoTemplate = Boolean(flags['into-template']);
+  
+  // A preview (--rows, --sample) or a diff never writes: a partial or unchecked output would replace the real one
+  const firstRows = parseRowCount(flags, 'rows');
+  const sampleRows = parseRowCount(flags, 'sample');
+  if (firstRows && sampleRows) {
+    throw new CliError('--rows and --sample cannot be combined', EXIT_CODES.usage);
+  }
+  const diffMode = Boolean(flags.diff);
+  run.dryRun = Boolean(flags['dry-run'] || firstRows || sampleRows || diffMode);
+  if (run.dryRun && streamMode) {
+    throw new CliError('--dry-run, --rows, --sample and --diff cannot be combined with --stream', EXIT_CODES.usage);
+  }
+  run.previewLimit = firstRows || sampleRows || 10;
+  
+  const options = buildRemapOptions(flags);
+  if (firstRows || sampleRows) {
+    options.preview = { rows: firstRows || sampleRows, sample: Boolean(sampleRows) };
+  }
+  
+  // Resolve file paths
+  logger.debug('Resolving file paths...');
+  const inputPath = requireFile(inputName, FOLDERS.input, 'Input');
+  const configPath = requireFile(configName, FOLDERS.config, 'Config');
+  const templatePath = templateName
+    ? requireFile(templateName, FOLDERS.templates, 'Template')
+    : profileTemplatePath(configPath, inputPath, options.profile);
+  
+  // Default output name if not provided (with the extension of --output-format, if given)
+  const outputExt = options.formats.output ? resolveFormat(null, options.formats.output).extensions[0] : null;
+  const defaultOutputName = path.basename(inputName).replace(/(\.[^.]+)$/, ext => `-mapped${outputExt || ext}`);
+  const outputPath = resolveOutputPath(outputName || defaultOutputName);
+  logger.debug(`✓ Output: ${outputPath}`);
+  
+  // --diff compares with the output the run would replace, --diff=<file> with another one
+  if (diffMode) {
+    const diffPath = typeof flags.diff === 'string'
+      ? findFile(flags.diff, FOLDERS.output) || requireFile(flags.diff, FOLDERS.input, 'Previous output')
+      : outputPath;
+    if (!fs.existsSync(diffPath)) {
+      throw new CliError(`No previous output to compare with: ${diffPath}`, EXIT_CODES.input);
+    }
+    const keyColumns = typeof flags.key === 'string' ? flags.key.split(',').map(column => column.trim()).filter(Boolean) : undefined;
+    options.diff = { file: diffPath, keyColumns };
+  }
+  
+  run.files = { template: templatePath, input: inputPath, config: configPath, output: run.dryRun ? null : outputPath };
+  run.mode = streamMode ? 'stream' : intoTemplate ? 'template' : 'standard';
+  
+  // Run the remapping with resolved paths
+  logger.info('\nStarting data remapping process...');
+  
+  let result;
+  if (run.dryRun) {
+    // Map in memory only: no output file, error report or rejects file
+    result = remapWithConfig(templatePath, inputPath, configPath, null, options);
+  } else if (streamMode) {
+    result = await remapWithConfigStream(templatePath, inputPath, configPath, outputPath, {
+      ...options,
+      onProgress: progress => {
+        const percent = progress.totalBytes ? Math.round(progress.bytesRead / progress.totalBytes * 100) : 0;
+        logger.info(`Processed ${progress.rowsProcessed} rows (${percent}%)`);
+      }
+    });
+  } else if (intoTemplate) {
+    const startCell = typeof flags['start-cell'] === 'string' ? flags['start-cell'] : undefined;
+    result = await remapIntoTemplate(templatePath, inputPath, configPath, outputPath, { ...options, startCell });
+  } else {
+    result = remapWithConfig(templatePath, inputPath, configPath, outputPath, options);
+  }
+  
+  if (result.diff) {
+    printDiff(result.diff, run.previewLimit);
+  } else if (run.dryRun) {
+    printPreview(result, run.previewLimit);
+  }
+  reportResult(result, run);
+}
+
+// -----------------------------
+// batch
+// -----------------------------
+
+// Prints the per-file results and totals of a batch as a table
+function printBatchTable(batch) {
+  const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+  const count = (file, key) => (file.stats && file.stats[key] !== undefined ? String(file.stats[key]) : '-');
+  const rows = batch.files.map(file => [
+    path.basename(file.input),
+    file.status === 'success' ? 'ok' : 'failed',
+    count(file, 'totalRows'),
+    count(file, 'outputRows'),
+    count(file, 'errorRows'),
+    seconds(file.durationMs)
+  ]);
+  const header = ['File', 'Status', 'Rows', 'Output rows', 'Error rows', 'Time'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  
+  // Names and status left-aligned, numbers right-aligned
+  const formatRow = row => row.map((cell, column) => (column < 2 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ');
+  logger.info(`\n${formatRow(header)}`);
+  logger.info(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => logger.info(formatRow(row)));
+  
+  const { totals } = batch;
+  logger.info(`\nTotal: ${totals.files} file(s), ${totals.succeeded} succeeded, ${totals.failed} failed; ` +
+    `${totals.totalRows} rows in, ${totals.outputRows} rows out, ${totals.errorRows} error rows (${seconds(totals.durationMs)})`);
+  
+  batch.files.filter(file => file.status === 'failed').forEach(file => {
+    logger.error(`  ❌ ${path.basename(file.input)}: ${file.error.message}`);
+  });
+}
+
+// Maps many input files (a folder, glob patterns or a list of files) with one template and config
+async function batchCommand(args, flags, run) {
+  // Positional form: <template> <input...> <config>, so globs expanded by the shell work too
+  const templateName = flags.template || args[0];
+  const configName = flags.config || args[args.length - 1];
+  const inputPatterns = flags.input ? [flags.input] : args.slice(flags.template ? 0 : 1, flags.config ? args.length : -1);
+  
+  if (!templateName || !configName || inputPatterns.length === 0 || (!flags.template && !flags.config && args.length < 3)) {
+    throw new CliError('batch needs a template, one or more inputs (a folder, glob or files) and a config file', EXIT_CODES.usage);
+  }
+  
+  const streamMode = Boolean(flags.stream);
+  const intoTemplate = Boolean(flags['into-template']);
+  const concurrency = flags.concurrency === undefined ? undefined : Number(flags.concurrency);
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new CliError(`--concurrency must be a whole number of at least 1, got "${flags.concurrency}"`, EXIT_CODES.usage);
+  }
+  if (typeof flags.combine === 'string' && intoTemplate) {
+    throw new CliError('--combine cannot be combined with --into-template', EXIT_CODES.usage);
+  }
+  
+  const options = buildRemapOptions(flags);
+  if (intoTemplate && typeof flags['start-cell'] === 'string') {
+    options.startCell = flags['start-cell'];
+  }
+  
+  const templatePath = requireFile(templateName, FOLDERS.templates, 'Template');
+  const configPath = requireFile(configName, FOLDERS.config, 'Config');
+  
+  // Relative patterns are looked up in the input folder first, then in the current directory
+  const inputPaths = [...new Set(inputPatterns.flatMap(pattern => {
+    const found = findBatchInputs(pattern, FOLDERS.input);
+    return found.length > 0 ? found : findBatchInputs(pattern, process.cwd());
+  }))];
+  if (inputPaths.length === 0) {
+    throw new CliError(`No input files match ${inputPatterns.join(', ')}`, EXIT_CODES.input);
+  }
+  
+  const outputDir = typeof flags['output-dir'] === 'string' ? resolveOutputPath(flags['output-dir']) : FOLDERS.output;
+  const combinePath = typeof flags.combine === 'string' ? path.resolve(outputDir, flags.combine) : null;
+  run.mode = streamMode ? 'stream' : intoTemplate ? 'template' : 'standard';
+  run.files = { template: templatePath, config: configPath, outputDir, combined: combinePath };
+  
+  let batch;
+  try {
+    batch = await remapBatch(templatePath, inputPaths, configPath, {
+      outputDir,
+      outputPattern: typeof flags['output-pattern'] === 'string' ? flags['output-pattern'] : undefined,
+      concurrency,
+      mode: run.mode,
+      combine: combinePath,
+      remapOptions: options,
+      onFileDone: file => logger.info(file.status === 'success'
+        ? `✓ ${path.basename(file.input)} -> ${path.basename(file.output)}`
+        : `✗ ${path.basename(file.input)} failed`)
+    });
+  } catch (error) {
+    // Options that do not fit the files (clashing output names, ...) are usage errors
+    throw error instanceof BatchOptionsError ? new CliError(error.message, EXIT_CODES.usage) : error;
+  }
+  
+  printBatchTable(batch);
+  if (batch.combinedOutput) {
+    logger.info(`Combined output saved to: ${batch.combinedOutput.file}`);
+  }
+  
+  // The exit code of the first failed file, as if it had been remapped on its own
+  const firstFailure = batch.files.find(file => file.status === 'failed');
+  if (run.json) {
+    printRunSummary(run, {
+      status: !firstFailure ? 'success' : batch.totals.succeeded > 0 ? 'partial' : 'failed',
+      totals: batch.totals,
+      results: batch.files,
+      combinedOutput: batch.combinedOutput
+    });
+  }
+  return firstFailure ? exitCodeFor(firstFailure.error) : EXIT_CODES.success;
+}
+
+// -----------------------------
+// watch
+// -----------------------------
+
+// Rule settings that are passed on as run options
+const WATCH_RULE_OPTIONS = ['sheets', 'csvOptions', 'output', 'formats', 'errorPolicy', 'errorReport', 'profile'];
+
+// Reads the rules of a watch file: { interval, inputDir, ..., rules: [{ match, template, config, output, stream, ... }] }
+function loadWatchFile(watchPath) {
+  let watchDef;
+  try {
+    watchDef = JSON.parse(fs.readFileSync(watchPath, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read watch file ${watchPath}: ${error.message}`, EXIT_CODES.config);
+  }
+  
+  if (!Array.isArray(watchDef.rules) || watchDef.rules.length === 0) {
+    throw new CliError(`Watch file ${watchPath} needs a "rules" list`, EXIT_CODES.config);
+  }
+  watchDef.rules.forEach((rule, index) => {
+    if (!rule.template || !rule.config) {
+      throw new CliError(`Rule ${index + 1} of ${watchPath} needs a "template" and a "config"`, EXIT_CODES.config);
+    }
+  });
+  return watchDef;
+}
+
+// Remaps the files arriving in the input folder until stopped (or once with --once)
+async function watchCommand(args, flags, run) {
+  const watchName = args[0];
+  if (!watchName && !(flags.template && flags.config)) {
+    throw new CliError('watch needs a watch file with rules, or --template and --config', EXIT_CODES.usage);
+  }
+  
+  const interval = flags.interval === undefined ? undefined : Number(flags.interval);
+  if (interval !== undefined && !(interval > 0)) {
+    throw new CliError(`--interval must be a number of seconds, got "${flags.interval}"`, EXIT_CODES.usage);
+  }
+  const concurrency = flags.concurrency === undefined ? undefined : Number(flags.concurrency);
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new CliError(`--concurrency must be a whole number of at least 1, got "${flags.concurrency}"`, EXIT_CODES.usage);
+  }
+  
+  // Rules from the watch file, or a single rule from --template, --config and --match
+  const watchPath = watchName ? requireFile(watchName, FOLDERS.config, 'Config') : null;
+  const watchDef = watchPath
+    ? loadWatchFile(watchPath)
+    : { rules: [{ match: flags.match || '*', template: flags.template, config: flags.config, stream: Boolean(flags.stream) }] };
+  
+  // Options given on the command line apply to every rule
+  const flagOptions = buildRemapOptions(flags);
+  const rules = watchDef.rules.map(rule => {
+    const ruleOptions = Object.fromEntries(WATCH_RULE_OPTIONS.filter(key => rule[key] !== undefined).map(key => [key, rule[key]]));
+    return {
+      match: rule.match || '*',
+      template: requireFile(rule.template, FOLDERS.templates, 'Template'),
+      config: requireFile(rule.config, FOLDERS.config, 'Config'),
+      output: typeof flags['output-pattern'] === 'string' ? flags['output-pattern'] : rule.output,
+      mode: rule.stream || flags.stream ? 'stream' : 'standard',
+      options: {
+        ...ruleOptions,
+        sheets: { ...ruleOptions.sheets, ...flagOptions.sheets },
+        csvOptions: { ...ruleOptions.csvOptions, ...flagOptions.csvOptions },
+        output: { ...ruleOptions.output, ...flagOptions.output },
+        formats: { ...ruleOptions.formats, ...flagOptions.formats },
+        errorPolicy: { ...ruleOptions.errorPolicy, ...flagOptions.errorPolicy },
+        errorReport: flagOptions.errorReport !== undefined ? flagOptions.errorReport : ruleOptions.errorReport,
+        profile: flagOptions.profile || ruleOptions.profile
+      }
+    };
+  });
+  
+  // Folders from the flags, then the watch file (relative to the project folder), then the defaults
+  const folder = (flag, key, fallback) => (typeof flags[flag] === 'string' ? path.resolve(flags[flag])
+    : watchDef[key] ? path.resolve(__dirname, watchDef[key]) : fallback);
+  const watchOptions = {
+    inputDir: folder('input-dir', 'inputDir', FOLDERS.input),
+    outputDir: folder('output-dir', 'outputDir', FOLDERS.output),
+    archiveDir: folder('archive-dir', 'archiveDir', FOLDERS.archive),
+    errorDir: folder('error-dir', 'errorDir', FOLDERS.errors),
+    logFile: folder('log-file', 'logFile', WATCH_LOG_FILE),
+    interval: (interval || watchDef.interval || DEFAULT_WATCH_INTERVAL / 1000) * 1000,
+    concurrency: concurrency || watchDef.concurrency,
+    once: Boolean(flags.once),
+    rules
+  };
+  run.mode = watchOptions.once ? 'once' : 'watch';
+  run.files = { watch: watchPath, input: watchOptions.inputDir, output: watchOptions.outputDir, log: watchOptions.logFile };
+  
+  const processed = [];
+  const watcher = watchFolder({ ...watchOptions, onFile: entry => processed.push(entry) });
+  
+  // Ctrl+C or a service stop finishes the file being processed, then ends the run
+  const stop = () => {
+    logger.info('\nStopping after the current file...');
+    watcher.stop();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  
+  let totals;
+  try {
+    totals = await watcher.done;
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+  }
+  
+  logger.info(`\n${totals.processed} file(s) processed: ${totals.succeeded} succeeded, ${totals.failed} failed, ` +
+    `${totals.unmatched} without a matching rule. Run log: ${watchOptions.logFile}`);
+  if (run.json) {
+    printRunSummary(run, { status: totals.processed === totals.succeeded ? 'success' : 'failed', totals, results: processed });
+  }
+  return totals.processed === totals.succeeded ? EXIT_CODES.success : EXIT_CODES.error;
+}
+
+// -----------------------------
+// reverse
+// -----------------------------
+
+// Converts a file in the template layout back into the source schema of the config
+function reverseCommand(args, flags, run) {
+  const templateName = flags.template || args[0];
+  const inputName = flags.input || args[1];
+  const configName = flags.config || args[2];
+  const outputName = flags.output || args[3];
+  
+  if (!templateName || !inputName || !configName) {
+    throw new CliError('reverse needs a file with the source columns, a remapped file and a config', EXIT_CODES.usage);
+  }
+  
+  run.dryRun = Boolean(flags['dry-run']);
+  const { sheets, csvOptions, output, formats, profile } = buildRemapOptions(flags);
+  
+  // The source-shaped file is usually an earlier input, the remapped file an earlier output
+  const templatePath = findFile(templateName, FOLDERS.templates) || requireFile(templateName, FOLDERS.input, 'Template');
+  const inputPath = findFile(inputName, FOLDERS.output) || requireFile(inputName, FOLDERS.input, 'Input');
+  const configPath = requireFile(configName, FOLDERS.config, 'Config');
+  
+  // Default output name: the input name with a "-reversed" suffix, in the format of the source file
+  const outputExt = formats.output ? resolveFormat(null, formats.output).extensions[0] : path.extname(templatePath);
+  const outputPath = resolveOutputPath(outputName || path.basename(inputName).replace(/(\.[^.]+)?$/, `-reversed${outputExt}`));
+  
+  run.files = { template: templatePath, input: inputPath, config: configPath, output: run.dryRun ? null : outputPath };
+  run.mode = 'reverse';
+  
+  logger.info('\nStarting reverse mapping...');
+  const result = reverseWithConfig(templatePath, inputPath, configPath, run.dryRun ? null : outputPath, { sheets, csvOptions, output, formats, profile });
+  const { fields, emptyColumns } = result.reverse;
+  
+  const rows = fields.map(entry => [
+    entry.field,
+    entry.status === 'not-invertible' ? '-' : entry.columns.join(', '),
+    entry.status === 'not-invertible' ? `cannot be inverted: ${entry.reason}` : entry.status === 'declared' ? 'reverseMappings' : entry.note || 'copied'
+  ]);
+  const table = [['Template field', 'Source column', 'How'], ...rows];
+  const widths = table[0].map((_, index) => Math.max(...table.map(row => row[index].length)));
+  logger.info('');
+  table.forEach(row => logger.info(row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()));
+  
+  const notInvertible = fields.filter(entry => entry.status === 'not-invertible');
+  if (notInvertible.length > 0) {
+    logger.info(`\n⚠️ ${notInvertible.length} field(s) cannot be inverted: ${notInvertible.map(entry => entry.field).join(', ')}`);
+    logger.info('Declare the source columns they came from in the config\'s "reverseMappings" section.');
+  }
+  if (emptyColumns.length > 0) {
+    logger.info(`Source columns left empty: ${emptyColumns.join(', ')}`);
+  }
+  
+  if (run.dryRun) {
+    logger.info(`\n✅ Dry run completed successfully: ${result.stats.outputRows} rows would be written (no files written)`);
+  } else {
+    logger.info(`\n✅ Reverse mapping completed: ${result.stats.outputRows} rows written to ${outputPath}`);
+  }
+  
+  if (run.json) {
+    printRunSummary(run, {
+      status: 'success',
+      dryRun: run.dryRun,
+      stats: result.stats,
+      fields,
+      notInvertible: notInvertible.map(entry => entry.field),
+      emptyColumns
+    });
+  }
+}
+
+// -----------------------------
+// validate-config
+// -----------------------------
+
+// Validates a config file (optionally against a template and input file)
+function validateConfigCommand(args, flags, run) {
+  const configName = flags.config || args[0];
+  const templateName = flags.template || args[1];
+  const inputName = flags.input || args[2];
+  
+  if (!configName) {
+    throw new CliError('validate-config needs a config file', EXIT_CODES.usage);
+  }
+  
+  const configPath = requireFile(configName, FOLDERS.config, 'Config');
+  const templatePath = templateName ? requireFile(templateName, FOLDERS.templates, 'Template') : null;
+  const inputPath = inputName ? requireFile(inputName, FOLDERS.input, 'Input') : null;
+  
+  run.files = { config: configPath, template: templatePath, input: inputPath };
+  logger.info(`Validating config: ${configPath}`);
+  const result = validateConfigFile(configPath, {
+    templateFilePath: templatePath,
+    inputFilePath: inputPath,
+    profile: typeof flags.profile === 'string' ? flags.profile : undefined
+  });
+  
+  result.errors.forEach(err => logger.info(`  ✗ ${err.path}: ${err.message}`));
+  result.warnings.forEach(warn => logger.info(`  ⚠️ ${warn.path}: ${warn.message}`));
+  
+  if (run.json) {
+    printRunSummary(run, { status: result.valid ? 'valid' : 'invalid', errors: result.errors, warnings: result.warnings });
+  }
+  
+  if (!result.valid) {
+    logger.error(`\n❌ Config is invalid: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    return EXIT_CODES.config;
+  }
+  
+  logger.info(`\n✅ Config is valid (${result.warnings.length} warning(s))`);
+  return EXIT_CODES.success;
+}
+
+// -----------------------------
+// test-config
+// -----------------------------
+
+// Runs the test cases of a config and fails if any does not pass
+function testConfigCommand(args, flags, run) {
+  const configName = flags.config || args[0];
+  if (!configName) {
+    throw new CliError('test-config needs a config file', EXIT_CODES.usage);
+  }
+  
+  const configPath = requireFile(configName, FOLDERS.config, 'Config');
+  run.files = { config: configPath };
+  logger.info(`Testing config: ${configPath}`);
+  const report = testConfigFile(configPath, { profile: typeof flags.profile === 'string' ? flags.profile : undefined });
+  
+  report.runs.forEach(({ profile, results }) => {
+    if (profile) {
+      logger.info(`\nProfile "${profile}":`);
+    }
+    if (results.length === 0) {
+      logger.info('  (no tests)');
+    }
+    results.forEach(result => {
+      logger.info(`  ${result.passed ? '✓' : '✗'} ${result.name}`);
+      result.failures.forEach(failure => {
+        logger.info(failure.error
+          ? `      ${failure.field}: ${failure.error}`
+          : `      ${failure.field}: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
       });
+    });
+  });
+  
+  if (run.json) {
+    printRunSummary(run, { status: report.failed > 0 ? 'failed' : 'passed', passed: report.passed, failed: report.failed, runs: report.runs });
+  }
+  
+  if (report.passed + report.failed === 0) {
+    logger.warn('\n⚠️ The config has no tests; add cases to its "tests" section');
+    return EXIT_CODES.success;
+  }
+  if (report.failed > 0) {
+    logger.error(`\n❌ ${report.failed} of ${report.passed + report.failed} test(s) failed`);
+    return EXIT_CODES.validation;
+  }
+  logger.info(`\n✅ All ${report.passed} test(s) passed`);
+  return EXIT_CODES.success;
+}
+
+// -----------------------------
+// check-duplicates
+// -----------------------------
+
+// Reports duplicate values in one or more columns of an input file
+function checkDuplicatesCommand(args, flags, run) {
+  const inputName = flags.input || args[0];
+  if (!inputName) {
+    throw new CliError('check-duplicates needs an input file', EXIT_CODES.usage);
+  }
+  
+  // Config (optional) for the keys, delimiter and input sheet
+  let config = {};
+  const configPath = flags.config ? requireFile(flags.config, FOLDERS.config, 'Config') : null;
+  if (configPath) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new ConfigValidationError(configPath, [{ path: '$', message: `Cannot read configuration: ${error.message}` }]);
     }
-    
-    console.log(`\nOutput file saved to: ${outputPath}`);
-    
+  }
+  
+  // Keys from --column (comma-separated), further arguments or the config's idColumns and
+  // uniqueKeys on input columns; "+" joins the columns of a composite key
+  const parseKey = text => ({ columns: text.split('+').map(column => column.trim()).filter(Boolean) });
+  let keys;
+  if (typeof flags.column === 'string') {
+    keys = flags.column.split(',').map(parseKey);
+  } else if (args.length > 1) {
+    keys = args.slice(1).map(parseKey);
+  } else {
+    try {
+      keys = compileUniqueKeys(config.idColumns, config.uniqueKeys).filter(key => key.on === 'input');
+    } catch (error) {
+      throw new ConfigValidationError(configPath, [{ path: '$.uniqueKeys', message: error.message }]);
+    }
+  }
+  keys = keys.filter(key => key.columns.length > 0);
+  if (keys.length === 0) {
+    throw new CliError('check-duplicates needs a column (--column, or a config with idColumns or uniqueKeys)', EXIT_CODES.usage);
+  }
+  
+  // --normalize applies to every key checked
+  if (typeof flags.normalize === 'string') {
+    const steps = flags.normalize.split(',').map(step => step.trim()).filter(Boolean);
+    const unknown = steps.filter(step => !Object.prototype.hasOwnProperty.call(NORMALIZERS, step));
+    if (unknown.length > 0) {
+      throw new CliError(`Unknown normalization ${unknown.join(', ')}. Use one of: ${Object.keys(NORMALIZERS).join(', ')}`, EXIT_CODES.usage);
+    }
+    keys = keys.map(key => ({ ...key, normalize: steps }));
+  }
+  const labels = keys.map(key => key.columns.join('+'));
+  
+  const inputPath = requireFile(inputName, FOLDERS.input, 'Input');
+  // Without a delimiter from the flags or the config, it is detected
+  const delimiter = parseDelimiter(flags.delimiter) || (config.csvOptions && config.csvOptions.delimiter) || '';
+  const sheet = typeof flags.sheet === 'string' ? flags.sheet : config.sheets && config.sheets.input;
+  const format = parseFormatFlags(flags).input || (config.formats && config.formats.input);
+  const formats = { format, formatOptions: config.formatOptions, role: 'input' };
+  run.files = { input: inputPath, config: configPath };
+  
+  // Columns missing from the file would silently report no duplicates
+  const headers = readHeaderRow(inputPath, { delimiter }, sheet, undefined, [], formats);
+  const missing = [...new Set(keys.flatMap(key => key.columns))].filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new CliError(`Column(s) ${missing.join(', ')} not found in ${inputPath}`, EXIT_CODES.input);
+  }
+  
+  const duplicates = {};
+  keys.forEach((key, index) => {
+    duplicates[labels[index]] = checkForDuplicates(inputPath, key.columns, delimiter, sheet, { ...formats, normalize: key.normalize });
+  });
+  const duplicateCount = Object.values(duplicates).reduce((total, found) => total + found.length, 0);
+  
+  if (duplicateCount > 0) {
+    logger.info(`\n❌ Found ${duplicateCount} duplicate value(s) in ${labels.join(', ')}`);
+  } else {
+    logger.info(`\n✅ No duplicates in ${labels.join(', ')}`);
+  }
+  
+  if (run.json) {
+    printRunSummary(run, { status: duplicateCount > 0 ? 'duplicates' : 'ok', columns: labels, duplicates });
+  }
+  return duplicateCount > 0 ? EXIT_CODES.validation : EXIT_CODES.success;
+}
+
+// -----------------------------
+// inspect
+// -----------------------------
+
+// Shows the sheets, columns and sample rows of a template or input file
+function inspectCommand(args, flags, run) {
+  const fileName = flags.input || flags.template || args[0];
+  if (!fileName) {
+    throw new CliError('inspect needs a file', EXIT_CODES.usage);
+  }
+  
+  // Look in the template folder for --template, otherwise in the input folder first
+  const filePath = flags.template
+    ? requireFile(fileName, FOLDERS.templates, 'Template')
+    : findFile(fileName, FOLDERS.input) || requireFile(fileName, FOLDERS.templates, 'Input');
+  
+  const sampleRows = flags.rows === undefined ? 5 : Number(flags.rows);
+  if (!Number.isInteger(sampleRows) || sampleRows < 0) {
+    throw new CliError(`--rows must be a whole number, got "${flags.rows}"`, EXIT_CODES.usage);
+  }
+  
+  const { input: format } = parseFormatFlags(flags);
+  let info;
+  try {
+    info = inspectFile(filePath, { delimiter: parseDelimiter(flags.delimiter), encoding: parseEncoding(flags.encoding), sheet: flags.sheet, format, sampleRows });
+  } catch (error) {
+    throw new CliError(`Cannot read ${filePath}: ${error.message}`, EXIT_CODES.input);
+  }
+  run.files = { input: filePath };
+  
+  logger.info(`File: ${info.file}`);
+  const encoding = `${info.encoding}${info.bom ? ' with BOM' : ''}`;
+  if (info.format === 'xlsx') {
+    logger.info('Format: Excel');
+  } else if (info.delimiter) {
+    logger.info(`Format: ${info.format.toUpperCase()} (${encoding}, delimiter ${JSON.stringify(info.delimiter)}, quote ${JSON.stringify(info.quoteChar)})`);
+  } else {
+    logger.info(`Format: ${info.format.toUpperCase()} (${encoding})`);
+  }
+  if (info.sheets) {
+    logger.info(`Sheets: ${info.sheets.join(', ')} (showing "${info.sheet}")`);
+  }
+  logger.info(`Data rows: ${info.rowCount}`);
+  logger.info(`Columns (${info.columns.length}): ${info.columns.join(', ')}`);
+  if (info.sampleRows.length > 0) {
+    logger.info('\nSample rows:');
+    info.sampleRows.forEach((row, index) => logger.info(`  ${index + 1}: ${JSON.stringify(row)}`));
+  }
+  
+  if (run.json) {
+    printRunSummary(run, { status: 'ok', ...info, file: undefined });
+  }
+}
+
+// -----------------------------
+// init
+// -----------------------------
+
+// Path of a config file to create; refuses to overwrite one without --force
+function newConfigPath(configName, flags) {
+  const configPath = path.isAbsolute(configName) ? configName : path.join(FOLDERS.config, configName);
+  if (fs.existsSync(configPath) && !flags.force && !flags['dry-run']) {
+    throw new CliError(`Config file ${configPath} already exists (use --force to overwrite it)`);
+  }
+  return configPath;
+}
+
+// Writes a starter config (or prints it with --dry-run), pointing its $schema at the bundled schema
+function writeStarterConfig(configPath, sections, flags, run) {
+  const config = {
+    $schema: path.relative(path.dirname(configPath), path.join(__dirname, 'src', 'mapping-config.schema.json')).split(path.sep).join('/'),
+    ...sections
+  };
+  const content = `${JSON.stringify(config, null, 2)}\n`;
+  
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    // Only possible for unusual headers; the file is still written for editing
+    validation.errors.forEach(err => logger.warn(`  ⚠️ ${err.path}: ${err.message}`));
+  }
+  
+  if (flags['dry-run']) {
+    if (!run.json) {
+      process.stdout.write(content);
+    }
+  } else {
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, content, 'utf8');
+    logger.info(`✅ Config created: ${configPath}`);
+  }
+  return config;
+}
+
+// Creates a starter mapping config (from the template headers and input columns if given)
+function initCommand(args, flags, run) {
+  const configName = flags.config || args[0];
+  if (!configName) {
+    throw new CliError('init needs the name of the config file to create', EXIT_CODES.usage);
+  }
+  
+  const configPath = newConfigPath(configName, flags);
+  const templatePath = flags.template ? requireFile(flags.template, FOLDERS.templates, 'Template') : null;
+  const inputPath = flags.input ? requireFile(flags.input, FOLDERS.input, 'Input') : null;
+  const sheet = typeof flags.sheet === 'string' ? flags.sheet : undefined;
+  
+  // Without --delimiter, use the one detected in the first CSV file given
+  const csvFile = [inputPath, templatePath].find(file => file && path.extname(file).toLowerCase() === '.csv');
+  const delimiter = parseDelimiter(flags.delimiter) || (csvFile && inspectFile(csvFile, { sampleRows: 0 }).delimiter) || ',';
+  const csvOptions = { delimiter };
+  
+  const inputColumns = inputPath ? readHeaderRow(inputPath, csvOptions, sheet) : [];
+  const templateHeaders = templatePath ? readHeaderRow(templatePath, csvOptions) : inputColumns;
+  
+  // Each template header reads the input column of the same name (ignoring case), if there is one
+  const fieldMappings = {};
+  templateHeaders.forEach(header => {
+    const column = inputColumns.find(name => name.toLowerCase() === String(header).toLowerCase());
+    fieldMappings[header] = column !== undefined ? { from: column } : { const: '' };
+  });
+  if (templateHeaders.length === 0) {
+    fieldMappings.OutputColumn = { from: 'input_column' };
+  }
+  
+  const config = writeStarterConfig(configPath, {
+    csvOptions: { ...csvOptions, quoteChar: '"', header: true, skipEmptyLines: true, dynamicTyping: false },
+    idColumns: [],
+    fieldMappings
+  }, flags, run);
+  
+  const unmatched = Object.keys(fieldMappings).filter(header => fieldMappings[header].const !== undefined);
+  run.files = { config: flags['dry-run'] ? null : configPath, template: templatePath, input: inputPath };
+  if (unmatched.length > 0 && inputPath) {
+    logger.info(`Columns without a matching input column (set to ""): ${unmatched.join(', ')}`);
+  }
+  
+  if (run.json) {
+    printRunSummary(run, { status: 'ok', dryRun: Boolean(flags['dry-run']), config, unmatched });
+  }
+}
+
+// -----------------------------
+// suggest
+// -----------------------------
+
+// Drafts a config by matching template headers to input columns by name and sample values
+function suggestCommand(args, flags, run) {
+  const templateName = flags.template || args[0];
+  const inputName = flags.input || args[1];
+  const configName = flags.config || args[2];
+  if (!templateName || !inputName || (!configName && !flags['dry-run'])) {
+    throw new CliError('suggest needs a template, a sample input and the name of the config file to create', EXIT_CODES.usage);
+  }
+  
+  const minConfidence = flags['min-confidence'] === undefined ? DEFAULT_MIN_CONFIDENCE : Number(flags['min-confidence']);
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    throw new CliError(`--min-confidence must be a number from 0 to 1, got "${flags['min-confidence']}"`, EXIT_CODES.usage);
+  }
+  
+  const configPath = configName ? newConfigPath(configName, flags) : null;
+  const templatePath = requireFile(templateName, FOLDERS.templates, 'Template');
+  const inputPath = requireFile(inputName, FOLDERS.input, 'Input');
+  const delimiter = parseDelimiter(flags.delimiter);
+  
+  let suggestion;
+  try {
+    suggestion = suggestConfig(templatePath, inputPath, {
+      csvOptions: delimiter ? { delimiter } : {},
+      sheets: typeof flags.sheet === 'string' ? { input: flags.sheet } : {},
+      minConfidence
+    });
+  } catch (error) {
+    throw new CliError(`Cannot read the template or input: ${error.message}`, EXIT_CODES.input);
+  }
+  
+  const rows = suggestion.suggestions.map(entry => [
+    entry.header,
+    entry.columns.length > 0 ? entry.columns.join(' + ') : 'TODO',
+    entry.columns.length > 0 ? entry.confidence.toFixed(2) : '',
+    entry.columns.length > 0
+      ? entry.reasons.join(', ')
+      : entry.bestGuess ? `closest: ${entry.bestGuess.columns.join(' + ')} (${entry.bestGuess.confidence.toFixed(2)})` : ''
+  ]);
+  const table = [['Template header', 'Input column', 'Confidence', 'Why'], ...rows];
+  const widths = table[0].map((_, index) => Math.max(...table.map(row => row[index].length)));
+  // With --dry-run stdout gets the config, which has the same details in its "$comment" keys
+  if (!flags['dry-run']) {
+    table.forEach(row => logger.info(row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()));
+    logger.info('');
+  }
+  
+  const config = writeStarterConfig(configPath || path.join(FOLDERS.config, 'suggested.json'), suggestion.config, flags, run);
+  run.files = { config: flags['dry-run'] ? null : configPath, template: templatePath, input: inputPath };
+  
+  const matched = suggestion.suggestions.length - suggestion.unmatched.length;
+  logger.info(`Suggested ${matched} of ${suggestion.suggestions.length} mapping(s); review the "$comment" of each entry and remove it when done.`);
+  if (suggestion.unmatched.length > 0) {
+    logger.info(`TODO (set to ""): ${suggestion.unmatched.join(', ')}`);
+  }
+  if (suggestion.unusedColumns.length > 0) {
+    logger.info(`Input columns not used: ${suggestion.unusedColumns.join(', ')}`);
+  }
+  
+  if (run.json) {
+    printRunSummary(run, {
+      status: 'ok',
+      dryRun: Boolean(flags['dry-run']),
+      config,
+      suggestions: suggestion.suggestions,
+      unmatched: suggestion.unmatched,
+      unusedColumns: suggestion.unusedColumns
+    });
+  }
+}
+
+// -----------------------------
+// Commands and help
+// -----------------------------
+
+// Commands with their arguments and options (for --help)
+const COMMANDS = {
+  remap: {
+    run: remapCommand,
+    summary: 'Map an input file onto a template (the default command)',
+    usage: 'remap <template> <input> <config> [output] [options]',
+    options: [
+      ['--template, --input, --config, --output <file>', 'Files by name instead of by position'],
+      ['', 'Output defaults to the input name with a "-mapped" suffix;'],
+      ['', 'the template may be left out if the config profile sets one'],
+      ['--profile <name>', 'Profile of a config with profiles (default: matched by input file name or headers)'],
+      ['--dry-run', 'Map and show the first output rows without writing any file'],
+      ['--rows <n>, --sample <n>', 'Dry run of the first n input rows / of n rows spread over the input'],
+      ['--diff[=<file>]', 'Dry run that lists the rows added, removed and changed in the existing output'],
+      ['--key <column[,column]>', 'Output columns --diff matches rows on (default: where the idColumns are copied to)'],
+      ['--stream', 'Process the input row by row with bounded memory (text outputs only, not Excel)'],
+      ['--into-template', 'Fill the .xlsx template itself, keeping its styles and other sheets'],
+      ['--start-cell <cell|name>', 'First data cell (address or defined name) when filling the template'],
+      ['--sheet <name|index>', 'Sheet to read from an Excel input (same as --input-sheet)'],
+      ['--template-sheet, --input-sheet <name|index>', 'Sheet to read from Excel templates / inputs (default: first sheet)'],
+      ['--output-sheet, --errors-sheet <name>', 'Name of the Excel output sheet / add a sheet listing mapping errors'],
+      ['--delimiter <char|tab>', 'CSV delimiter, overriding the config'],
+      ['--encoding <name>', 'Encoding of CSV inputs, e.g. windows-1252 or utf-16le (default: detected)'],
+      ['--output-encoding <name>, --bom', 'Encoding of a CSV output (utf-8, utf-16le, utf-16be, windows-1252) / start it with a BOM'],
+      ['--input-format, --output-format <name>', 'csv, tsv, xlsx, json, ndjson, fixed or xml (default: by file extension)'],
+      ['--error-report[=csv|json]', 'Write the errors of the run next to the output file'],
+      ['--on-error <mode>', 'continue, fail-fast, skip or quarantine rows with errors (default: continue)'],
+      ['--max-error-rate <0.01|1%>, --max-errors <n>', 'Fail the run when more rows than this have errors'],
+      ['--rejects-file <name>', 'File for quarantined rows (default: <output>.rejects.csv)']
+    ],
+    example: 'remap --template template.csv --input source-data.csv --config mapping-config.json --output result.csv'
+  },
+  batch: {
+    run: batchCommand,
+    summary: 'Map every file of a folder or glob with one template and config',
+    usage: 'batch <template> <input|folder|glob>... <config> [options]',
+    options: [
+      ['--template, --input, --config <file>', 'Files by name instead of by position (--input takes a folder or glob)'],
+      ['--output-dir <folder>', 'Folder for the outputs (default: data/output)'],
+      ['--output-pattern <pattern>', 'Output names from {name}, {ext}, {dir} and {index} (default: {name}-mapped.{ext})'],
+      ['--concurrency <n>', 'Files mapped at once in worker threads (default: number of CPUs, at most 4)'],
+      ['--combine <file>', 'Also concatenate all outputs into one file of the same format (in the output folder)'],
+      ['--stream, --into-template, --start-cell', 'Map every file as remap does with these options'],
+      ['--sheet, --delimiter, --encoding, --error-report', 'As for remap, applied to every file'],
+      ['--template-sheet, --input-sheet, --output-sheet, --errors-sheet', 'As for remap, applied to every file'],
+      ['--input-format, --output-format', 'As for remap, applied to every file'],
+      ['--output-encoding, --bom', 'As for remap, also for the combined output'],
+      ['--profile <name>', 'Profile for all files (default: matched per file)'],
+      ['--on-error, --max-error-rate, --max-errors', 'Error policy of every file (checked per file)']
+    ],
+    example: 'batch template.csv "drops/*.csv" mapping-config.json --output-pattern "{name}-mapped.csv" --combine all.csv'
+  },
+  watch: {
+    run: watchCommand,
+    summary: 'Remap files as they arrive in the input folder',
+    usage: 'watch [watch-file] [options]',
+    options: [
+      ['--template, --config <file>', 'Template and config for all files (instead of the rules of a watch file)'],
+      ['--match <glob>', 'File names handled with --template and --config (default: *)'],
+      ['--input-dir, --output-dir <folder>', 'Folder to watch / for the outputs (default: data/input, data/output)'],
+      ['--archive-dir, --error-dir <folder>', 'Folders processed / failed inputs are moved to (default: data/archive, data/errors)'],
+      ['--log-file <file>', 'Run log, one JSON line per file (default: data/watch-log.jsonl)'],
+      ['--interval <seconds>', 'Time between two scans of the input folder (default: 2)'],
+      ['--once', 'Process the files in the input folder now, then stop'],
+      ['--output-pattern, --concurrency', 'As for batch'],
+      ['--stream, --sheet, --delimiter, --encoding, --error-report', 'As for remap, applied to every file'],
+      ['--template-sheet, --input-sheet, --output-sheet, --errors-sheet', 'As for remap, applied to every file'],
+      ['--input-format, --output-format', 'As for remap, applied to every file'],
+      ['--output-encoding, --bom', 'As for remap'],
+      ['--profile <name>', 'Profile for all files (default: the rule\'s profile, or matched per file)'],
+      ['--on-error, --max-error-rate, --max-errors', 'Error policy of every file']
+    ],
+    example: 'watch watch-rules.json'
+  },
+  reverse: {
+    run: reverseCommand,
+    summary: 'Convert a remapped file back into the source schema of its config',
+    usage: 'reverse <source-file> <remapped-file> <config> [output] [options]',
+    options: [
+      ['--template, --input, --config, --output <file>', 'Files by name instead of by position'],
+      ['', 'The source file (e.g. an earlier input) gives the columns of the output;'],
+      ['', 'output defaults to the remapped name with a "-reversed" suffix'],
+      ['--profile <name>', 'Profile of a config with profiles (default: the default profile)'],
+      ['--dry-run', 'Map and report without writing any file'],
+      ['--sheet, --delimiter, --encoding', 'As for remap, for the remapped file'],
+      ['--output-encoding, --bom, --input-format, --output-format', 'As for remap']
+    ],
+    example: 'reverse source-data.csv result.csv mapping-config.json customers-restored.csv'
+  },
+  'validate-config': {
+    run: validateConfigCommand,
+    summary: 'Check a mapping config, optionally against a template and input file',
+    usage: 'validate-config <config> [template] [input] [options]',
+    options: [
+      ['--config, --template, --input <file>', 'Files by name instead of by position'],
+      ['--profile <name>', 'Profile to check the template and input against (default: matched by the input)']
+    ],
+    example: 'validate-config mapping-config.json template.csv source-data.csv'
+  },
+  'test-config': {
+    run: testConfigCommand,
+    summary: 'Run the test cases of a mapping config',
+    usage: 'test-config <config> [options]',
+    options: [
+      ['--config <file>', 'Config by name instead of by position'],
+      ['--profile <name>', 'Only test this profile (default: every profile of a config with profiles)']
+    ],
+    example: 'test-config mapping-config.json'
+  },
+  'check-duplicates': {
+    run: checkDuplicatesCommand,
+    summary: 'Report duplicate values in columns of an input file',
+    usage: 'check-duplicates <input> [column...] [options]',
+    options: [
+      ['--input <file>', 'Input file by name instead of by position'],
+      ['--column <name[,name]>', 'Columns to check; join the columns of a composite key with + (customer_no+branch)'],
+      ['--normalize <step[,step]>', 'Compare values after trim, collapseWhitespace, caseFold, stripLeadingZeros, nfc or nfkc'],
+      ['--config <file>', 'Check the config\'s idColumns and uniqueKeys, using its delimiter and input sheet'],
+      ['--delimiter <char|tab>', 'CSV delimiter (default: from the config, otherwise detected)'],
+      ['--sheet <name|index>', 'Sheet of an Excel input'],
+      ['--input-format <name>', 'Format of the file (default: from the config, otherwise by extension)']
+    ],
+    example: 'check-duplicates source-data.csv id --delimiter ";"'
+  },
+  inspect: {
+    run: inspectCommand,
+    summary: 'Show the sheets, columns and sample rows of a file',
+    usage: 'inspect <file> [options]',
+    options: [
+      ['--input, --template <file>', 'Look the file up in the input / template folder'],
+      ['--sheet <name|index>', 'Sheet of an Excel file (default: first sheet)'],
+      ['--delimiter <char|tab>', 'CSV delimiter (default: detected)'],
+      ['--encoding <name>', 'CSV encoding (default: detected)'],
+      ['--input-format <name>', 'Format of the file (default: by extension)'],
+      ['--rows <n>', 'Number of sample rows (default: 5)']
+    ],
+    example: 'inspect source-data.csv --rows 3'
+  },
+  init: {
+    run: initCommand,
+    summary: 'Create a starter mapping config',
+    usage: 'init <config> [options]',
+    options: [
+      ['--template <file>', 'Create a mapping for each template header'],
+      ['--input <file>', 'Map template headers to input columns of the same name'],
+      ['--delimiter <char|tab>', 'CSV delimiter of the files (default: detected, otherwise ",")'],
+      ['--sheet <name|index>', 'Sheet of an Excel input'],
+      ['--dry-run', 'Print the config instead of writing it'],
+      ['--force', 'Overwrite an existing config file']
+    ],
+    example: 'init customers.json --template template.csv --input source-data.csv --delimiter ";"'
+  },
+  suggest: {
+    run: suggestCommand,
+    summary: 'Draft a mapping config by matching template headers to input columns',
+    usage: 'suggest <template> <input> <config> [options]',
+    options: [
+      ['--template, --input, --config <file>', 'Files by name instead of by position'],
+      ['--min-confidence <0-1>', `Lowest confidence that is suggested (default: ${DEFAULT_MIN_CONFIDENCE}); others become TODO entries`],
+      ['--delimiter <char|tab>', 'CSV delimiter of the files (default: detected)'],
+      ['--sheet <name|index>', 'Sheet of an Excel input'],
+      ['--dry-run', 'Print the config instead of writing it'],
+      ['--force', 'Overwrite an existing config file']
+    ],
+    example: 'suggest template.csv new-feed.csv new-feed.json'
+  }
+};
+
+// Prints a list of options as aligned columns
+function printOptions(options) {
+  const width = Math.max(...options.map(([name]) => name.length));
+  options.forEach(([name, description]) => logger.info(`  ${name.padEnd(width)}  ${description}`));
+}
+
+// Prints the general help, or the help of one command
+function printHelp(commandName) {
+  const command = COMMANDS[commandName];
+  
+  if (!command) {
+    logger.info('Usage:');
+    logger.info('  node data-remapper.js <command> [arguments] [options]');
+    logger.info('  node data-remapper.js <template> <input> <config> [output] [options]   (same as remap)');
+    logger.info('\nCommands:');
+    printOptions(Object.entries(COMMANDS).map(([name, { summary }]) => [name, summary]));
+    logger.info('\nOptions:');
+    printOptions(GLOBAL_OPTIONS);
+    logger.info('\nFile names are looked up in data/templates, data/input and config, and outputs are written');
+    logger.info('to data/output, unless an absolute path is given.');
+    logger.info('\nExit codes: 0 success, 1 unexpected error, 2 invalid arguments, 3 config error,');
+    logger.info('4 input error, 5 validation failure');
+    logger.info('\nRun "node data-remapper.js <command> --help" for the options of a command.');
+    return;
+  }
+  
+  logger.info(`${command.summary}\n`);
+  logger.info('Usage:');
+  logger.info(`  node data-remapper.js ${command.usage}`);
+  logger.info('\nOptions:');
+  printOptions([...command.options, ...GLOBAL_OPTIONS]);
+  logger.info('\nExample:');
+  logger.info(`  node data-remapper.js ${command.example}`);
+}
+
+// Lists the flags a command accepts (its options and the global ones), without the leading --
+function acceptedFlags(commandName) {
+  return [...COMMANDS[commandName].options, ...GLOBAL_OPTIONS]
+    .flatMap(([name]) => name.match(/--[\w-]+/g) || [])
+    .map(flag => flag.slice(2));
+}
+
+// Picks the exit code for an error thrown by a command
+function exitCodeFor(error) {
+  if (error instanceof CliError) return error.exitCode;
+  // By name, so the plain errors passed back from batch workers count as well
+  if (error.name === 'ConfigValidationError') return EXIT_CODES.config;
+  if (error.name === 'RemapAbortedError') return EXIT_CODES.validation;
+  if (error.name === 'InputFileError') return EXIT_CODES.input;
+  if (['ENOENT', 'EACCES', 'EISDIR'].includes(error.code)) return EXIT_CODES.input;
+  return EXIT_CODES.error;
+}
+
+// Prints a failed command; runs aborted by the error policy may still have an error report
+function reportFailure(error, run) {
+  const exitCode = exitCodeFor(error);
+  logger.error(run.command === 'remap' ? '\n❌ Error during remapping:' : '\n❌ Error:', error.message);
+  if (error.errorReport) {
+    logger.error(`Error report saved to: ${error.errorReport}`);
+  }
+  if (exitCode === EXIT_CODES.usage) {
+    logger.error(`Run "node data-remapper.js ${COMMANDS[run.command] ? `${run.command} ` : ''}--help" for usage.`);
+  }
+  
+  if (run.json) {
+    printRunSummary(run, {
+      status: 'failed',
+      exitCode,
+      error: error.message,
+      stats: error.stats || null,
+      files: { errorReport: error.errorReport || null }
+    });
+  }
+  return exitCode;
+}
+
+/**
+ * Runs the command line interface
+ *
+ * @param {Array} argv - Command line arguments (without node and the script)
+ * @returns {Promise<number>} Exit code, also set as `process.exitCode`
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
   } catch (error) {
-    console.error('\n❌ Error during remapping:', error.message);
-    process.exit(1);
+    logger.error(`Error: ${error.message}`);
+    process.exitCode = EXIT_CODES.usage;
+    return process.exitCode;
+  }
+  
+  const { positional, flags } = parsed;
+  configureLogging(flags);
+  
+  // A first argument without a file extension is meant as a command
+  if (positional[0] && !COMMANDS[positional[0]] && positional[0] !== 'help' && !path.extname(positional[0])) {
+    logger.error(`Error: Unknown command "${positional[0]}". Run "node data-remapper.js --help" for the list of commands.`);
+    process.exitCode = EXIT_CODES.usage;
+    return process.exitCode;
+  }
+  
+  // Without a known command the arguments are those of remap
+  const commandName = COMMANDS[positional[0]] ? positional[0] : 'remap';
+  const args = COMMANDS[positional[0]] ? positional.slice(1) : positional;
+  
+  if (positional[0] === 'help' || flags.help || positional.length === 0 && Object.keys(flags).every(flag => ['quiet', 'verbose', 'json'].includes(flag))) {
+    printHelp(positional[0] === 'help' ? positional[1] : COMMANDS[positional[0]] ? commandName : null);
+    process.exitCode = flags.help || positional[0] === 'help' ? EXIT_CODES.success : EXIT_CODES.usage;
+    return process.exitCode;
+  }
+  
+  // A misspelled option would otherwise be ignored without a word
+  const unknownFlags = Object.keys(flags).filter(flag => !acceptedFlags(commandName).includes(flag));
+  if (unknownFlags.length > 0) {
+    logger.error(`Error: Unknown option(s) ${unknownFlags.map(flag => `--${flag}`).join(', ')} for ${commandName}. ` +
+      `Run "node data-remapper.js ${commandName} --help" for its options.`);
+    process.exitCode = EXIT_CODES.usage;
+    return process.exitCode;
   }
+  
+  // Details of the run for the --json summary
+  const run = {
+    json: Boolean(flags.json),
+    command: commandName,
+    mode: null,
+    startedAt: new Date(),
+    files: {}
+  };
+  
+  ensureFolders();
+  
+  // Display the app name and version
+  logger.info('\n===== Excel/CSV Data Remapper =====\n');
+  
+  let exitCode;
+  try {
+    exitCode = (await COMMANDS[commandName].run(args, flags, run)) || EXIT_CODES.success;
+  } catch (error) {
+    exitCode = reportFailure(error, run);
+  }
+  
+  process.exitCode = exitCode;
+  return exitCode;
 }
 
-// Run the main function
-main();
\ No newline at end of file
+// Run the main function when started from the command line
+if (require.main === module) {
+  // Output piped into a reader that stops early (`| head`) is not an error
+  [process.stdout, process.stderr].forEach(stream => stream.on('error', error => {
+    if (error.code !== 'EPIPE') {
+      throw error;
+    }
+  }));
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  main,
+  EXIT_CODES
+};
@@ -3,13 +3,15 @@
  * 
  * This script demonstrates how to use the remapper with the sample files.
  */
-const { remapWithConfig } = require('./advanced-remapper');
+const path = require('path');
+const { remapWithConfig } = require('../src/advanced-remapper');
 
 // Define file paths
-const TEMPLATE_FILE = 'template.csv';
-const INPUT_FILE = 'source-data.csv';
-const CONFIG_FILE = 'mapping-config.json';
-const OUTPUT_FILE = 'remapped-output.csv';
+const ROOT = path.join(__dirname, '..');
+const TEMPLATE_FILE = path.join(ROOT, 'data', 'templates', 'template.csv');
+const INPUT_FILE = path.join(ROOT, 'data', 'input', 'source-data.csv');
+const CONFIG_FILE = path.join(ROOT, 'config', 'mapping-config.json');
+const OUTPUT_FILE = path.join(ROOT, 'data', 'output', 'remapped-output.csv');
 
 console.log('Starting remapping test...');
 console.log(`Template: ${TEMPLATE_FILE}`);
@@ -6,178 +6,414 @@
  */
 
 const fs = require('fs');
-const { remapData, checkForDuplicates } = require('./excel-remapper');
+const path = require('path');
+const { remapData, remapDataStream, checkForDuplicates, readInput, readHeaderRow } = require('./excel-remapper');
+const { createSandbox } = require('./sandbox');
+const { writeIntoTemplate } = require('./template-writer');
+const { compilePipeline, usesFunctions: usesPipelineFunctions } = require('./pipeline');
+const { loadLookupTables } = require('./lookup-tables');
+const { compileColumnTypes, columnFormats } = require('./column-types');
+const { compileValidation, usesFunctions: usesValidationFunctions, resolveReportTarget, writeErrorReport } = require('./validation-rules');
+const { resolveRejectsPath, writeRejectsFile, RemapAbortedError } = require('./error-policy');
+const { compileRule, isDeclarativeRule } = require('./declarative-rules');
+const { validateConfig, validateConfigFile, findReferencedColumns, ConfigValidationError } = require('./config-validator');
+const { hasProfiles, resolveProfile, selectProfileForInput } = require('./mapping-profiles');
+const { deriveReverseMappings, reverseFormatOptions } = require('./reverse-mapping');
+const { diffWithOutput } = require('./output-diff');
+const { compileUniqueKeys, createKeyTracker } = require('./unique-keys');
+const logger = require('./logger');
 
 /**
  * Validates that specified ID columns contain unique values
  * 
  * @param {Array} inputRows - Array of data rows to validate
  * @param {Array|string} idColumns - Column name(s) to check for uniqueness
+ * @param {Array} [uniqueKeys=[]] - Further keys as in the config's `uniqueKeys` section (composite, normalized;
+ *                                  only keys on input columns are checked, see ./unique-keys.js)
  * @returns {Object} Validation results with any duplicate IDs found
  */
-function validateUniqueIds(inputRows, idColumns) {
-  // Convert single column to array for consistency
-  const columnsToCheck = Array.isArray(idColumns) ? idColumns : [idColumns];
-  
-  // Track validation results
-  const validationResults = {
-    isValid: true,
-    duplicates: [],
-    validationMessages: []
+function validateUniqueIds(inputRows, idColumns, uniqueKeys = []) {
+  const tracker = createKeyTracker(compileUniqueKeys(idColumns, uniqueKeys).filter(key => key.on === 'input'));
+  inputRows.forEach((row, index) => tracker.add(row, index));
+  return tracker.results();
+}
+
+/**
+ * Converts duplicate ID findings into error report entries (one per repeated row)
+ * 
+ * Rows rejected by a key's `rejectAll` policy are logged by the run itself.
+ * 
+ * @param {Object} validationResults - Results of validateUniqueIds / a key tracker
+ * @returns {Array} Error entries `{ row, source, column, value, rule, message }`
+ */
+function duplicateIdErrors(validationResults) {
+  const resolutions = {
+    keepFirst: ', row dropped',
+    keepLast: ', earlier rows dropped',
+    merge: ', merged into that row'
   };
+  return (validationResults.duplicates || [])
+    .filter(({ onDuplicate }) => onDuplicate !== 'rejectAll')
+    .flatMap(({ column, on = 'input', onDuplicate, duplicateValues }) => duplicateValues.map(dup => ({
+      row: dup.rows[dup.rows.length - 1] - 1, // Tracker rows count the header line
+      source: on,
+      column,
+      value: dup.value,
+      rule: 'unique',
+      message: `Duplicate value, first seen in data row ${dup.rows[0] - 1}${resolutions[onDuplicate] || ''}`
+    })));
+}
+
+/**
+ * Adds ID findings to the errors of a run and writes the error report and
+ * the rejects file (quarantine policy) if requested
+ * 
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @param {Object} result - Result of the remapping (with `errors`, `rejects` and `validation`)
+ * @param {string} outputFilePath - Path of the output file (the report is written next to it)
+ * @param {boolean|string|Object} [reportOverride] - Report setting overriding `validation.report`
+ * @returns {Object} The result, with `errorReport` and `rejectsFile` set to the paths of the files written
+ */
+function finishErrorReport(config, result, outputFilePath, reportOverride) {
+  result.errors = [...(result.errors || []), ...duplicateIdErrors(result.validation || {})];
+  if (config.profile) {
+    result.stats.profile = config.profile;
+  }
   
-  // Check each ID column
-  columnsToCheck.forEach(columnName => {
-    // Store seen values and their row numbers
-    const seenValues = {};
-    const duplicates = [];
-    
-    // Check each row
-    inputRows.forEach((row, index) => {
-      const value = row[columnName];
-      
-      // Skip undefined or null values
-      if (value === undefined || value === null || value === '') {
-        return;
-      }
-      
-      // Convert to string for consistency
-      const valueStr = String(value);
-      
-      if (seenValues[valueStr]) {
-        // Found a duplicate
-        // Add 2 for CSV consistency: +1 for 0-indexing, +1 for header row
-        const rowNum = index + 2;
-        duplicates.push({
-          value: valueStr,
-          rows: [...seenValues[valueStr], rowNum]
-        });
-        seenValues[valueStr].push(rowNum);
-        validationResults.isValid = false;
-      } else {
-        // First time seeing this value
-        // Add 2 to match CSV line numbers
-        seenValues[valueStr] = [index + 2];
-      }
-    });
-    
-    // Prepare validation messages
-    if (duplicates.length > 0) {
-      validationResults.duplicates.push({
-        column: columnName,
-        duplicateValues: duplicates
-      });
-      
-      // Add messages for each duplicate
-      duplicates.forEach(dup => {
-        const message = `Value "${dup.value}" in column "${columnName}" appears multiple times in rows: ${dup.rows.join(', ')}`;
-        validationResults.validationMessages.push(message);
-      });
-    }
-  });
+  const reportDef = reportOverride !== undefined ? reportOverride : config.validation && config.validation.report;
+  const target = resolveReportTarget(reportDef, outputFilePath);
+  if (target) {
+    writeErrorReport(target.filePath, result.errors, target.format);
+    result.errorReport = target.filePath;
+  }
   
-  return validationResults;
+  const rejectsPath = resolveRejectsPath(config.errorPolicy, outputFilePath);
+  if (rejectsPath && result.rejects) {
+    // Rejected rows are input rows: keep the input's delimiter so they can be fixed and run again
+    const inputFormat = result.stats && result.stats.inputFormat;
+    writeRejectsFile(rejectsPath, result.rejects, inputFormat ? { ...config.csvOptions, delimiter: inputFormat.delimiter, quoteChar: inputFormat.quoteChar } : config.csvOptions);
+    result.rejectsFile = rejectsPath;
+  }
+  
+  return result;
+}
+
+/**
+ * Writes the error report of a run aborted by its error policy
+ * 
+ * The report then holds the errors up to the abort; its path is set on the
+ * error as `errorReport`. Other errors are left alone.
+ * 
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @param {Error} error - Error thrown by the run
+ * @param {string} outputFilePath - Path of the output file
+ * @param {boolean|string|Object} [reportOverride] - Report setting overriding `validation.report`
+ */
+function reportAbortedRun(config, error, outputFilePath, reportOverride) {
+  if (!(error instanceof RemapAbortedError)) {
+    return;
+  }
+  
+  const reportDef = reportOverride !== undefined ? reportOverride : config.validation && config.validation.report;
+  const target = resolveReportTarget(reportDef, outputFilePath);
+  if (target) {
+    writeErrorReport(target.filePath, error.errors, target.format);
+    error.errorReport = target.filePath;
+  }
+}
+
+/**
+ * Picks the input rows of a preview run
+ * 
+ * @param {Array} rows - All input rows
+ * @param {Object} preview - `{ rows, sample }`: number of rows, and whether to spread them over
+ *                           the whole input instead of taking the first ones
+ * @returns {Array} The selected rows, in input order
+ */
+function selectPreviewRows(rows, preview) {
+  const count = Math.min(preview.rows, rows.length);
+  if (!preview.sample || count === rows.length) {
+    return rows.slice(0, count);
+  }
+  // Evenly spaced, so the same input always gives the same sample
+  const step = rows.length / count;
+  return Array.from({ length: count }, (_, index) => rows[Math.floor(index * step)]);
+}
+
+/**
+ * Picks the template of a run: the one given, otherwise the one of the loaded profile
+ * 
+ * @param {string} [templateFilePath] - Template given by the caller
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @returns {string} Path of the template file
+ * @throws {Error} If neither is set
+ */
+function resolveTemplate(templateFilePath, config) {
+  if (templateFilePath) {
+    return templateFilePath;
+  }
+  if (!config.template) {
+    throw new Error(config.profile
+      ? `No template file given and profile "${config.profile}" does not set one`
+      : 'No template file given');
+  }
+  return config.template;
+}
+
+/**
+ * Applies the run options that override parts of a loaded configuration
+ * 
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @param {Object} options - Run options (`sheets`, `errorPolicy`, `csvOptions`, `output`, `formats`)
+ */
+function applyRunOptions(config, options) {
+  config.sheets = { ...config.sheets, ...options.sheets };
+  config.formats = { ...config.formats, ...options.formats };
+  config.errorPolicy = { ...config.errorPolicy, ...options.errorPolicy };
+  config.csvOptions = { ...config.csvOptions, ...options.csvOptions };
+  config.output = { ...config.output, ...options.output };
 }
 
 /**
  * Loads a mapping configuration from a JSON file
  * and transforms string function definitions into actual functions
  * 
+ * Field mappings may be function strings or declarative rule objects
+ * (see ./declarative-rules.js). Functions are compiled inside a per-config
+ * sandbox (see ./sandbox.js) with a time limit per call, configurable
+ * through `sandbox.timeout`. Lookup sources (`lookups`) are loaded here,
+ * once per config, with paths relative to the config file.
+ * 
+ * For configs with profiles (see ./mapping-profiles.js) the sections of one
+ * profile are loaded: the one named in `options.profile`, otherwise the one
+ * matching the input file, otherwise the default profile.
+ * 
  * @param {string} configFilePath - Path to the JSON configuration file
- * @returns {Object} Processed configuration object with executable functions
+ * @param {Object} [options={}] - Profile selection
+ * @param {string} [options.profile] - Name of the profile to load
+ * @param {string} [options.inputFilePath] - Input file the profile is matched against
+ * @returns {Object} Processed configuration object with executable functions, plus the loaded `profile` name
+ *                   and its `template` (path relative to the config file resolved, or null)
+ * @throws {ConfigValidationError} If the configuration cannot be read, does not match the schema,
+ *                                 has no profile for the input or refers to lookup files that cannot be loaded
  */
-function loadMappingConfig(configFilePath) {
-  console.log(`Loading configuration from: ${configFilePath}`);
+function loadMappingConfig(configFilePath, options = {}) {
+  logger.debug(`Loading configuration from: ${configFilePath}`);
   
   // Read and parse the configuration file
-  const configContent = fs.readFileSync(configFilePath, 'utf8');
   let config;
   
   try {
-    config = JSON.parse(configContent);
+    config = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
   } catch (error) {
-    throw new Error(`Error parsing configuration file: ${error.message}`);
+    throw new ConfigValidationError(configFilePath, [{ path: '$', message: `Cannot read configuration: ${error.message}` }]);
+  }
+  
+  // Validate the structure before compiling anything
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    throw new ConfigValidationError(configFilePath, validation.errors);
+  }
+  
+  // Continue with the sections of the profile picked for this run
+  let profile = null;
+  if (hasProfiles(config)) {
+    try {
+      const selected = selectProfileForInput(config, options.profile, options.inputFilePath);
+      profile = { ...resolveProfile(config, selected.name), reason: selected.reason };
+    } catch (error) {
+      throw new ConfigValidationError(configFilePath, [{ path: '$.profiles', message: error.message }]);
+    }
+    const reasons = { explicit: 'selected', match: 'matches the input', default: 'default profile' };
+    logger.info(`Using profile "${profile.name}" (${reasons[profile.reason]})`);
+    config = profile.config;
   }
   
   // Initialize the processed configuration
   const processedConfig = {
     csvOptions: config.csvOptions || {},
     fieldMappings: {},
-    idColumns: config.idColumns || [] // New property for ID columns
+    idColumns: config.idColumns || [], // New property for ID columns
+    uniqueKeys: [], // Compiled `idColumns` and `uniqueKeys` (see ./unique-keys.js)
+    sheets: config.sheets || {}, // Sheet selection for Excel files
+    layout: config.layout || {}, // Header row / data range of template and input
+    output: config.output || {}, // Output options (e.g. start cell when writing into the template)
+    formats: config.formats || {}, // File formats of template, input and output (see ./format-adapters.js)
+    formatOptions: config.formatOptions || {}, // Settings per file format (e.g. fixed-width columns)
+    errorPolicy: config.errorPolicy || {}, // What happens to rows with errors (see ./error-policy.js)
+    lookups: {}, // Lookup tables by name (see ./lookup-tables.js)
+    columnTypes: compileColumnTypes(config.columnTypes), // Output type per template column (see ./column-types.js)
+    expectedInputColumns: [], // Input columns the mappings read (used to auto-detect the header row)
+    mappingDefs: { // Mapping definitions as written, to derive reverse mappings from (see ./reverse-mapping.js)
+      fieldMappings: config.fieldMappings || {},
+      reverseMappings: config.reverseMappings || {}
+    },
+    tests: config.tests || [], // Test cases of the field mappings (see ./config-tests.js)
+    profile: profile ? profile.name : null, // Loaded profile (see ./mapping-profiles.js)
+    template: profile && profile.template ? path.resolve(path.dirname(path.resolve(configFilePath)), profile.template) : null
   };
   
-  // Process helper functions first (if any)
-  const helperFunctions = {};
-  if (config.helperFunctions) {
-    for (const [funcName, funcDef] of Object.entries(config.helperFunctions)) {
-      try {
-        // Convert string function definition to actual function
-        helperFunctions[funcName] = eval(`(${funcDef})`);
-      } catch (error) {
-        console.error(`Error processing helper function '${funcName}':`, error);
-        throw new Error(`Invalid helper function definition for '${funcName}'`);
-      }
-    }
+  try {
+    processedConfig.uniqueKeys = compileUniqueKeys(config.idColumns, config.uniqueKeys);
+  } catch (error) {
+    throw new ConfigValidationError(configFilePath, [{ path: '$.uniqueKeys', message: error.message }]);
   }
   
-  // Make helper functions available in the global scope for the mapping functions
-  for (const [funcName, func] of Object.entries(helperFunctions)) {
-    global[funcName] = func;
+  const referencedColumns = Object.values(config.fieldMappings || {}).flatMap(findReferencedColumns);
+  const keyColumns = processedConfig.uniqueKeys.filter(key => key.on === 'input').flatMap(key => key.columns);
+  processedConfig.expectedInputColumns = [...new Set([...referencedColumns, ...keyColumns])];
+  
+  // Load lookup sources before compiling anything that uses them
+  try {
+    processedConfig.lookups = loadLookupTables(config.lookups, path.dirname(path.resolve(configFilePath)));
+  } catch (error) {
+    logger.error('Error loading lookups:', error.message);
+    throw new ConfigValidationError(configFilePath, [{ path: '$.lookups', message: error.message }]);
+  }
+  
+  const fieldMappingDefs = config.fieldMappings || {};
+  const helperDefs = config.helperFunctions || {};
+  
+  // Only string functions need the sandbox; purely declarative configs never evaluate code
+  const needsSandbox = Object.keys(helperDefs).length > 0 ||
+    Object.values(fieldMappingDefs).some(mappingDef => !isDeclarativeRule(mappingDef)) ||
+    Object.values(processedConfig.mappingDefs.reverseMappings).some(mappingDef => !isDeclarativeRule(mappingDef)) ||
+    usesPipelineFunctions(config.pipeline) ||
+    usesValidationFunctions(config.validation);
+  
+  // Compile helper functions into an isolated context owned by this config,
+  // so they never leak into the host process or into other loaded configs
+  processedConfig.sandbox = null;
+  if (needsSandbox) {
+    const sandboxOptions = config.sandbox || {};
+    try {
+      processedConfig.sandbox = createSandbox(helperDefs, {
+        timeout: sandboxOptions.timeout,
+        name: configFilePath,
+        lookups: processedConfig.lookups
+      });
+    } catch (error) {
+      logger.error('Error processing helper functions:', error.message);
+      throw error;
+    }
   }
   
   // Process field mappings
-  if (config.fieldMappings) {
-    for (const [field, mappingDef] of Object.entries(config.fieldMappings)) {
-      try {
-        // Convert string function definition to actual function
-        processedConfig.fieldMappings[field] = eval(`(${mappingDef})`);
-      } catch (error) {
-        console.error(`Error processing mapping for field '${field}':`, error);
-        throw new Error(`Invalid mapping definition for field '${field}'`);
-      }
+  for (const [field, mappingDef] of Object.entries(fieldMappingDefs)) {
+    try {
+      processedConfig.fieldMappings[field] = isDeclarativeRule(mappingDef)
+        ? compileRule(mappingDef, field, processedConfig.lookups) // Declarative rule object
+        : processedConfig.sandbox.compile(mappingDef, `mapping:${field}`); // String function definition
+    } catch (error) {
+      logger.error(`Error processing mapping for field '${field}':`, error.message);
+      throw new Error(`Invalid mapping definition for field '${field}': ${error.message}`);
     }
   }
   
+  // Compile pipeline stages (filter, explode, groupBy, ...) around the field mapping
+  try {
+    processedConfig.pipeline = compilePipeline(config.pipeline,
+      (source, label) => processedConfig.sandbox.compile(source, label), processedConfig.lookups);
+  } catch (error) {
+    logger.error('Error processing pipeline:', error.message);
+    throw new Error(`Invalid pipeline definition: ${error.message}`);
+  }
+  
+  // Compile column validation rules (see ./validation-rules.js)
+  try {
+    processedConfig.validation = config.validation
+      ? compileValidation(config.validation, (source, label) => processedConfig.sandbox.compile(source, label))
+      : null;
+  } catch (error) {
+    logger.error('Error processing validation rules:', error.message);
+    throw new Error(`Invalid validation definition: ${error.message}`);
+  }
+  
   return processedConfig;
 }
 
 /**
  * Main function to remap data using a configuration file with ID validation
  * 
- * @param {string} templateFilePath - Path to the template file
+ * @param {string} templateFilePath - Path to the template file (null: the template of the loaded profile)
  * @param {string} inputFilePath - Path to the input data file
  * @param {string} configFilePath - Path to the configuration file
  * @param {string} outputFilePath - Path where output should be saved
- * @returns {Object} Result of the remapping operation with validation results
+ * @param {Object} [options={}] - Run options
+ * @param {Object} [options.sheets] - Sheet selection overriding the config's `sheets` (template, input, output, errors)
+ * @param {boolean|string|Object} [options.errorReport] - Error report setting overriding `validation.report`
+ * @param {Object} [options.errorPolicy] - Error policy settings overriding the config's `errorPolicy`
+ * @param {Object} [options.csvOptions] - CSV options (e.g. `delimiter`, `encoding`) overriding the config's `csvOptions`
+ * @param {Object} [options.output] - Output options (e.g. `encoding`, `bom`) overriding the config's `output`
+ * @param {Object} [options.formats] - File formats (`input`, `output`) overriding the config's `formats`
+ * @param {string} [options.profile] - Profile of a config with profiles (default: picked by the input file)
+ * @param {Object} [options.preview] - `{ rows, sample }`: map only this many input rows, the first ones or
+ *                                     spread over the input (for dry runs; `stats.preview` tells how many)
+ * @param {Object} [options.diff] - `{ file, keyColumns }`: compare the result with an existing output file,
+ *                                  matching rows on key columns (default: the ones `idColumns` are copied to)
+ * @returns {Object} Result of the remapping operation with validation results, `errors`, `errorReport` and `rejectsFile`,
+ *                   plus `diff` (see ./output-diff.js) if requested
+ * @throws {RemapAbortedError} If the error policy aborts the run
  */
-function remapWithConfig(templateFilePath, inputFilePath, configFilePath, outputFilePath) {
+function remapWithConfig(templateFilePath, inputFilePath, configFilePath, outputFilePath, options = {}) {
   // Load and process the configuration
-  const config = loadMappingConfig(configFilePath);
-  
-  // Read input data to perform ID validation
-  const fs = require('fs');
-  const Papa = require('papaparse');
-  const inputData = fs.readFileSync(inputFilePath, 'utf8');
-  const parsedData = Papa.parse(inputData, {
-    header: true,
-    delimiter: config.csvOptions.delimiter || ',',
-    skipEmptyLines: true
-  });
+  const config = loadMappingConfig(configFilePath, { profile: options.profile, inputFilePath });
+  applyRunOptions(config, options);
   
+  let result;
+  try {
+    result = remapWithLoadedConfig(config, resolveTemplate(templateFilePath, config), inputFilePath, outputFilePath, options.preview);
+  } catch (error) {
+    reportAbortedRun(config, error, outputFilePath, options.errorReport);
+    throw error;
+  }
+  
+  if (options.diff) {
+    result.diff = diffWithOutput(options.diff.file, result, config, options.diff.keyColumns);
+  }
+  return finishErrorReport(config, result, outputFilePath, options.errorReport);
+}
+
+/**
+ * Runs ID validation and the remapping for an already loaded configuration
+ * 
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @param {string} templateFilePath - Path to the template file
+ * @param {string} inputFilePath - Path to the input data file
+ * @param {string} [outputFilePath] - Path where output should be saved
+ * @param {Object} [preview] - `{ rows, sample }`: map only some of the input rows (see selectPreviewRows)
+ * @returns {Object} Result of the remapping operation with validation results
+ */
+function remapWithLoadedConfig(config, templateFilePath, inputFilePath, outputFilePath, preview = undefined) {
   let validationResults = { isValid: true, validationMessages: [] };
   
-  // Perform ID validation if idColumns are specified
-  if (config.idColumns && config.idColumns.length > 0) {
-    validationResults = validateUniqueIds(parsedData.data, config.idColumns);
+  // Load the input once: ID validation and the remapping work on the same rows
+  const input = readInput(inputFilePath, {
+    csvOptions: config.csvOptions,
+    sheet: config.sheets.input,
+    layout: config.layout.input,
+    expectedColumns: config.expectedInputColumns,
+    format: config.formats.input,
+    formatOptions: config.formatOptions
+  });
+  const inputRows = input.rows.length;
+  if (preview) {
+    input.rows = selectPreviewRows(input.rows, preview);
   }
   
-  // Perform the remapping
-  const remapResult = remapData(templateFilePath, inputFilePath, config, outputFilePath);
+  // Perform the remapping, with ID validation if idColumns or unique keys are specified
+  const { keyDuplicates, ...remapResult } = remapData(templateFilePath, inputFilePath, config, outputFilePath, { input });
+  if (keyDuplicates) {
+    validationResults = keyDuplicates;
+  }
   
   // Update the stats with validation warnings
   if (validationResults.validationMessages && validationResults.validationMessages.length > 0) {
     remapResult.stats.validationWarnings = validationResults.validationMessages.length;
   }
+  if (preview) {
+    remapResult.stats.preview = { rows: input.rows.length, of: inputRows, sample: Boolean(preview.sample) };
+  }
   
   // Add validation results to the returned object
   return {
@@ -186,84 +422,209 @@ function remapWithConfig(templateFilePath, inputFilePath, configFilePath, output
   };
 }
 
-// Simple command-line interface
-function runFromCommandLine() {
-  const args = process.argv.slice(2);
+/**
+ * Remaps data and writes it into a copy of the Excel template
+ * 
+ * Unlike remapWithConfig, which builds a new workbook from the header row,
+ * the template file itself is filled below its header row (or from the
+ * config's `output.startCell`), keeping its styles, column widths, frozen
+ * panes, data validation lists and other sheets.
+ * 
+ * @param {string} templateFilePath - Path to the .xlsx template file (null: the template of the loaded profile)
+ * @param {string} inputFilePath - Path to the input data file
+ * @param {string} configFilePath - Path to the configuration file
+ * @param {string} outputFilePath - Path of the .xlsx file to write
+ * @param {Object} [options={}] - Run options
+ * @param {Object} [options.sheets] - Sheet selection overriding the config's `sheets`
+ * @param {string} [options.startCell] - Cell address or defined name overriding `output.startCell`
+ * @param {boolean|string|Object} [options.errorReport] - Error report setting overriding `validation.report`
+ * @param {Object} [options.errorPolicy] - Error policy settings overriding the config's `errorPolicy`
+ * @param {Object} [options.csvOptions] - CSV options overriding the config's `csvOptions`
+ * @param {string} [options.profile] - Profile of a config with profiles (default: picked by the input file)
+ * @returns {Promise<Object>} Result of the remapping operation, plus `templateOutput` placement info
+ */
+async function remapIntoTemplate(templateFilePath, inputFilePath, configFilePath, outputFilePath, options = {}) {
+  const config = loadMappingConfig(configFilePath, { profile: options.profile, inputFilePath });
+  applyRunOptions(config, options);
+  templateFilePath = resolveTemplate(templateFilePath, config);
   
-  if (args.length < 4) {
-    console.log('Usage: node advanced-remapper.js <template-file> <input-file> <config-file> <output-file>');
-    process.exit(1);
+  // Map without writing; the template writer produces the output file
+  let result;
+  try {
+    result = remapWithLoadedConfig(config, templateFilePath, inputFilePath, null);
+  } catch (error) {
+    reportAbortedRun(config, error, outputFilePath, options.errorReport);
+    throw error;
   }
   
-  const [templateFile, inputFile, configFile, outputFile] = args;
+  const placement = await writeIntoTemplate(templateFilePath, outputFilePath, result.headers, result.data, {
+    sheet: config.sheets.template,
+    headerRow: config.layout.template && config.layout.template.headerRow,
+    startCell: options.startCell || config.output.startCell,
+    formats: columnFormats(result.headers, config.columnTypes)
+  });
+  
+  logger.info(`Remapping complete! ${placement.rowsWritten} rows written into template sheet "${placement.sheetName}" from row ${placement.startRow}: ${outputFilePath}`);
+  
+  return finishErrorReport(config, {
+    ...result,
+    templateOutput: placement
+  }, outputFilePath, options.errorReport);
+}
+
+/**
+ * Streaming variant of remapWithConfig for inputs too large to hold in memory
+ * 
+ * ID validation runs on the fly while rows are streamed, so the input is
+ * only read once. Unique keys on output columns, and keys whose duplicates
+ * are resolved rather than reported, are not supported.
+ * 
+ * @param {string} templateFilePath - Path to the template file (null: the template of the loaded profile)
+ * @param {string} inputFilePath - Path to the input data file
+ * @param {string} configFilePath - Path to the configuration file
+ * @param {string} outputFilePath - Path of the text output file (CSV or a record format, not Excel)
+ * @param {Object} [options={}] - Streaming options (see remapDataStream), plus `sheets`, `errorReport`, `errorPolicy`,
+ *                                `csvOptions`, `output`, `formats` and `profile` as in remapWithConfig
+ * @returns {Promise<Object>} Result of the remapping operation with validation results
+ */
+async function remapWithConfigStream(templateFilePath, inputFilePath, configFilePath, outputFilePath, options = {}) {
+  const config = loadMappingConfig(configFilePath, { profile: options.profile, inputFilePath });
+  applyRunOptions(config, options);
+  templateFilePath = resolveTemplate(templateFilePath, config);
+  
+  // Keys are checked on the fly; resolving duplicates needs all rows at once
+  const keys = config.uniqueKeys || [];
+  const blockingKey = keys.find(key => key.on === 'output' || key.onDuplicate !== 'report');
+  if (blockingKey) {
+    const reason = blockingKey.on === 'output' ? 'on output columns' : `with onDuplicate "${blockingKey.onDuplicate}"`;
+    throw new Error(`Unique key ${blockingKey.label} ${reason} is not supported in streaming mode`);
+  }
+  const idTracker = keys.length > 0 ? createKeyTracker(keys) : null;
   
+  let remapResult;
   try {
-    const result = remapWithConfig(templateFile, inputFile, configFile, outputFile);
-    
-    console.log('\n✅ Remapping completed successfully!');
-    console.log(`Processed ${result.stats.totalRows} rows of data`);
-    
-    // Process and display issues without duplication
-    const issues = [];
-    
-    // Add ID validation issues
-    if (result.validation && result.validation.validationMessages) {
-      result.validation.validationMessages.forEach(msg => {
-        issues.push({
-          type: 'ID Validation',
-          message: msg
-        });
-      });
-    }
-    
-    // Add CSV parsing issues (de-duplicated)
-    if (result.stats.parseErrors) {
-      result.stats.parseErrors.forEach(err => {
-        issues.push({
-          type: 'CSV Format',
-          message: `Row ${err.row}: ${err.message}`
-        });
-      });
-    }
-    
-    // If we have issues, display them in a clean format
-    if (issues.length > 0) {
-      console.log(`\n⚠️ Issues Found: ${issues.length}`);
-      
-      // Group issues by type
-      const issuesByType = {};
-      issues.forEach(issue => {
-        if (!issuesByType[issue.type]) {
-          issuesByType[issue.type] = [];
+    remapResult = await remapDataStream(templateFilePath, inputFilePath, config, outputFilePath, {
+      ...options,
+      onRow: (dataRow, rowIndex) => {
+        if (idTracker) {
+          idTracker.add(dataRow, rowIndex);
         }
-        issuesByType[issue.type].push(issue.message);
-      });
-      
-      // Display issues by type
-      Object.keys(issuesByType).forEach(type => {
-        console.log(`\n${type} Issues:`);
-        issuesByType[type].forEach(message => {
-          console.log(`  - ${message}`);
-        });
-      });
-    }
-    
-    console.log(`\nOutput file saved to: ${outputFile}`);
-    
+        if (options.onRow) {
+          options.onRow(dataRow, rowIndex);
+        }
+      }
+    });
   } catch (error) {
-    console.error('Error during remapping:', error.message);
-    process.exit(1);
+    reportAbortedRun(config, error, outputFilePath, options.errorReport);
+    throw error;
+  }
+  
+  const validationResults = idTracker ? idTracker.results() : { isValid: true, validationMessages: [] };
+  
+  if (validationResults.validationMessages.length > 0) {
+    remapResult.stats.validationWarnings = validationResults.validationMessages.length;
   }
+  
+  return finishErrorReport(config, {
+    ...remapResult,
+    validation: validationResults
+  }, outputFilePath, options.errorReport);
 }
 
-// If this script is run directly (not imported)
-if (require.main === module) {
-  runFromCommandLine();
+/**
+ * Converts a file in the template layout back into the source schema
+ * 
+ * The field mappings of the config run the other way round: simple ones are
+ * inverted automatically, the config's `reverseMappings` declare the others
+ * (see ./reverse-mapping.js). The template of a reverse run is a file with
+ * the source columns, such as an earlier input; source columns nothing
+ * restores are left empty. The file formats, sheets and format settings of
+ * input and output are swapped, the input layout applies to the template;
+ * pipeline stages, column types, validation rules and the error policy are
+ * not used.
+ * 
+ * @param {string} templateFilePath - Path to a file with the columns of the source schema
+ * @param {string} inputFilePath - Path to the file in the template layout (e.g. an earlier output)
+ * @param {string} configFilePath - Path to the configuration file
+ * @param {string} [outputFilePath] - Path where the source-shaped output should be saved (null: not written)
+ * @param {Object} [options={}] - Run options `sheets`, `csvOptions`, `output`, `formats` (for the reverse run)
+ *                                and `profile` as in remapWithConfig (default: the default profile)
+ * @returns {Object} Result of the remapping operation, plus `reverse`: `{ fields, emptyColumns }` (see deriveReverseMappings)
+ */
+function reverseWithConfig(templateFilePath, inputFilePath, configFilePath, outputFilePath, options = {}) {
+  // A profile's template has the template layout, so it is no use here
+  if (!templateFilePath) {
+    throw new Error('No template file with the source columns given');
+  }
+  const config = loadMappingConfig(configFilePath, { profile: options.profile });
+  
+  const reverseConfig = {
+    ...config,
+    sheets: { template: config.sheets.input, input: config.sheets.output, output: config.sheets.input },
+    formats: { template: config.formats.input, input: config.formats.output, output: config.formats.input },
+    formatOptions: reverseFormatOptions(config.formatOptions),
+    layout: { template: config.layout.input },
+    columnTypes: {},
+    pipeline: null,
+    validation: null,
+    errorPolicy: {},
+    idColumns: [],
+    uniqueKeys: [],
+    expectedInputColumns: Object.keys(config.mappingDefs.fieldMappings)
+  };
+  applyRunOptions(reverseConfig, options);
+  
+  const sourceColumns = readHeaderRow(templateFilePath, reverseConfig.csvOptions, reverseConfig.sheets.template,
+    reverseConfig.layout.template, config.expectedInputColumns,
+    { format: reverseConfig.formats.template, formatOptions: reverseConfig.formatOptions, role: 'template' });
+  const { mappings, fields, emptyColumns } = deriveReverseMappings(config.mappingDefs.fieldMappings,
+    config.mappingDefs.reverseMappings, sourceColumns);
+  
+  reverseConfig.fieldMappings = {};
+  for (const [column, mappingDef] of Object.entries(mappings)) {
+    try {
+      reverseConfig.fieldMappings[column] = isDeclarativeRule(mappingDef)
+        ? compileRule(mappingDef, column, config.lookups)
+        : config.sandbox.compile(mappingDef, `reverse:${column}`);
+    } catch (error) {
+      throw new Error(`Invalid reverse mapping for column '${column}': ${error.message}`);
+    }
+  }
+  // Columns nothing restores are reported below, not warned about per run
+  emptyColumns.forEach(column => {
+    reverseConfig.fieldMappings[column] = () => '';
+  });
+  
+  if (config.pipeline && (config.pipeline.before.length > 0 || config.pipeline.after.length > 0)) {
+    logger.warn('Pipeline stages are not reversed: rows filtered, split or grouped by them are not restored');
+  }
+  
+  const result = remapData(templateFilePath, inputFilePath, reverseConfig, outputFilePath);
+  return {
+    ...result,
+    reverse: { fields, emptyColumns }
+  };
+}
+
+// Command-line interface: the same as `data-remapper.js remap <template> <input> <config> <output>`
+function runFromCommandLine() {
+  const { main } = require('../data-remapper');
+  main(['remap', ...process.argv.slice(2)]);
 }
 
 // Export the functions
 module.exports = {
   loadMappingConfig,
   remapWithConfig,
-  validateUniqueIds
-};
\ No newline at end of file
+  remapWithConfigStream,
+  remapIntoTemplate,
+  reverseWithConfig,
+  validateUniqueIds,
+  validateConfig,
+  validateConfigFile
+};
+
+// If this script is run directly (not imported; after the exports, which the CLI requires back)
+if (require.main === module) {
+  runFromCommandLine();
+}
@@ -0,0 +1,501 @@
+/**
+ * Batch Remapping
+ *
+ * This module remaps many input files with one template and config, e.g. the
+ * daily drops of several branches:
+ *
+ *   remapBatch('template.csv', findBatchInputs('drops/*.csv'), 'branches.json', {
+ *     outputDir: 'data/output',
+ *     outputPattern: '{name}-mapped.{ext}',
+ *     concurrency: 4,
+ *     combine: 'data/output/all-branches.csv'
+ *   });
+ *
+ * Files are remapped in parallel worker threads (one per file, at most
+ * `concurrency` at a time) or, with a concurrency of 1, one after another in
+ * this process. A failing file does not stop the others; its error is part of
+ * the per-file results.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const XLSX = require('xlsx');
+const Papa = require('papaparse');
+const { loadMappingConfig, remapWithConfig, remapWithConfigStream, remapIntoTemplate } = require('./advanced-remapper');
+const { validateConfigFile, ConfigValidationError } = require('./config-validator');
+const { writeWorkbook } = require('./excel-remapper');
+const { columnFormats } = require('./column-types');
+const { globToRegExp } = require('./file-patterns');
+const { readCsvFile, resolveOutputEncoding, writeTextFile } = require('./text-encoding');
+const { resolveFormat, optionsFor, readRecords, writeRecords, formatExtensions } = require('./format-adapters');
+const logger = require('./logger');
+
+// File types picked up when a folder is given: those of the known formats (see ./format-adapters.js)
+const isInputFile = file => formatExtensions().includes(path.extname(file).toLowerCase());
+
+// Output file names: input name without extension and input extension
+const DEFAULT_OUTPUT_PATTERN = '{name}-mapped.{ext}';
+
+/**
+ * Error thrown when the options of a batch do not work for its files
+ * (clashing output names, unknown placeholders, outputs that cannot be combined)
+ */
+class BatchOptionsError extends Error {
+  /**
+   * @param {string} message - What does not work
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'BatchOptionsError';
+  }
+}
+
+/**
+ * Lists the files below a folder, recursively if asked
+ *
+ * @param {string} folder - Folder to list
+ * @param {boolean} recursive - Whether to include subfolders
+ * @returns {Array} Absolute file paths
+ */
+function listFiles(folder, recursive) {
+  return fs.readdirSync(folder, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(folder, entry.name);
+    if (entry.isDirectory()) {
+      return recursive ? listFiles(entryPath, true) : [];
+    }
+    return entry.isFile() ? [entryPath] : [];
+  });
+}
+
+/**
+ * Finds the input files of a batch
+ *
+ * A folder stands for the CSV and Excel files directly inside it, a glob
+ * pattern (`drops/2024-*.csv`, `branches/**\/*.xlsx`) for the files it matches
+ * and any other path for that single file.
+ *
+ * @param {string|Array} patterns - Folders, glob patterns or files
+ * @param {string} [baseDir=process.cwd()] - Folder relative patterns are resolved against
+ * @returns {Array} Absolute paths of the matching files, sorted and without duplicates
+ */
+function findBatchInputs(patterns, baseDir = process.cwd()) {
+  const files = [].concat(patterns).flatMap(pattern => {
+    const fullPattern = path.resolve(baseDir, pattern);
+
+    if (!/[*?[{]/.test(pattern)) {
+      if (!fs.existsSync(fullPattern)) {
+        return [];
+      }
+      return fs.statSync(fullPattern).isDirectory()
+        ? listFiles(fullPattern, false).filter(isInputFile)
+        : [fullPattern];
+    }
+
+    // Walk from the last folder before the first wildcard
+    const segments = fullPattern.split(path.sep);
+    const firstWildcard = segments.findIndex(segment => /[*?[{]/.test(segment));
+    const root = segments.slice(0, firstWildcard).join(path.sep) || path.sep;
+    if (!fs.existsSync(root)) {
+      return [];
+    }
+
+    const matcher = globToRegExp(segments.slice(firstWildcard).join('/'));
+    const recursive = segments.length - firstWildcard > 1 || pattern.includes('**');
+    return listFiles(root, recursive)
+      .filter(file => matcher.test(path.relative(root, file).split(path.sep).join('/')));
+  });
+
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Builds the output file name of an input from a pattern
+ *
+ * Placeholders: `{name}` (input name without extension), `{ext}` (input
+ * extension without the dot), `{dir}` (name of the input's folder) and
+ * `{index}` (position of the file in the batch, from 1).
+ *
+ * @param {string} pattern - Output name pattern, e.g. `{name}-mapped.{ext}`
+ * @param {string} inputFilePath - Path of the input file
+ * @param {number} [index=0] - 0-based position of the file in the batch
+ * @returns {string} Output file name
+ */
+function formatOutputName(pattern, inputFilePath, index = 0) {
+  const ext = path.extname(inputFilePath);
+  const values = {
+    name: path.basename(inputFilePath, ext),
+    ext: ext.slice(1),
+    dir: path.basename(path.dirname(inputFilePath)),
+    index: String(index + 1)
+  };
+
+  return pattern.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (values[key] === undefined) {
+      throw new BatchOptionsError(`Unknown placeholder ${placeholder} in output pattern "${pattern}" (use {name}, {ext}, {dir} or {index})`);
+    }
+    return values[key];
+  });
+}
+
+/**
+ * Creates a logger that labels the messages of one file
+ *
+ * Info messages of a file become debug messages: the batch summary replaces
+ * the per-file output, which stays available with the debug level.
+ *
+ * @param {string} label - Label put in front of every message
+ * @param {Function} write - Called with `(level, message)`
+ * @returns {Object} Logger for the file
+ */
+function createFileLogger(label, write) {
+  const forward = level => (...args) => write(level, `[${label}] ${util.format(...args)}`);
+  return {
+    error: forward('error'),
+    warn: forward('warn'),
+    info: forward('debug'),
+    debug: forward('debug')
+  };
+}
+
+/**
+ * Remaps one file of a batch
+ *
+ * @param {Object} job - `{ mode, templateFilePath, inputFilePath, configFilePath, outputFilePath, remapOptions }`
+ * @returns {Promise<Object>} Per-file result (errors are returned, not thrown)
+ */
+async function remapBatchFile(job) {
+  const { mode, templateFilePath, inputFilePath, configFilePath, outputFilePath, remapOptions } = job;
+  const startedAt = Date.now();
+
+  try {
+    let result;
+    if (mode === 'stream') {
+      result = await remapWithConfigStream(templateFilePath, inputFilePath, configFilePath, outputFilePath, remapOptions);
+    } else if (mode === 'template') {
+      result = await remapIntoTemplate(templateFilePath, inputFilePath, configFilePath, outputFilePath, remapOptions);
+    } else {
+      result = remapWithConfig(templateFilePath, inputFilePath, configFilePath, outputFilePath, remapOptions);
+    }
+
+    return {
+      input: inputFilePath,
+      output: outputFilePath,
+      status: 'success',
+      stats: result.stats,
+      validationWarnings: result.validation ? result.validation.validationMessages.length : 0,
+      errorCount: result.errors ? result.errors.length : 0,
+      errorReport: result.errorReport || null,
+      rejectsFile: result.rejectsFile || null,
+      error: null,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      input: inputFilePath,
+      output: null,
+      status: 'failed',
+      stats: error.stats || null,
+      validationWarnings: 0,
+      errorCount: error.errors ? error.errors.length : 0,
+      errorReport: error.errorReport || null,
+      rejectsFile: null,
+      // Plain fields, so the error can be passed back from a worker thread
+      error: { name: error.name, message: error.message, code: error.code || null },
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+/**
+ * Remaps one file in this process, with its messages labelled
+ *
+ * @param {Object} job - Job as for remapBatchFile
+ * @returns {Promise<Object>} Per-file result
+ */
+async function runInProcess(job) {
+  const previous = logger.getLogger();
+  logger.setLogger(createFileLogger(path.basename(job.inputFilePath), (level, message) => previous[level](message)));
+  try {
+    return await remapBatchFile(job);
+  } finally {
+    logger.setLogger(previous);
+  }
+}
+
+/**
+ * Remaps one file in a worker thread of its own
+ *
+ * @param {Object} job - Job as for remapBatchFile
+ * @returns {Promise<Object>} Per-file result
+ */
+function runInWorker(job) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const worker = new Worker(__filename, { workerData: { batchWorker: true, job } });
+    let result = null;
+
+    // Results of a worker that crashed before it could report one
+    const crashed = message => ({
+      input: job.inputFilePath,
+      output: null,
+      status: 'failed',
+      stats: null,
+      validationWarnings: 0,
+      errorCount: 0,
+      errorReport: null,
+      rejectsFile: null,
+      error: { name: 'Error', message, code: null },
+      durationMs: Date.now() - startedAt
+    });
+
+    worker.on('message', message => {
+      if (message.type === 'log') {
+        logger[message.level](message.message);
+      } else if (message.type === 'result') {
+        result = message.result;
+      }
+    });
+    worker.on('error', error => {
+      result = result || crashed(error.message);
+    });
+    worker.on('exit', code => {
+      resolve(result || crashed(`Worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Runs a task for every item with at most `limit` tasks at a time
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of tasks running at once
+ * @param {Function} task - Called with `(item, index)`, returns a promise
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function runWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Finds where the header record of CSV text ends
+ *
+ * @param {string} text - CSV text
+ * @param {string} quoteChar - Quote character of the text
+ * @returns {number} Position of the line break after the header (text length if there is none)
+ */
+function headerRecordEnd(text, quoteChar) {
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === quoteChar) {
+      inQuotes = !inQuotes; // A doubled quote toggles twice
+    } else if (!inQuotes && (text[i] === '\n' || text[i] === '\r')) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Concatenates the outputs of the successful files into one file
+ *
+ * CSV and TSV outputs are joined as text below a single header row, in the
+ * encoding of the outputs; other text formats (JSON, XML, ...) are read back
+ * and written as one file; Excel outputs are read back and written as one
+ * sheet with the number formats of the config's column types.
+ *
+ * @param {Array} outputFilePaths - Outputs in batch order
+ * @param {string} combinedFilePath - Path of the combined file
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @param {Object} [remapOptions={}] - Run options of the files (`output`, `formats`) overriding the config
+ * @returns {number} Number of data rows written
+ */
+function combineOutputs(outputFilePaths, combinedFilePath, config, remapOptions = {}) {
+  const target = resolveOutputEncoding({ ...config.output, ...remapOptions.output });
+  const format = resolveFormat(combinedFilePath, { ...config.formats, ...remapOptions.formats }.output);
+  
+  if (format.kind === 'delimited') {
+    let rowCount = 0;
+    const parts = outputFilePaths.map((filePath, index) => {
+      const csvFile = readCsvFile(filePath, { encoding: target.encoding });
+      const content = csvFile.text.replace(/(\r?\n)+$/, '');
+      const { quoteChar } = csvFile.csvOptions;
+      const headerEnd = headerRecordEnd(content, quoteChar);
+      const body = content.slice(headerEnd).replace(/^\r?\n/, '');
+      rowCount += body ? Papa.parse(body, { ...csvFile.csvOptions, escapeChar: '\\', skipEmptyLines: true }).data.length : 0;
+      // Everything after the header row of all but the first file
+      return index === 0 ? content : body;
+    });
+    writeTextFile(combinedFilePath, parts.filter(Boolean).join('\r\n'), target);
+    return rowCount;
+  }
+
+  if (format.kind === 'records') {
+    const options = optionsFor(config.formatOptions, format.name, 'output');
+    let headers = null;
+    const rows = [];
+    outputFilePaths.forEach(filePath => {
+      const records = readRecords(filePath, format, { ...options, encoding: target.encoding });
+      headers = headers || records.headers;
+      rows.push(...records.rows.map(row => headers.map(header => row[header])));
+    });
+    writeRecords(combinedFilePath, format, headers || [], rows, options, target);
+    return rows.length;
+  }
+
+  let headers = [];
+  let sheetName = null;
+  const rows = [];
+  outputFilePaths.forEach(filePath => {
+    const workbook = XLSX.readFile(filePath);
+    sheetName = sheetName || workbook.SheetNames[0];
+    const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, raw: true, defval: '' });
+    headers = headers.length > 0 ? headers : headerRow;
+    rows.push(...dataRows);
+  });
+
+  const formats = Object.keys(config.columnTypes).length > 0 ? columnFormats(headers, config.columnTypes) : undefined;
+  writeWorkbook(combinedFilePath, [{ name: sheetName, rows: [headers, ...rows], formats }]);
+  return rows.length;
+}
+
+/**
+ * Remaps a batch of input files with one template and config
+ *
+ * @param {string} templateFilePath - Path to the template file
+ * @param {Array} inputFilePaths - Paths of the input files (see findBatchInputs)
+ * @param {string} configFilePath - Path to the configuration file
+ * @param {Object} [options={}] - Batch options
+ * @param {string} [options.outputDir] - Folder for the outputs (default: the folder of each input)
+ * @param {string} [options.outputPattern='{name}-mapped.{ext}'] - Output file names (see formatOutputName); without a pattern,
+ *                                                              an output format in `remapOptions.formats` sets the extension
+ * @param {number} [options.concurrency] - Files remapped at once (default: number of CPUs, at most 4)
+ * @param {string} [options.mode='standard'] - `standard`, `stream` (text outputs) or `template` (fill the .xlsx template)
+ * @param {string} [options.combine] - Path of a file that receives all outputs concatenated
+ * @param {Object} [options.remapOptions={}] - Run options of every file (`sheets`, `errorReport`, `errorPolicy`,
+ *                                             `csvOptions`, `output`, `formats`, `startCell`, `profile`), as for remapWithConfig;
+ *                                             without a profile, each file gets the profile matching it
+ * @param {Function} [options.onFileDone] - Called with each per-file result as soon as the file is done
+ * @returns {Promise<Object>} `{ files, totals, combinedOutput }` with one result per input, in input order
+ * @throws {BatchOptionsError} If the output names clash or the outputs cannot be combined
+ * @throws {ConfigValidationError} If the configuration is invalid (checked once, before any file is read)
+ */
+async function remapBatch(templateFilePath, inputFilePaths, configFilePath, options = {}) {
+  const mode = options.mode || 'standard';
+  const outputFormat = options.remapOptions && options.remapOptions.formats && options.remapOptions.formats.output;
+  const outputExt = outputFormat ? resolveFormat(null, outputFormat).extensions[0] : null;
+  const outputPattern = options.outputPattern || (outputExt ? `{name}-mapped${outputExt}` : DEFAULT_OUTPUT_PATTERN);
+  const concurrency = Math.max(1, options.concurrency || Math.min(4, os.cpus().length));
+  const startedAt = Date.now();
+
+  if (options.combine && mode === 'template') {
+    throw new BatchOptionsError('Outputs written into the template cannot be combined');
+  }
+
+  // Check the config once up front, so an invalid config fails the batch instead of every file
+  const validation = validateConfigFile(configFilePath);
+  if (!validation.valid) {
+    throw new ConfigValidationError(configFilePath, validation.errors);
+  }
+
+  const jobs = inputFilePaths.map((inputFilePath, index) => ({
+    mode,
+    templateFilePath,
+    inputFilePath,
+    configFilePath,
+    outputFilePath: path.join(options.outputDir || path.dirname(inputFilePath), formatOutputName(outputPattern, inputFilePath, index)),
+    remapOptions: options.remapOptions || {}
+  }));
+
+  // Outputs must neither overwrite each other nor an input
+  const seen = new Map();
+  jobs.forEach(job => {
+    const key = path.resolve(job.outputFilePath);
+    if (seen.has(key)) {
+      throw new BatchOptionsError(`${seen.get(key)} and ${job.inputFilePath} would both be written to ${job.outputFilePath}; ` +
+        'add {dir} or {index} to the output pattern');
+    }
+    if (inputFilePaths.some(inputFilePath => path.resolve(inputFilePath) === key)) {
+      throw new BatchOptionsError(`Output ${job.outputFilePath} would overwrite an input file; change the output pattern or folder`);
+    }
+    seen.set(key, job.inputFilePath);
+  });
+  if (options.combine) {
+    const combinedExt = path.extname(options.combine).toLowerCase();
+    const mismatch = jobs.find(job => path.extname(job.outputFilePath).toLowerCase() !== combinedExt);
+    if (mismatch) {
+      throw new BatchOptionsError(`The combined output ${path.basename(options.combine)} must have the format of the per-file outputs ` +
+        `(${path.basename(mismatch.outputFilePath)}); set the output pattern's extension to match`);
+    }
+  }
+
+  if (options.outputDir) {
+    fs.mkdirSync(options.outputDir, { recursive: true });
+  }
+  logger.info(`Remapping ${jobs.length} file(s), ${Math.min(concurrency, jobs.length)} at a time`);
+
+  const runFile = concurrency > 1 && jobs.length > 1 ? runInWorker : runInProcess;
+  const files = await runWithConcurrency(jobs, concurrency, async job => {
+    const result = await runFile(job);
+    if (options.onFileDone) {
+      options.onFileDone(result);
+    }
+    return result;
+  });
+
+  const succeeded = files.filter(file => file.status === 'success');
+  const sum = key => succeeded.reduce((total, file) => total + (file.stats[key] || 0), 0);
+
+  let combinedOutput = null;
+  if (options.combine && succeeded.length > 0) {
+    // Output options (encoding, column types) of the config as loaded for the first file
+    const remapOptions = options.remapOptions || {};
+    const config = loadMappingConfig(configFilePath, { profile: remapOptions.profile, inputFilePath: succeeded[0].input });
+    const rows = combineOutputs(succeeded.map(file => file.output), options.combine, config, remapOptions);
+    combinedOutput = { file: options.combine, files: succeeded.length, rows };
+    logger.info(`Combined ${succeeded.length} output(s), ${rows} rows, into: ${options.combine}`);
+  }
+
+  return {
+    files,
+    totals: {
+      files: files.length,
+      succeeded: succeeded.length,
+      failed: files.length - succeeded.length,
+      totalRows: sum('totalRows'),
+      outputRows: sum('outputRows'),
+      errorRows: sum('errorRows'),
+      durationMs: Date.now() - startedAt
+    },
+    combinedOutput
+  };
+}
+
+// Worker thread: remaps the file it was started for and reports back
+if (!isMainThread && workerData && workerData.batchWorker) {
+  const { job } = workerData;
+  logger.setLogger(createFileLogger(path.basename(job.inputFilePath),
+    (level, message) => parentPort.postMessage({ type: 'log', level, message })));
+  remapBatchFile(job).then(result => parentPort.postMessage({ type: 'result', result }));
+}
+
+module.exports = {
+  remapBatch,
+  findBatchInputs,
+  formatOutputName,
+  BatchOptionsError,
+  DEFAULT_OUTPUT_PATTERN
+};
@@ -0,0 +1,381 @@
+/**
+ * Typed Output Columns
+ *
+ * This module converts mapped values to the type declared for their
+ * template column in the `columnTypes` section of a mapping config, so Excel
+ * output gets real number, date and boolean cells with number formats and
+ * CSV output gets consistently formatted text:
+ *
+ *   "columnTypes": {
+ *     "CustomerID": "string",                                   - Kept as text ("001" stays "001")
+ *     "TotalOrders": "integer",
+ *     "Weight": { "type": "decimal", "precision": 3 },
+ *     "JoinDate": { "type": "date", "format": "DD.MM.YYYY" },
+ *     "Active": { "type": "boolean", "true": "Y", "false": "N" },
+ *     "Revenue": { "type": "currency", "symbol": "€", "precision": 2 }
+ *   }
+ *
+ * Empty values stay empty. Values that cannot be converted are left as they
+ * are and reported as row errors.
+ */
+
+const { formatDateValue } = require('./declarative-rules');
+
+// Supported column types
+const COLUMN_TYPES = ['string', 'integer', 'decimal', 'date', 'boolean', 'currency'];
+
+// Text accepted as true / false by boolean columns (besides the configured literals)
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'no', 'n'];
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 86400000;
+
+// ISO forms accepted by date columns besides their own format
+const ISO_DATE_FORMATS = ['YYYY-MM-DD', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DDTHH:mm:ss'];
+
+/**
+ * Checks whether a value counts as empty (written as an empty cell)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Converts a value to a finite number
+ *
+ * @param {*} value - Number or numeric text
+ * @param {string} [symbol=''] - Currency symbol allowed in the text
+ * @returns {number} Parsed number
+ */
+function parseNumber(value, symbol = '') {
+  if (typeof value === 'number') {
+    if (!isFinite(value)) throw new Error(`"${value}" is not a number`);
+    return value;
+  }
+
+  let text = String(value).trim();
+  if (symbol) {
+    text = text.split(symbol).join('').trim();
+  }
+
+  const number = text === '' ? NaN : Number(text);
+  if (!isFinite(number)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Reads date text written in a token pattern
+ *
+ * @param {string} text - Date text
+ * @param {string} format - Pattern with the tokens of formatDateValue (`YY` is a year of 2000-2099)
+ * @returns {Date|null} Date (UTC), or null if the text does not match the pattern or is no real date
+ */
+function parseDatePattern(text, format) {
+  const tokens = [];
+  const source = format
+    .split(/(YYYY|YY|MM|DD|HH|mm|ss)/)
+    .map(part => {
+      if (part === 'YYYY') {
+        tokens.push(part);
+        return '(\\d{4})';
+      }
+      if (/^(YY|MM|DD|HH|mm|ss)$/.test(part)) {
+        tokens.push(part);
+        return '(\\d{2})';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const match = new RegExp(`^${source}$`).exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+  tokens.forEach((token, index) => {
+    const number = Number(match[index + 1]);
+    if (token === 'YY') {
+      parts.YYYY = 2000 + number;
+    } else {
+      parts[token] = number;
+    }
+  });
+  if (parts.HH > 23 || parts.mm > 59 || parts.ss > 59) {
+    return null;
+  }
+
+  // Out-of-range days and months roll over in Date.UTC, so compare them back
+  const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss));
+  date.setUTCFullYear(parts.YYYY);
+  return date.getUTCMonth() === parts.MM - 1 && date.getUTCDate() === parts.DD ? date : null;
+}
+
+/**
+ * Converts a value to a Date (numbers are read as Excel date serials)
+ *
+ * Text must be an ISO date (`YYYY-MM-DD`, optionally with `THH:mm` or
+ * `THH:mm:ss`) or match the column's `format`.
+ *
+ * @param {*} value - Date, Excel serial number or date text
+ * @param {string} [format] - Pattern of the column (see formatDateValue)
+ * @returns {Date} Parsed date
+ */
+function parseDate(value, format) {
+  let date;
+  if (value instanceof Date || typeof value === 'number') {
+    date = value instanceof Date ? value : new Date(Math.round((value - EXCEL_EPOCH_OFFSET) * MS_PER_DAY));
+  } else {
+    const text = String(value).trim();
+    date = ISO_DATE_FORMATS.concat(format || []).reduce((parsed, pattern) => parsed || parseDatePattern(text, pattern), null);
+  }
+
+  if (!date || isNaN(date.getTime())) {
+    const expected = format && !ISO_DATE_FORMATS.includes(format) ? `${format} or YYYY-MM-DD` : 'YYYY-MM-DD';
+    throw new Error(`"${value}" is not a valid date (expected ${expected})`);
+  }
+  return date;
+}
+
+/**
+ * Converts a date pattern such as "DD.MM.YYYY HH:mm" to an Excel number format
+ *
+ * @param {string} format - Pattern with the tokens of formatDateValue
+ * @returns {string} Excel number format, e.g. "dd.mm.yyyy hh:mm"
+ */
+function toExcelDateFormat(format) {
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => ({
+    YYYY: 'yyyy', YY: 'yy', MM: 'mm', DD: 'dd', HH: 'hh', mm: 'mm', ss: 'ss'
+  })[token]);
+}
+
+/**
+ * Formats a number with a fixed number of decimals
+ *
+ * @param {number} number - Number to format
+ * @param {number} precision - Number of decimals
+ * @param {string} [decimalSeparator='.'] - Decimal separator of the text
+ * @returns {string} Formatted number
+ */
+function toFixedText(number, precision, decimalSeparator = '.') {
+  const text = number.toFixed(precision);
+  return decimalSeparator === '.' ? text : text.replace('.', decimalSeparator);
+}
+
+/**
+ * Compiles one column type definition
+ *
+ * @param {string|Object} typeDef - Type name or `{ type, ...options }`
+ * @param {string} header - Template column (for error messages)
+ * @returns {Object} `{ type, numFmt, convert(value), toText(value) }`; convert throws
+ *                   for values that do not fit the type
+ */
+function compileColumnType(typeDef, header) {
+  const options = typeof typeDef === 'string' ? { type: typeDef } : { ...typeDef };
+  if (!COLUMN_TYPES.includes(options.type)) {
+    throw new Error(`Column type for '${header}' must be one of: ${COLUMN_TYPES.join(', ')}`);
+  }
+
+  const decimalSeparator = options.decimalSeparator || '.';
+
+  switch (options.type) {
+    case 'string':
+      return {
+        type: 'string',
+        numFmt: '@',
+        convert: value => String(value),
+        toText: value => String(value)
+      };
+
+    case 'integer':
+      return {
+        type: 'integer',
+        numFmt: options.numFmt || '0',
+        convert: value => {
+          const number = parseNumber(value);
+          if (!Number.isInteger(number)) throw new Error(`"${value}" is not a whole number`);
+          return number;
+        },
+        toText: value => String(value)
+      };
+
+    case 'decimal':
+    case 'currency': {
+      const isCurrency = options.type === 'currency';
+      const precision = options.precision === undefined ? 2 : options.precision;
+      const symbol = isCurrency ? (options.symbol || '') : '';
+      const decimals = precision > 0 ? `.${'0'.repeat(precision)}` : '';
+      const defaultFormat = isCurrency ? `#,##0${decimals}` : `0${decimals}`;
+
+      return {
+        type: options.type,
+        numFmt: options.numFmt || (symbol ? `"${symbol}"${defaultFormat}` : defaultFormat),
+        convert: value => Number(parseNumber(value, symbol).toFixed(precision)),
+        toText: value => (typeof value === 'number' ? `${symbol}${toFixedText(value, precision, decimalSeparator)}` : String(value))
+      };
+    }
+
+    case 'date': {
+      const format = options.format || 'YYYY-MM-DD';
+      return {
+        type: 'date',
+        numFmt: options.numFmt || toExcelDateFormat(format),
+        convert: value => parseDate(value, format),
+        toText: value => (value instanceof Date ? formatDateValue(value, format) : String(value))
+      };
+    }
+
+    case 'boolean': {
+      const trueText = options.true === undefined ? 'true' : String(options.true);
+      const falseText = options.false === undefined ? 'false' : String(options.false);
+      return {
+        type: 'boolean',
+        numFmt: null,
+        convert: value => {
+          if (typeof value === 'boolean') return value;
+          const text = String(value).trim().toLowerCase();
+          if (text === trueText.toLowerCase() || TRUE_VALUES.includes(text)) return true;
+          if (text === falseText.toLowerCase() || FALSE_VALUES.includes(text)) return false;
+          throw new Error(`"${value}" is not a boolean`);
+        },
+        toText: value => (typeof value === 'boolean' ? (value ? trueText : falseText) : String(value))
+      };
+    }
+
+    default:
+      // Unreachable: checked against COLUMN_TYPES above
+      throw new Error(`Unknown column type for '${header}'`);
+  }
+}
+
+/**
+ * Compiles the `columnTypes` section of a config
+ *
+ * @param {Object} [typeDefs={}] - Type definitions keyed by template header
+ * @returns {Object} Compiled column types keyed by template header
+ */
+function compileColumnTypes(typeDefs = {}) {
+  return Object.fromEntries(Object.entries(typeDefs).map(([header, typeDef]) => [header, compileColumnType(typeDef, header)]));
+}
+
+/**
+ * Converts the values of one output row to their column types
+ *
+ * @param {Array} row - Output row in template column order
+ * @param {number} rowIndex - 0-based index of the output row
+ * @param {Array} headers - Template headers
+ * @param {Object} columnTypes - Compiled column types keyed by header
+ * @param {Object} stats - Statistics object; counts `typeErrors` and rows with errors
+ * @param {Array} [errorLog] - Optional list that receives an error entry per failed value (see ./validation-rules.js)
+ * @param {Array} [failedColumns=[]] - Columns whose mapping failed: their error value is not converted,
+ *                                     and the row is already counted in `errorRows`
+ * @returns {Array} Row with typed values (failed values are left unchanged)
+ */
+function applyColumnTypes(row, rowIndex, headers, columnTypes, stats, errorLog = null, failedColumns = []) {
+  let rowHasError = false;
+
+  const typedRow = headers.map((header, col) => {
+    const value = row[col];
+    const columnType = columnTypes[header];
+    if (!columnType || isEmpty(value) || failedColumns.includes(header)) {
+      return value;
+    }
+
+    try {
+      return columnType.convert(value);
+    } catch (error) {
+      rowHasError = true;
+      stats.typeErrors = (stats.typeErrors || 0) + 1;
+      stats.warnings++;
+      if (errorLog) {
+        errorLog.push({ row: rowIndex + 1, source: 'output', column: header, value, rule: 'type', message: `Expected ${columnType.type}: ${error.message}` });
+      }
+      return value;
+    }
+  });
+
+  if (rowHasError && failedColumns.length === 0) {
+    stats.errorRows++;
+  }
+
+  return typedRow;
+}
+
+/**
+ * Formats a typed output row as CSV text
+ *
+ * @param {Array} row - Row with typed values
+ * @param {Array} headers - Template headers
+ * @param {Object} columnTypes - Compiled column types keyed by header
+ * @returns {Array} Row of strings (empty values stay empty)
+ */
+function formatRowText(row, headers, columnTypes) {
+  return headers.map((header, col) => {
+    const value = row[col];
+    if (isEmpty(value)) {
+      return '';
+    }
+    return columnTypes[header] ? columnTypes[header].toText(value) : value;
+  });
+}
+
+/**
+ * Formats a typed output row for formats with typed values (JSON)
+ *
+ * Numbers and booleans stay as they are, dates become text in their format.
+ *
+ * @param {Array} row - Row with typed values
+ * @param {Array} headers - Template headers
+ * @param {Object} columnTypes - Compiled column types keyed by header
+ * @returns {Array} Row of values (empty values of typed columns other than strings become null)
+ */
+function formatRowValues(row, headers, columnTypes) {
+  return headers.map((header, col) => {
+    const value = row[col];
+    const columnType = columnTypes[header];
+    if (!columnType) {
+      return value;
+    }
+    if (isEmpty(value)) {
+      return columnType.type === 'string' ? '' : null;
+    }
+    return value instanceof Date || columnType.type === 'string' ? columnType.toText(value) : value;
+  });
+}
+
+/**
+ * Lists the Excel number format of each output column
+ *
+ * @param {Array} headers - Template headers
+ * @param {Object} columnTypes - Compiled column types keyed by header
+ * @returns {Array} Number format per column (null for untyped columns)
+ */
+function columnFormats(headers, columnTypes) {
+  return headers.map(header => (columnTypes[header] ? columnTypes[header].numFmt : null));
+}
+
+/**
+ * Converts a Date to an Excel date serial (UTC, like formatDateValue)
+ *
+ * @param {Date} date - Date to convert
+ * @returns {number} Days since the Excel epoch
+ */
+function toExcelSerial(date) {
+  return date.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+}
+
+module.exports = {
+  compileColumnTypes,
+  applyColumnTypes,
+  formatRowText,
+  formatRowValues,
+  columnFormats,
+  toExcelSerial,
+  COLUMN_TYPES
+};
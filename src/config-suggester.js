@@ -0,0 +1,415 @@
+/**
+ * Mapping Suggestions
+ *
+ * This module drafts the `fieldMappings` of a new feed: every template header
+ * is matched to the input column that fits it best, judged by
+ *
+ *   - the names: same name ignoring case and separators, shared words
+ *     (CustomerID ~ customer_id), synonyms (Surname ~ last_name) and
+ *     spelling (Adress ~ address)
+ *   - the values: columns whose sample values look like what the header
+ *     expects (emails for "EmailAddress", dates for "JoinDate", ...)
+ *
+ * Each suggestion has a confidence between 0 and 1 and the reasons for it.
+ * Headers without a match above the minimum confidence get a TODO entry.
+ */
+
+const path = require('path');
+const { readHeaderRow } = require('./excel-remapper');
+const { inspectFile } = require('./file-inspector');
+
+// Matches below this confidence are left as TODO entries
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Data rows read from the input to recognise value patterns
+const DEFAULT_SAMPLE_ROWS = 200;
+
+// Words that mean the same in column names; each word is compared as the first word of its group
+const SYNONYMS = [
+  ['id', 'identifier', 'key', 'nr', 'no', 'num', 'number', 'code'],
+  ['customer', 'client', 'account', 'cust'],
+  ['email', 'mail', 'e-mail', 'emailaddress'],
+  ['phone', 'telephone', 'tel', 'mobile', 'cell'],
+  ['first', 'given', 'fore', 'firstname', 'forename'],
+  ['last', 'family', 'surname', 'lastname'],
+  ['name', 'fullname'],
+  ['join', 'joined', 'signup', 'registration', 'registered', 'start', 'created'],
+  ['date', 'day', 'dt'],
+  ['total', 'sum', 'count', 'quantity', 'qty', 'amount'],
+  ['order', 'purchase'],
+  ['status', 'state', 'active', 'enabled'],
+  ['street', 'address', 'addr'],
+  ['zip', 'postcode', 'postal', 'plz'],
+  ['city', 'town'],
+  ['country', 'nation'],
+  ['company', 'organisation', 'organization', 'firm', 'org'],
+  ['note', 'comment', 'remark', 'description', 'memo']
+];
+
+const CANONICAL_WORDS = new Map(SYNONYMS.flatMap(group => group.map(word => [word, group[0]])));
+
+// Kinds of values a header asks for, by the (canonical) words of its name
+const EXPECTED_KINDS = [
+  { kind: 'email', words: ['email'] },
+  { kind: 'phone', words: ['phone', 'fax'] },
+  { kind: 'date', words: ['date', 'time', 'birthday', 'dob', 'join'] },
+  { kind: 'boolean', words: ['flag', 'is', 'has'] },
+  { kind: 'number', words: ['total', 'price', 'amount', 'balance', 'age'] }
+];
+
+// Patterns of sample values, in order of precedence
+const VALUE_PATTERNS = [
+  { kind: 'boolean', test: value => /^(0|1|true|false|yes|no|y|n)$/i.test(value) },
+  { kind: 'integer', test: value => /^[+-]?\d+$/.test(value) },
+  { kind: 'number', test: value => /^[+-]?(\d{1,3}([,.\s]\d{3})*|\d+)([.,]\d+)?$/.test(value) },
+  {
+    kind: 'date',
+    test: value => /^\d{4}-\d{1,2}-\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2})?.*)?$/.test(value) ||
+      /^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(value)
+  },
+  { kind: 'email', test: value => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value) },
+  { kind: 'phone', test: value => /^\+?[\d\s()/.-]{6,}$/.test(value) && (value.match(/\d/g) || []).length >= 6 }
+];
+
+// Share of the sample values that must fit a pattern for the column to be of its kind
+const PATTERN_SHARE = 0.8;
+
+/**
+ * Splits a column name into lower-case words (camelCase, snake_case, spaces, ...)
+ *
+ * @param {string} name - Column name
+ * @returns {Array} Words of the name
+ */
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Reduces a word to the first word of its synonym group (or its singular)
+ *
+ * @param {string} word - Lower-case word
+ * @returns {string} Word used for comparisons
+ */
+function canonicalWord(word) {
+  if (CANONICAL_WORDS.has(word)) {
+    return CANONICAL_WORDS.get(word);
+  }
+  const singular = word.length > 3 && /[^su]s$/.test(word) ? word.slice(0, -1) : word;
+  return CANONICAL_WORDS.get(singular) || singular;
+}
+
+/**
+ * Compares two strings by their pairs of adjacent letters (Dice coefficient)
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function bigramSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Describes a column name for matching
+ *
+ * @param {string} name - Column name
+ * @returns {Object} `{ name, compact, words }`: the name without case and separators, and its canonical words
+ */
+function describeName(name) {
+  // Single letters ("E-Mail", "Date of birth (Y)") only count if the name has nothing else
+  const words = splitWords(name);
+  const longWords = words.filter(word => word.length > 1);
+  return {
+    name: String(name),
+    compact: String(name).toLowerCase().replace(/[^a-z0-9]/g, ''),
+    words: [...new Set((longWords.length > 0 ? longWords : words).map(canonicalWord))]
+  };
+}
+
+/**
+ * Scores how well two column names fit
+ *
+ * @param {Object} header - Template header (see describeName)
+ * @param {Object} column - Input column (see describeName)
+ * @returns {Object} `{ score, reason }`
+ */
+function scoreNames(header, column) {
+  if (header.compact === column.compact) {
+    return { score: 1, reason: 'same name' };
+  }
+
+  const shared = header.words.filter(word => column.words.includes(word)).length;
+  // All words of the shorter name appear in the longer one ("Email" ~ "EmailAddress")
+  const wordScore = shared === 0 ? 0 : Math.max(
+    (2 * shared) / (header.words.length + column.words.length),
+    0.85 * shared / Math.min(header.words.length, column.words.length) - (shared === 1 && header.words.length + column.words.length > 3 ? 0.1 : 0)
+  );
+  const spellingScore = bigramSimilarity(header.compact, column.compact);
+
+  if (wordScore >= spellingScore) {
+    return { score: wordScore, reason: header.words.join(' ') === column.words.join(' ') ? 'same words' : 'similar words' };
+  }
+  return { score: spellingScore, reason: 'similar spelling' };
+}
+
+/**
+ * Finds the kind of values in a column of sample rows
+ *
+ * @param {Array} values - Sample values of the column
+ * @returns {string|null} `boolean`, `integer`, `number`, `date`, `email`, `phone` or `text`; null if all values are empty
+ */
+function detectValueKind(values) {
+  const filled = values.map(value => (value === undefined || value === null ? '' : String(value).trim())).filter(value => value !== '');
+  if (filled.length === 0) {
+    return null;
+  }
+
+  const pattern = VALUE_PATTERNS.find(({ kind, test }) => {
+    // Two distinct values at most, or 0/1 would count as a yes/no column
+    if (kind === 'boolean' && new Set(filled.map(value => value.toLowerCase())).size > 2) return false;
+    return filled.filter(test).length >= PATTERN_SHARE * filled.length;
+  });
+  return pattern ? pattern.kind : 'text';
+}
+
+/**
+ * Finds the kind of values a template header asks for
+ *
+ * @param {Object} header - Template header (see describeName)
+ * @returns {string|null} Expected kind, or null if the name does not tell
+ */
+function expectedValueKind(header) {
+  const expected = EXPECTED_KINDS.find(({ words }) => words.some(word => header.words.includes(word)));
+  return expected ? expected.kind : null;
+}
+
+/**
+ * Tells whether values of one kind suit a header expecting another
+ *
+ * @param {string} expected - Kind the header asks for
+ * @param {string} actual - Kind of the column's values
+ * @returns {boolean} True if they fit
+ */
+function kindsFit(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer') || (expected === 'boolean' && actual === 'integer');
+}
+
+/**
+ * Rounds a score to a confidence with two decimals
+ *
+ * @param {number} score - Raw score
+ * @returns {number} Confidence between 0 and 1
+ */
+function toConfidence(score) {
+  return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
+
+/**
+ * Suggests a mapping for every template header
+ *
+ * @param {Array} templateHeaders - Headers of the template
+ * @param {Array} inputColumns - Columns of the sample input
+ * @param {Array} [sampleRows=[]] - Sample data rows of the input (objects keyed by column)
+ * @param {Object} [options={}] - Suggestion options
+ * @param {number} [options.minConfidence=0.6] - Lowest confidence that is suggested; other headers become TODO entries
+ * @returns {Object} `{ fieldMappings, suggestions, unmatched, unusedColumns }`. Each suggestion is
+ *                   `{ header, mapping, columns, confidence, reasons }`; TODO entries have no columns and the
+ *                   best (too weak) guess, if any, in `bestGuess`
+ */
+function suggestMappings(templateHeaders, inputColumns, sampleRows = [], options = {}) {
+  const minConfidence = options.minConfidence === undefined ? DEFAULT_MIN_CONFIDENCE : options.minConfidence;
+  const headers = templateHeaders.map(describeName);
+  const columns = inputColumns.map(describeName);
+  const kinds = new Map(inputColumns.map(column => [column, detectValueKind(sampleRows.map(row => row[column]))]));
+
+  // Every pair of template header and input column, scored by name and values
+  const candidates = [];
+  headers.forEach(header => {
+    const expected = expectedValueKind(header);
+    const sameKindColumns = expected ? columns.filter(column => kindsFit(expected, kinds.get(column.name))) : [];
+
+    columns.forEach(column => {
+      const { score, reason } = scoreNames(header, column);
+      const reasons = score >= 0.3 ? [reason] : []; // Weaker name matches are no reason
+      const kind = kinds.get(column.name);
+      let total = score;
+
+      if (expected && kind && kind !== 'text' && score > 0) {
+        if (kindsFit(expected, kind)) {
+          total += 0.15;
+          reasons.push(`${kind} values`);
+        } else {
+          total -= 0.2;
+          reasons.push(`${kind} values, ${expected} expected`);
+        }
+      }
+      // The only column with e.g. email addresses is a likely match whatever its name
+      if (sameKindColumns.length === 1 && sameKindColumns[0] === column && ['email', 'phone', 'date'].includes(expected)) {
+        if (total < minConfidence) {
+          total = minConfidence;
+          reasons.push(`only column with ${expected} values`);
+        }
+      }
+      if (total > 0) {
+        candidates.push({ header: header.name, mapping: { from: column.name }, columns: [column.name], score: total, reasons });
+      }
+    });
+
+    // A full name from first and last name columns
+    if (header.words.includes('name') && !header.words.some(word => ['first', 'last', 'company'].includes(word))) {
+      const first = columns.find(column => column.words.includes('first') && column.words.includes('name')) ||
+        columns.find(column => column.words.length === 1 && column.words[0] === 'first');
+      const last = columns.find(column => column.words.includes('last') && column.words.includes('name')) ||
+        columns.find(column => column.words.length === 1 && column.words[0] === 'last');
+      if (first && last) {
+        candidates.push({
+          header: header.name,
+          mapping: { concat: [{ from: first.name }, ' ', { from: last.name }] },
+          columns: [first.name, last.name],
+          score: header.words.includes('full') || header.words.length === 1 ? 0.8 : 0.65,
+          reasons: ['first and last name columns']
+        });
+      }
+    }
+  });
+
+  // Best pairs first; a column is used for one header only (a full name may reuse its columns)
+  candidates.sort((a, b) => b.score - a.score);
+  const chosen = new Map();
+  const usedColumns = new Set();
+  candidates.forEach(candidate => {
+    if (candidate.score < minConfidence || chosen.has(candidate.header)) return;
+    const isCopy = candidate.mapping.from !== undefined;
+    if (isCopy && usedColumns.has(candidate.columns[0])) return;
+    chosen.set(candidate.header, candidate);
+    if (isCopy) {
+      usedColumns.add(candidate.columns[0]);
+    }
+  });
+  chosen.forEach(candidate => {
+    if (candidate.mapping.concat) {
+      candidate.columns.forEach(column => usedColumns.add(column));
+    }
+  });
+
+  const fieldMappings = {};
+  const suggestions = templateHeaders.map(templateHeader => {
+    const header = String(templateHeader);
+    const candidate = chosen.get(header);
+    if (candidate) {
+      fieldMappings[header] = candidate.mapping;
+      return { header, mapping: candidate.mapping, columns: candidate.columns, confidence: toConfidence(candidate.score), reasons: candidate.reasons };
+    }
+
+    fieldMappings[header] = { const: '' };
+    const guess = candidates.find(entry => entry.header === header);
+    return {
+      header,
+      mapping: fieldMappings[header],
+      columns: [],
+      confidence: 0,
+      reasons: [],
+      bestGuess: guess ? { columns: guess.columns, confidence: toConfidence(guess.score) } : null
+    };
+  });
+
+  return {
+    fieldMappings,
+    suggestions,
+    unmatched: suggestions.filter(suggestion => suggestion.columns.length === 0).map(suggestion => suggestion.header),
+    unusedColumns: inputColumns.filter(column => !usedColumns.has(column))
+  };
+}
+
+/**
+ * Suggests a mapping config for a template and a sample input file
+ *
+ * @param {string} templateFilePath - Path to the template file (Excel or CSV)
+ * @param {string} inputFilePath - Path to the sample input file (Excel or CSV)
+ * @param {Object} [options={}] - Suggestion options
+ * @param {Object} [options.csvOptions={}] - CSV options of both files (the delimiter is detected if not given)
+ * @param {Object} [options.sheets={}] - Sheets of Excel files: `{ template, input }`
+ * @param {number} [options.sampleRows=200] - Input rows read to recognise value patterns
+ * @param {number} [options.minConfidence=0.6] - Lowest confidence that is suggested
+ * @returns {Object} `{ config, suggestions, unmatched, unusedColumns, templateHeaders, inputColumns }`. The config
+ *                   carries the confidence of each suggestion and the TODO entries in `$comment` keys
+ */
+function suggestConfig(templateFilePath, inputFilePath, options = {}) {
+  const csvOptions = options.csvOptions || {};
+  const sheets = options.sheets || {};
+
+  const input = inspectFile(inputFilePath, {
+    delimiter: csvOptions.delimiter,
+    sheet: sheets.input,
+    sampleRows: options.sampleRows === undefined ? DEFAULT_SAMPLE_ROWS : options.sampleRows
+  });
+  // The config has one delimiter for both files; a CSV template next to an Excel input brings its own
+  const templateDelimiter = csvOptions.delimiter ||
+    (path.extname(templateFilePath).toLowerCase() === '.csv' ? inspectFile(templateFilePath, { sampleRows: 0 }).delimiter : undefined);
+  const delimiter = csvOptions.delimiter || input.delimiter || templateDelimiter || ',';
+  const templateHeaders = readHeaderRow(templateFilePath, { ...csvOptions, delimiter: templateDelimiter || delimiter }, sheets.template)
+    .filter(header => header !== '' && header !== undefined && header !== null)
+    .map(String);
+
+  const result = suggestMappings(templateHeaders, input.columns, input.sampleRows, options);
+
+  // Keep the suggestions reviewable in the config itself
+  const fieldMappings = {};
+  result.suggestions.forEach(suggestion => {
+    let comment;
+    if (suggestion.columns.length > 0) {
+      comment = `suggested (confidence ${suggestion.confidence.toFixed(2)}: ${suggestion.reasons.join(', ')})`;
+    } else if (suggestion.bestGuess) {
+      comment = `TODO: no input column found (closest: ${suggestion.bestGuess.columns.join(' + ')}, confidence ${suggestion.bestGuess.confidence.toFixed(2)})`;
+    } else {
+      comment = 'TODO: no input column found';
+    }
+    fieldMappings[suggestion.header] = { ...suggestion.mapping, $comment: comment };
+  });
+
+  const config = {
+    csvOptions: Object.assign({ delimiter, quoteChar: '"', header: true, skipEmptyLines: true, dynamicTyping: false }, csvOptions, { delimiter }),
+    idColumns: [],
+    fieldMappings
+  };
+  if (sheets.template !== undefined || sheets.input !== undefined) {
+    config.sheets = { ...sheets };
+  }
+
+  return {
+    config,
+    suggestions: result.suggestions,
+    unmatched: result.unmatched,
+    unusedColumns: result.unusedColumns,
+    templateHeaders,
+    inputColumns: input.columns
+  };
+}
+
+module.exports = {
+  suggestConfig,
+  suggestMappings,
+  detectValueKind,
+  DEFAULT_MIN_CONFIDENCE
+};
@@ -0,0 +1,145 @@
+/**
+ * Config Tests
+ *
+ * A mapping config can carry test cases, so changes to its mappings can be
+ * reviewed like code. Each case is an input row and the output it should
+ * map to; only the fields listed in `expected` are checked:
+ *
+ *   "tests": [
+ *     {
+ *       "name": "inactive customer",
+ *       "input": { "id": "7", "first_name": "Ann", "last_name": "Lee", "active": "0" },
+ *       "expected": { "CustomerID": "7", "FullName": "Ann Lee", "Status": "Inactive" }
+ *     }
+ *   ]
+ *
+ * Every field mapping of an expected field runs on the input row (with
+ * `rowIndex`, default 0). Column types are applied as for a CSV output, and
+ * values are compared as the text a CSV output would hold, so `12` and
+ * `"12"` are the same. Pipeline stages and validation rules are not run.
+ *
+ * For configs with profiles, the tests of every profile (resolved like its
+ * other sections) run with that profile's mappings.
+ */
+
+const fs = require('fs');
+const { loadMappingConfig } = require('./advanced-remapper');
+const { applyColumnTypes, formatRowText } = require('./column-types');
+const { hasProfiles } = require('./mapping-profiles');
+
+/**
+ * Converts a value to the text it is compared as
+ *
+ * @param {*} value - Mapped or expected value
+ * @returns {string} Text (empty for missing values)
+ */
+function valueText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '' : value.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Runs one test case against the compiled field mappings of a config
+ *
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @param {Object} testCase - `{ name, input, expected, rowIndex }`
+ * @param {number} index - 0-based position of the case (names unnamed cases)
+ * @returns {Object} `{ name, passed, failures }`; each failure is `{ field, expected, actual, error }`
+ */
+function runTestCase(config, testCase, index) {
+  const fields = Object.keys(testCase.expected || {});
+  const rowIndex = testCase.rowIndex || 0;
+  const stats = { warnings: 0, errorRows: 0 };
+  const errors = {};
+
+  // Map the expected fields, then type them as the output would be
+  const mapped = fields.map(field => {
+    const mapping = config.fieldMappings[field];
+    if (!mapping) {
+      errors[field] = `No mapping for field "${field}"`;
+      return undefined;
+    }
+    try {
+      return mapping({ ...testCase.input }, rowIndex);
+    } catch (error) {
+      errors[field] = error.message;
+      return undefined;
+    }
+  });
+  const typeErrors = [];
+  const typed = applyColumnTypes(mapped, rowIndex, fields, config.columnTypes, stats, typeErrors);
+  typeErrors.forEach(entry => {
+    errors[entry.column] = entry.message;
+  });
+  const row = formatRowText(typed, fields, config.columnTypes);
+
+  const failures = fields
+    .map((field, column) => ({
+      field,
+      expected: valueText(testCase.expected[field]),
+      actual: valueText(row[column]),
+      ...(errors[field] ? { error: errors[field] } : {})
+    }))
+    .filter(result => result.error || result.expected !== result.actual);
+
+  return { name: testCase.name || `test ${index + 1}`, passed: failures.length === 0, failures };
+}
+
+/**
+ * Runs the test cases of a loaded configuration
+ *
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @returns {Array} Result per test case (see runTestCase)
+ */
+function runConfigTests(config) {
+  return (config.tests || []).map((testCase, index) => runTestCase(config, testCase, index));
+}
+
+/**
+ * Runs the test cases of a configuration file
+ *
+ * @param {string} configFilePath - Path to the JSON configuration file
+ * @param {Object} [options={}] - Test options
+ * @param {string} [options.profile] - Only test this profile (configs with profiles; default: all profiles)
+ * @returns {Object} `{ runs, passed, failed }`: per profile (name null without profiles) the `results`, and the totals
+ * @throws {ConfigValidationError} If the configuration is invalid
+ */
+function testConfigFile(configFilePath, options = {}) {
+  let profiles = [null];
+  if (options.profile) {
+    profiles = [options.profile];
+  } else {
+    let raw = null;
+    try {
+      raw = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+    } catch (error) {
+      // Unreadable configs are reported by loadMappingConfig below
+    }
+    if (hasProfiles(raw)) {
+      profiles = Object.keys(raw.profiles);
+    }
+  }
+
+  const runs = profiles.map(profile => {
+    const config = loadMappingConfig(configFilePath, profile ? { profile } : {});
+    return { profile, results: runConfigTests(config) };
+  });
+
+  const results = runs.flatMap(run => run.results);
+  return {
+    runs,
+    passed: results.filter(result => result.passed).length,
+    failed: results.filter(result => !result.passed).length
+  };
+}
+
+module.exports = {
+  runConfigTests,
+  runTestCase,
+  testConfigFile
+};
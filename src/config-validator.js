@@ -0,0 +1,575 @@
+/**
+ * Mapping Configuration Validator
+ *
+ * This module validates mapping configuration files against the formal
+ * schema in ./mapping-config.schema.json and runs additional checks that
+ * need the template and the input file (unmapped template headers, mappings
+ * that reference columns missing from the input). Every problem is reported
+ * with its JSON path and a human readable message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Ajv = require('ajv');
+const schema = require('./mapping-config.schema.json');
+const { compileRule, isDeclarativeRule } = require('./declarative-rules');
+const { readHeaderRow } = require('./excel-remapper');
+const { compilePipeline } = require('./pipeline');
+const { createLookupTable } = require('./lookup-tables');
+const { compileValidation } = require('./validation-rules');
+const { parseErrorRate } = require('./error-policy');
+const { isAuto, normalizeEncoding } = require('./text-encoding');
+const { hasProfiles, resolveProfile, selectProfileForInput } = require('./mapping-profiles');
+const { formatNames } = require('./format-adapters');
+
+// Compiled once and shared by every validation
+const ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Error thrown when a configuration does not pass validation
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {string} source - Name of the validated config (usually its file path)
+   * @param {Array} errors - Problems found, each with `path` and `message`
+   */
+  constructor(source, errors) {
+    const details = errors.map(err => `  ${err.path}: ${err.message}`).join('\n');
+    super(`Invalid configuration ${source}:\n${details}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Appends a key to a JSON path, using bracket notation when needed
+ *
+ * @param {string} basePath - Path such as "$.fieldMappings"
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Extended path
+ */
+function joinPath(basePath, key) {
+  if (typeof key === 'number') {
+    return `${basePath}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${basePath}.${key}` : `${basePath}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Converts an Ajv instance path ("/fieldMappings/Full Name") to a JSON path
+ *
+ * @param {string} instancePath - JSON pointer reported by Ajv
+ * @returns {string} JSON path such as '$.fieldMappings["Full Name"]'
+ */
+function toJsonPath(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((jsonPath, segment) => joinPath(jsonPath, /^\d+$/.test(segment) ? Number(segment) : segment), '$');
+}
+
+/**
+ * Describes the JSON type of a value for error messages
+ *
+ * @param {*} value - Any JSON value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Turns a single Ajv error into a `{ path, message }` problem
+ *
+ * @param {Object} error - Ajv error object
+ * @returns {Object|null} Problem, or null for errors that only repeat another one
+ */
+function formatSchemaError(error) {
+  const errorPath = toJsonPath(error.instancePath);
+  const { params } = error;
+
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return { path: joinPath(errorPath, params.additionalProperty), message: `Unknown key "${params.additionalProperty}"` };
+    case 'required':
+      return { path: joinPath(errorPath, params.missingProperty), message: `Missing required key "${params.missingProperty}"` };
+    case 'type': {
+      const expected = [].concat(params.type).join(' or ');
+      return { path: errorPath, message: `Expected ${expected}, got ${describeType(error.data)}` };
+    }
+    case 'minLength':
+      return { path: errorPath, message: params.limit === 1 ? 'Must not be empty' : `Must be at least ${params.limit} characters long` };
+    case 'maxLength':
+      return { path: errorPath, message: `Must be at most ${params.limit} characters long` };
+    case 'minProperties':
+      return { path: errorPath, message: params.limit === 1 ? 'Must not be empty' : `Must have at least ${params.limit} keys` };
+    case 'maxProperties':
+      return { path: errorPath, message: `Must have at most ${params.limit} key${params.limit === 1 ? '' : 's'}` };
+    case 'minItems':
+      return { path: errorPath, message: params.limit === 1 ? 'Must not be empty' : `Must have at least ${params.limit} items` };
+    case 'minimum':
+    case 'maximum':
+      return { path: errorPath, message: `Must be ${params.comparison} ${params.limit}` };
+    case 'pattern':
+      return { path: errorPath, message: `Invalid format "${error.data}"` };
+    case 'enum':
+      return { path: errorPath, message: `Must be one of: ${params.allowedValues.map(v => JSON.stringify(v)).join(', ')}` };
+    case 'if':
+      // Always accompanied by the error of the failing "then" branch
+      return null;
+    default:
+      return { path: errorPath, message: error.message };
+  }
+}
+
+/**
+ * Checks that a function string is syntactically valid without running it
+ *
+ * @param {string} source - Function source string
+ * @returns {string|null} Syntax error message, or null if valid
+ */
+function checkFunctionSyntax(source) {
+  try {
+    new vm.Script(`(${source})`);
+    return null;
+  } catch (error) {
+    return `Invalid function: ${error.message}`;
+  }
+}
+
+/**
+ * Extracts the input columns a mapping definition reads
+ *
+ * For function strings this finds `row['name']`, `row["name"]` and
+ * `row.name` accesses on the first parameter; for declarative rules it
+ * collects the `from` and `date` columns (including nested concat rules).
+ *
+ * @param {string|Object} mappingDef - Mapping definition from the config
+ * @returns {Array} Referenced column names
+ */
+function findReferencedColumns(mappingDef) {
+  if (isDeclarativeRule(mappingDef)) {
+    const columns = [];
+    if (typeof mappingDef.from === 'string') columns.push(mappingDef.from);
+    if (typeof mappingDef.date === 'string') columns.push(mappingDef.date);
+    if (Array.isArray(mappingDef.concat)) {
+      mappingDef.concat
+        .filter(isDeclarativeRule)
+        .forEach(part => columns.push(...findReferencedColumns(part)));
+    }
+    return columns;
+  }
+
+  if (typeof mappingDef !== 'string') {
+    return [];
+  }
+
+  const paramMatch = mappingDef.match(/^\s*(?:async\s+)?(?:function\b[^(]*)?\(?\s*([A-Za-z_$][\w$]*)/);
+  if (!paramMatch) {
+    return [];
+  }
+
+  const param = paramMatch[1].replace(/\$/g, '\\$');
+  const columns = [];
+  const bracketAccess = new RegExp(`\\b${param}\\s*\\[\\s*(['"\`])((?:(?!\\1).)*)\\1\\s*\\]`, 'g');
+  const dotAccess = new RegExp(`\\b${param}\\.([A-Za-z_$][\\w$]*)`, 'g');
+
+  let match;
+  while ((match = bracketAccess.exec(mappingDef)) !== null) {
+    columns.push(match[2]);
+  }
+  while ((match = dotAccess.exec(mappingDef)) !== null) {
+    columns.push(match[1]);
+  }
+
+  return [...new Set(columns)];
+}
+
+/**
+ * Validates a parsed configuration object
+ *
+ * @param {Object} config - Parsed (raw) configuration, as read from JSON
+ * @param {Object} [context={}] - Optional data to check the config against
+ * @param {Array} [context.templateHeaders] - Header row of the template
+ * @param {Array} [context.inputColumns] - Column names of the input file
+ * @param {string} [context.profile] - Profile checked against the template and input (configs with profiles)
+ * @returns {Object} `{ valid, errors, warnings }`; each problem has `path` and `message`
+ */
+function validateConfig(config, context = {}) {
+  const errors = [];
+  const warnings = [];
+
+  // 1. Structure: formal schema
+  if (!validateSchema(config)) {
+    validateSchema.errors
+      .map(formatSchemaError)
+      .filter(Boolean)
+      .forEach(problem => errors.push(problem));
+  }
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return { valid: false, errors, warnings };
+  }
+
+  if (hasProfiles(config)) {
+    checkProfiles(config, context, errors, warnings);
+  } else {
+    checkDefinitions(config, context, errors, warnings);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Checks the shared sections and every profile of a config with profiles
+ *
+ * Problems of the shared (top-level) sections are reported once; each
+ * profile adds the problems of its resolved sections under its own path.
+ * The template and input context only apply to `context.profile`.
+ *
+ * @param {Object} config - Parsed (raw) configuration with `profiles`
+ * @param {Object} context - Context as for validateConfig, plus the selected `profile`
+ * @param {Array} errors - Receives the errors
+ * @param {Array} warnings - Receives the warnings
+ */
+function checkProfiles(config, context, errors, warnings) {
+  const shared = Object.fromEntries(Object.entries(config).filter(([key]) => !['profiles', 'defaultProfile'].includes(key)));
+  checkDefinitions(shared, {}, errors, warnings);
+
+  // Profiles with a broken structure cannot be resolved
+  if (errors.some(problem => problem.path.startsWith('$.profiles'))) {
+    return;
+  }
+  if (config.defaultProfile && !Object.prototype.hasOwnProperty.call(config.profiles, config.defaultProfile)) {
+    errors.push({ path: '$.defaultProfile', message: `Unknown profile "${config.defaultProfile}"` });
+  }
+
+  const reported = new Set(errors.map(problem => `${problem.path}|${problem.message}`));
+  Object.keys(config.profiles).forEach(name => {
+    const profilePath = joinPath('$.profiles', name);
+    let resolved;
+    try {
+      resolved = resolveProfile(config, name);
+    } catch (error) {
+      errors.push({ path: joinPath(profilePath, 'extends'), message: error.message });
+      return;
+    }
+
+    const profileErrors = [];
+    const profileWarnings = [];
+    checkDefinitions(resolved.config, context.profile === name ? context : {}, profileErrors, profileWarnings);
+    profileErrors
+      .filter(problem => !reported.has(`${problem.path}|${problem.message}`))
+      .forEach(problem => errors.push({ path: profilePath + problem.path.slice(1), message: problem.message }));
+    profileWarnings.forEach(problem => warnings.push({ path: profilePath + problem.path.slice(1), message: problem.message }));
+  });
+}
+
+/**
+ * Checks the definitions of a config (without profiles) and, if given, its fit with the template and input
+ *
+ * @param {Object} config - Parsed configuration, or the resolved sections of a profile
+ * @param {Object} context - Context as for validateConfig
+ * @param {Array} errors - Receives the errors
+ * @param {Array} warnings - Receives the warnings
+ */
+function checkDefinitions(config, context, errors, warnings) {
+  const fieldMappings = (config.fieldMappings && typeof config.fieldMappings === 'object') ? config.fieldMappings : {};
+  const helperFunctions = (config.helperFunctions && typeof config.helperFunctions === 'object') ? config.helperFunctions : {};
+
+  // Empty stand-ins for the declared lookup sources, so references to unknown lookups are caught
+  const lookupDefs = (config.lookups && typeof config.lookups === 'object') ? config.lookups : {};
+  const lookups = Object.fromEntries(Object.entries(lookupDefs)
+    .filter(([, lookupDef]) => lookupDef && lookupDef.key)
+    .map(([name, lookupDef]) => [name, createLookupTable(name, [], lookupDef)]));
+
+  // 2. Definitions: function syntax and declarative rule semantics
+  Object.entries(helperFunctions).forEach(([name, helperDef]) => {
+    if (typeof helperDef !== 'string' || helperDef === '') return;
+    const problem = checkFunctionSyntax(helperDef);
+    if (problem) {
+      errors.push({ path: joinPath('$.helperFunctions', name), message: problem });
+    }
+  });
+
+  // Reverse mappings (see ./reverse-mapping.js) take the same definitions, keyed by source column
+  const reverseMappings = (config.reverseMappings && typeof config.reverseMappings === 'object') ? config.reverseMappings : {};
+  [['$.fieldMappings', fieldMappings], ['$.reverseMappings', reverseMappings]].forEach(([sectionPath, mappings]) => {
+    Object.entries(mappings).forEach(([field, mappingDef]) => {
+      const mappingPath = joinPath(sectionPath, field);
+
+      if (typeof mappingDef === 'string' && mappingDef !== '') {
+        const problem = checkFunctionSyntax(mappingDef);
+        if (problem) {
+          errors.push({ path: mappingPath, message: problem });
+        }
+      } else if (isDeclarativeRule(mappingDef)) {
+        try {
+          compileRule(mappingDef, field, lookups);
+        } catch (error) {
+          errors.push({ path: mappingPath, message: error.message });
+        }
+      }
+    });
+  });
+
+  // Test cases can only expect fields that have a mapping (see ./config-tests.js)
+  (Array.isArray(config.tests) ? config.tests : []).forEach((testCase, index) => {
+    const expected = (testCase && testCase.expected && typeof testCase.expected === 'object') ? testCase.expected : {};
+    Object.keys(expected)
+      .filter(field => !Object.prototype.hasOwnProperty.call(fieldMappings, field))
+      .forEach(field => {
+        errors.push({ path: joinPath(joinPath(joinPath('$.tests', index), 'expected'), field), message: `Field "${field}" has no mapping` });
+      });
+  });
+
+  // Unique keys on output columns can only use fields that have a mapping (see ./unique-keys.js)
+  (Array.isArray(config.uniqueKeys) ? config.uniqueKeys : []).forEach((keyDef, index) => {
+    if (!keyDef || keyDef.on !== 'output') return;
+    [].concat(keyDef.columns || []).forEach((column, columnIndex) => {
+      if (typeof column === 'string' && !Object.prototype.hasOwnProperty.call(fieldMappings, column)) {
+        const keyPath = joinPath(joinPath('$.uniqueKeys', index), 'columns');
+        errors.push({ path: Array.isArray(keyDef.columns) ? joinPath(keyPath, columnIndex) : keyPath, message: `Field "${column}" has no mapping` });
+      }
+    });
+  });
+
+  // Pipeline stages: function syntax and stage options (once the structure is right)
+  if (config.pipeline && !errors.some(problem => problem.path.startsWith('$.pipeline'))) {
+    try {
+      compilePipeline(config.pipeline, (source, label) => {
+        const problem = checkFunctionSyntax(source);
+        if (problem) {
+          throw new Error(`${label.replace(/^pipeline:/, '')}: ${problem}`);
+        }
+        return () => true;
+      }, lookups);
+    } catch (error) {
+      errors.push({ path: '$.pipeline', message: error.message });
+    }
+  }
+
+  // Validation rules: patterns, conditions and check function syntax
+  if (config.validation && !errors.some(problem => problem.path.startsWith('$.validation'))) {
+    try {
+      compileValidation(config.validation, (source, label) => {
+        const problem = checkFunctionSyntax(source);
+        if (problem) {
+          throw new Error(`${label.replace(/^validation:/, '')}: ${problem}`);
+        }
+        return () => true;
+      });
+    } catch (error) {
+      errors.push({ path: '$.validation', message: error.message });
+    }
+  }
+
+  // Error rates given as percentages must stay within 100%
+  if (config.errorPolicy && typeof config.errorPolicy.maxErrorRate === 'string' &&
+      !errors.some(problem => problem.path.startsWith('$.errorPolicy'))) {
+    try {
+      parseErrorRate(config.errorPolicy.maxErrorRate);
+    } catch (error) {
+      errors.push({ path: '$.errorPolicy.maxErrorRate', message: error.message });
+    }
+  }
+
+  // The input encoding must be one the text decoder knows
+  const csvOptions = (config.csvOptions && typeof config.csvOptions === 'object') ? config.csvOptions : {};
+  if (typeof csvOptions.encoding === 'string' && !isAuto(csvOptions.encoding)) {
+    try {
+      normalizeEncoding(csvOptions.encoding);
+    } catch (error) {
+      errors.push({ path: '$.csvOptions.encoding', message: `${error.message} (use "auto" to detect it)` });
+    }
+  }
+
+  // Named file formats must be known (custom formats are registered before validation)
+  const formats = (config.formats && typeof config.formats === 'object') ? config.formats : {};
+  Object.entries(formats).forEach(([role, name]) => {
+    if (typeof name === 'string' && !formatNames().includes(name)) {
+      errors.push({ path: `$.formats.${role}`, message: `Unknown file format "${name}". Supported formats: ${formatNames().join(', ')}` });
+    }
+  });
+
+  // Layout footer patterns must be valid regular expressions
+  const layout = (config.layout && typeof config.layout === 'object') ? config.layout : {};
+  ['template', 'input'].forEach(target => {
+    const footerPattern = layout[target] && layout[target].footerPattern;
+    if (typeof footerPattern !== 'string' && !Array.isArray(footerPattern)) return;
+    [].concat(footerPattern).forEach((pattern, index) => {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        const patternPath = joinPath(`$.layout.${target}`, 'footerPattern');
+        errors.push({ path: Array.isArray(footerPattern) ? joinPath(patternPath, index) : patternPath, message: error.message });
+      }
+    });
+  });
+
+  // 3. Context: template headers and input columns
+  if (Array.isArray(context.templateHeaders)) {
+    context.templateHeaders.forEach(header => {
+      if (!Object.prototype.hasOwnProperty.call(fieldMappings, header)) {
+        warnings.push({ path: '$.fieldMappings', message: `Template header "${header}" has no mapping` });
+      }
+    });
+
+    Object.keys(fieldMappings).forEach(field => {
+      if (!context.templateHeaders.includes(field)) {
+        warnings.push({ path: joinPath('$.fieldMappings', field), message: `Field "${field}" is not a template header and will not be written` });
+      }
+    });
+
+    Object.keys((config.columnTypes && typeof config.columnTypes === 'object') ? config.columnTypes : {}).forEach(header => {
+      if (!context.templateHeaders.includes(header)) {
+        warnings.push({ path: joinPath('$.columnTypes', header), message: `Column "${header}" is not a template header` });
+      }
+    });
+  }
+
+  if (Array.isArray(context.inputColumns)) {
+    Object.entries(fieldMappings).forEach(([field, mappingDef]) => {
+      findReferencedColumns(mappingDef)
+        .filter(column => !context.inputColumns.includes(column))
+        .forEach(column => {
+          warnings.push({ path: joinPath('$.fieldMappings', field), message: `References column "${column}" which is not present in the input` });
+        });
+      // Plain strings in concat are literal text, even when they name a column
+      if (isDeclarativeRule(mappingDef) && Array.isArray(mappingDef.concat)) {
+        mappingDef.concat.forEach((part, index) => {
+          if (typeof part === 'string' && context.inputColumns.includes(part)) {
+            warnings.push({
+              path: joinPath(joinPath(joinPath('$.fieldMappings', field), 'concat'), index),
+              message: `"${part}" is written as literal text; use { "from": "${part}" } for the input column`
+            });
+          }
+        });
+      }
+    });
+
+    const idColumns = [].concat(config.idColumns || []);
+    idColumns.forEach((column, index) => {
+      if (typeof column === 'string' && !context.inputColumns.includes(column)) {
+        const idPath = Array.isArray(config.idColumns) ? joinPath('$.idColumns', index) : '$.idColumns';
+        warnings.push({ path: idPath, message: `ID column "${column}" is not present in the input` });
+      }
+    });
+
+    (Array.isArray(config.uniqueKeys) ? config.uniqueKeys : []).forEach((keyDef, index) => {
+      if (!keyDef || (keyDef.on || 'input') !== 'input') return;
+      [].concat(keyDef.columns || []).forEach((column, columnIndex) => {
+        if (typeof column === 'string' && !context.inputColumns.includes(column)) {
+          const keyPath = joinPath(joinPath('$.uniqueKeys', index), 'columns');
+          warnings.push({ path: Array.isArray(keyDef.columns) ? joinPath(keyPath, columnIndex) : keyPath, message: `Key column "${column}" is not present in the input` });
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Validates a configuration file, optionally against a template and an input file
+ *
+ * @param {string} configFilePath - Path to the JSON configuration file
+ * @param {Object} [options={}] - Additional files to check the config against
+ * @param {string} [options.templateFilePath] - Path to the template file
+ * @param {string} [options.inputFilePath] - Path to a sample input file
+ * @param {string} [options.profile] - Profile to check the files against (default: picked by the input file)
+ * @returns {Object} `{ valid, errors, warnings }` (see validateConfig)
+ */
+function validateConfigFile(configFilePath, options = {}) {
+  let config;
+
+  try {
+    config = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+  } catch (error) {
+    return { valid: false, errors: [{ path: '$', message: `Cannot read configuration: ${error.message}` }], warnings: [] };
+  }
+
+  // The files are only read with sections that passed the schema check
+  // (a delimiter that is not text, for example, would break reading them)
+  const schemaValid = validateSchema(config);
+  const readFiles = schemaValid && Boolean(options.templateFilePath || options.inputFilePath);
+
+  // With profiles, the files are read and checked with the sections of the selected profile
+  let sections = config;
+  let profileProblem = null;
+  const context = {};
+  if (hasProfiles(config) && schemaValid) {
+    try {
+      const { name } = selectProfileForInput(config, options.profile, options.inputFilePath);
+      sections = resolveProfile(config, name).config;
+      context.profile = name;
+    } catch (error) {
+      profileProblem = { path: '$.profiles', message: error.message };
+    }
+  }
+
+  const csvOptions = (sections && sections.csvOptions) || {};
+  const sheets = (sections && sections.sheets) || {};
+  const layout = (sections && sections.layout) || {};
+  const fieldMappings = (sections && sections.fieldMappings) || {};
+  const formats = (sections && sections.formats) || {};
+  const formatOptions = (sections && sections.formatOptions) || {};
+  // Unknown format names are reported by checkDefinitions; the files are read by extension then
+  const knownFormat = name => (formatNames().includes(name) ? name : undefined);
+
+  if (readFiles && !profileProblem && options.templateFilePath) {
+    context.templateHeaders = readHeaderRow(options.templateFilePath, csvOptions, sheets.template,
+      layout.template, Object.keys(fieldMappings), { format: knownFormat(formats.template), formatOptions, role: 'template' });
+  }
+  if (readFiles && !profileProblem && options.inputFilePath) {
+    const expectedColumns = Object.values(fieldMappings).flatMap(findReferencedColumns);
+    context.inputColumns = readHeaderRow(options.inputFilePath, csvOptions, sheets.input,
+      layout.input, expectedColumns, { format: knownFormat(formats.input), formatOptions, role: 'input' });
+  }
+
+  const result = validateConfig(config, context);
+
+  // An unknown profile is an error; no matching profile only means the files were not checked
+  if (profileProblem && options.profile) {
+    result.errors.push(profileProblem);
+    result.valid = false;
+  } else if (profileProblem && (options.templateFilePath || options.inputFilePath)) {
+    result.warnings.push({ ...profileProblem, message: `${profileProblem.message}; the template and input were not checked` });
+  } else if (!schemaValid && (options.templateFilePath || options.inputFilePath)) {
+    result.warnings.push({ path: '$', message: 'The template and input were not checked, as the config does not match the schema' });
+  }
+
+  // Lookup files (shared and per profile) are resolved against the directory of the config file
+  const lookupSections = [['$', config]];
+  if (hasProfiles(config)) {
+    Object.entries(config.profiles).forEach(([name, profile]) => lookupSections.push([joinPath('$.profiles', name), profile]));
+  }
+  lookupSections.forEach(([sectionPath, section]) => {
+    const lookupDefs = (section && typeof section.lookups === 'object' && section.lookups) || {};
+    Object.entries(lookupDefs).forEach(([name, lookupDef]) => {
+      if (!lookupDef || typeof lookupDef.file !== 'string') return;
+      const lookupPath = path.resolve(path.dirname(path.resolve(configFilePath)), lookupDef.file);
+      if (!fs.existsSync(lookupPath)) {
+        result.errors.push({ path: joinPath(joinPath(`${sectionPath}.lookups`, name), 'file'), message: `File not found: ${lookupPath}` });
+        result.valid = false;
+      }
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  validateConfig,
+  validateConfigFile,
+  findReferencedColumns,
+  ConfigValidationError,
+  schema
+};
@@ -0,0 +1,180 @@
+/**
+ * Declarative Mapping Rules
+ *
+ * This module turns no-code mapping rules (plain JSON objects) into mapping
+ * functions with the same `(dataRow, rowIndex)` signature as the string
+ * functions, so both styles can be mixed in one `fieldMappings` section.
+ *
+ * Supported rules:
+ *   { "from": "email" }                                   - Copy a column
+ *   { "from": "email", "default": "n/a" }                 - Copy with fallback for empty values
+ *   { "concat": [{ "from": "first_name" }, " ", { "from": "last_name" }] }  - Join columns and literal text
+ *   { "from": "active", "lookup": { "1": "Active" }, "default": "Inactive" }
+ *   { "from": "country", "lookup": "countries", "column": "name" }  - Value from a named lookup source
+ *   { "const": "N/A" }                                    - Constant value
+ *   { "date": "signup_date", "format": "YYYY-MM-DD" }     - Reformat a date column
+ */
+
+// Keys that identify the rule type (exactly one of them must be present,
+// except `lookup` which is combined with `from`)
+const RULE_TYPES = ['from', 'concat', 'const', 'date'];
+
+// Supported date format tokens and how to render them from a Date (UTC)
+const DATE_TOKENS = {
+  YYYY: date => String(date.getUTCFullYear()).padStart(4, '0'),
+  YY: date => String(date.getUTCFullYear()).slice(-2),
+  MM: date => String(date.getUTCMonth() + 1).padStart(2, '0'),
+  DD: date => String(date.getUTCDate()).padStart(2, '0'),
+  HH: date => String(date.getUTCHours()).padStart(2, '0'),
+  mm: date => String(date.getUTCMinutes()).padStart(2, '0'),
+  ss: date => String(date.getUTCSeconds()).padStart(2, '0')
+};
+
+const DATE_TOKEN_PATTERN = /YYYY|YY|MM|DD|HH|mm|ss/g;
+
+/**
+ * Checks whether a mapping definition is a declarative rule
+ *
+ * @param {*} mappingDef - Value from `fieldMappings`
+ * @returns {boolean} True for plain rule objects
+ */
+function isDeclarativeRule(mappingDef) {
+  return mappingDef !== null && typeof mappingDef === 'object' && !Array.isArray(mappingDef);
+}
+
+/**
+ * Checks whether a value counts as empty for `default` handling
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Formats a date value using a token pattern such as "YYYY-MM-DD"
+ *
+ * @param {*} value - Date string, timestamp or Date object
+ * @param {string} [format='YYYY-MM-DD'] - Output pattern
+ * @returns {string} Formatted date, or an empty string for empty input
+ */
+function formatDateValue(value, format = 'YYYY-MM-DD') {
+  if (isEmpty(value)) {
+    return '';
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date value "${value}"`);
+  }
+
+  return format.replace(DATE_TOKEN_PATTERN, token => DATE_TOKENS[token](date));
+}
+
+/**
+ * Compiles a declarative rule into a mapping function
+ *
+ * @param {Object} rule - Declarative rule object
+ * @param {string} field - Template field the rule belongs to (for error messages)
+ * @param {Object} [lookups={}] - Lookup tables by name, for rules with a named `lookup` (see ./lookup-tables.js)
+ * @returns {Function} Mapping function `(dataRow, rowIndex) => value`
+ */
+function compileRule(rule, field, lookups = {}) {
+  if (!isDeclarativeRule(rule)) {
+    throw new Error(`Rule for field '${field}' must be an object`);
+  }
+
+  const types = RULE_TYPES.filter(type => Object.prototype.hasOwnProperty.call(rule, type));
+  if (types.length !== 1) {
+    throw new Error(`Rule for field '${field}' must contain exactly one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  const hasDefault = Object.prototype.hasOwnProperty.call(rule, 'default');
+  const withDefault = value => (hasDefault && isEmpty(value) ? rule.default : value);
+
+  switch (types[0]) {
+    case 'const':
+      return () => rule.const;
+
+    case 'from': {
+      const column = rule.from;
+      if (typeof column !== 'string') {
+        throw new Error(`Rule "from" for field '${field}' must be a column name`);
+      }
+
+      if (rule.lookup === undefined) {
+        return dataRow => withDefault(dataRow[column]);
+      }
+
+      // Named lookup source: take one column of the matching row
+      if (typeof rule.lookup === 'string') {
+        const table = lookups[rule.lookup];
+        if (!table) {
+          throw new Error(`Rule "lookup" for field '${field}' refers to unknown lookup "${rule.lookup}"`);
+        }
+        if (typeof rule.column !== 'string') {
+          throw new Error(`Rule "lookup" for field '${field}' needs the "column" to take from lookup "${rule.lookup}"`);
+        }
+        return dataRow => {
+          const [match] = table.match(dataRow[column]);
+          if (match) {
+            return withDefault(match[rule.column]);
+          }
+          return hasDefault ? rule.default : dataRow[column];
+        };
+      }
+
+      if (!isDeclarativeRule(rule.lookup)) {
+        throw new Error(`Rule "lookup" for field '${field}' must be an object of value pairs or the name of a lookup source`);
+      }
+
+      return dataRow => {
+        const key = String(dataRow[column]);
+        if (Object.prototype.hasOwnProperty.call(rule.lookup, key)) {
+          return rule.lookup[key];
+        }
+        return hasDefault ? rule.default : dataRow[column];
+      };
+    }
+
+    case 'concat': {
+      if (!Array.isArray(rule.concat)) {
+        throw new Error(`Rule "concat" for field '${field}' must be an array`);
+      }
+
+      // Items are nested rules (`{ "from": "column" }` for a column) or literal text
+      const parts = rule.concat.map((part, index) => {
+        if (isDeclarativeRule(part)) {
+          return compileRule(part, `${field}[${index}]`, lookups);
+        }
+        const text = String(part);
+        return () => text;
+      });
+
+      return (dataRow, rowIndex) => withDefault(parts
+        .map(part => part(dataRow, rowIndex))
+        .map(value => (isEmpty(value) ? '' : String(value)))
+        .join(''));
+    }
+
+    case 'date': {
+      const column = rule.date;
+      if (typeof column !== 'string') {
+        throw new Error(`Rule "date" for field '${field}' must be a column name`);
+      }
+      return dataRow => withDefault(formatDateValue(dataRow[column], rule.format));
+    }
+
+    default:
+      // Unreachable: types are filtered against RULE_TYPES above
+      throw new Error(`Unknown rule type for field '${field}'`);
+  }
+}
+
+module.exports = {
+  compileRule,
+  isDeclarativeRule,
+  formatDateValue,
+  RULE_TYPES
+};
@@ -0,0 +1,214 @@
+/**
+ * Row Error Policies
+ *
+ * This module decides what happens to rows with errors (mapping failures,
+ * failed type conversions and validation rules), as set in the `errorPolicy`
+ * section of a mapping config:
+ *
+ *   "errorPolicy": {
+ *     "mode": "quarantine",        - continue | failFast | skip | quarantine
+ *     "rejectsFile": "rejects.csv", - Quarantine file (default: <output>.rejects.csv)
+ *     "maxErrorRate": "1%",        - Fail the run if more rows than this have errors
+ *     "maxErrors": 100,            - Fail the run once more rows than this have errors
+ *     "errorValue": "ERROR"        - Cell value written for failed mappings in continue mode
+ *   }
+ *
+ * `continue` (the default) keeps every row and writes the error value into
+ * failed cells, `failFast` aborts on the first error, `skip` drops rows with
+ * errors and `quarantine` drops them from the output and collects them, with
+ * the reasons, for a separate rejects file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { isAuto } = require('./text-encoding');
+const logger = require('./logger');
+
+// Supported policy modes
+const POLICY_MODES = ['continue', 'failFast', 'skip', 'quarantine'];
+
+// Cell value written for failed mappings when rows are kept
+const DEFAULT_ERROR_VALUE = 'ERROR';
+
+/**
+ * Error thrown when a run is aborted by its error policy
+ */
+class RemapAbortedError extends Error {
+  /**
+   * @param {string} message - Reason for the abort
+   * @param {Object} stats - Statistics of the run up to the abort
+   * @param {Array} [errors=[]] - Error entries collected so far
+   */
+  constructor(message, stats, errors = []) {
+    super(message);
+    this.name = 'RemapAbortedError';
+    this.stats = stats;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parses a maximum error rate given as a fraction (0.01) or a percentage ("1%")
+ *
+ * @param {number|string} [rate] - Maximum error rate
+ * @returns {number|null} Fraction between 0 and 1, or null if not set
+ */
+function parseErrorRate(rate) {
+  if (rate === undefined || rate === null || rate === '') {
+    return null;
+  }
+
+  const text = String(rate).trim();
+  const value = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text);
+  if (isNaN(value) || value < 0 || value > 1) {
+    throw new Error(`Invalid maximum error rate "${rate}" (use a fraction such as 0.01 or a percentage such as "1%")`);
+  }
+  return value;
+}
+
+/**
+ * Creates the error policy of one run
+ *
+ * @param {Object} [policyDef={}] - `errorPolicy` section of the config (with CLI overrides applied)
+ * @param {Object} stats - Statistics object of the run; receives the policy counters
+ * @returns {Object} Policy with `accept(rowErrors, sourceRow)`, `checkThreshold(errors)`, `rejects` and `errorValue`
+ */
+function createErrorPolicy(policyDef = {}, stats) {
+  const mode = policyDef.mode || 'continue';
+  if (!POLICY_MODES.includes(mode)) {
+    throw new Error(`Unknown error policy "${mode}". Use one of: ${POLICY_MODES.join(', ')}`);
+  }
+
+  const maxErrorRate = parseErrorRate(policyDef.maxErrorRate);
+  const maxErrors = policyDef.maxErrors === undefined ? null : policyDef.maxErrors;
+  const rejects = [];
+  const countedRows = new WeakSet(); // A row failing at several steps counts once
+
+  stats.errorPolicy = mode;
+  stats.failedRows = 0;
+  if (mode === 'skip') stats.skippedRows = 0;
+  if (mode === 'quarantine') stats.quarantinedRows = 0;
+
+  /**
+   * Applies the policy to one row
+   *
+   * @param {Array} rowErrors - Error entries of the row (empty if the row is fine)
+   * @param {Object} sourceRow - The row the errors belong to (input row, or output row after `after` stages)
+   * @param {Array} [errorLog] - Errors of the run so far (attached to the abort error)
+   * @returns {boolean} True if the row should be kept
+   * @throws {RemapAbortedError} In failFast mode, or when `maxErrors` is exceeded
+   */
+  function accept(rowErrors, sourceRow, errorLog = []) {
+    if (rowErrors.length === 0) {
+      return true;
+    }
+
+    if (sourceRow === null || typeof sourceRow !== 'object' || !countedRows.has(sourceRow)) {
+      stats.failedRows++;
+      if (sourceRow !== null && typeof sourceRow === 'object') countedRows.add(sourceRow);
+    }
+    const first = rowErrors[0];
+
+    if (mode === 'failFast') {
+      throw new RemapAbortedError(`Aborted at ${first.source} row ${first.row}, column "${first.column}": ${first.message}`,
+        stats, [...errorLog, ...rowErrors]);
+    }
+    if (maxErrors !== null && stats.failedRows > maxErrors) {
+      throw new RemapAbortedError(`Aborted: more than ${maxErrors} rows with errors`, stats, [...errorLog, ...rowErrors]);
+    }
+
+    if (mode === 'skip') {
+      stats.skippedRows++;
+      return false;
+    }
+    if (mode === 'quarantine') {
+      stats.quarantinedRows++;
+      rejects.push({
+        row: first.row,
+        source: first.source,
+        reason: rowErrors.map(error => (error.column ? `${error.column}: ${error.message}` : error.message)).join('; '),
+        data: sourceRow
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Checks the share of rows with errors once all rows are processed
+   *
+   * @param {Array} [errorLog=[]] - Errors of the run (attached to the abort error)
+   * @throws {RemapAbortedError} If the rate is above `maxErrorRate`
+   */
+  function checkThreshold(errorLog = []) {
+    stats.errorRate = stats.totalRows > 0 ? stats.failedRows / stats.totalRows : 0;
+
+    if (maxErrorRate !== null && stats.errorRate > maxErrorRate) {
+      const percent = rate => `${Math.round(rate * 10000) / 100}%`;
+      throw new RemapAbortedError(
+        `Aborted: ${stats.failedRows} of ${stats.totalRows} rows have errors (${percent(stats.errorRate)}, allowed ${percent(maxErrorRate)})`,
+        stats, errorLog);
+    }
+  }
+
+  return {
+    mode,
+    accept,
+    checkThreshold,
+    rejects,
+    errorValue: mode === 'continue' && policyDef.errorValue !== undefined ? policyDef.errorValue : DEFAULT_ERROR_VALUE
+  };
+}
+
+/**
+ * Works out where the rejects file of a run goes
+ *
+ * @param {Object} [policyDef={}] - `errorPolicy` section of the config
+ * @param {string} outputFilePath - Path of the output file
+ * @returns {string|null} Path of the rejects file, or null outside quarantine mode
+ */
+function resolveRejectsPath(policyDef = {}, outputFilePath) {
+  if (policyDef.mode !== 'quarantine' || !outputFilePath) {
+    return null;
+  }
+
+  const outputDir = path.dirname(outputFilePath);
+  return policyDef.rejectsFile
+    ? path.resolve(outputDir, policyDef.rejectsFile)
+    : path.join(outputDir, `${path.basename(outputFilePath, path.extname(outputFilePath))}.rejects.csv`);
+}
+
+/**
+ * Writes quarantined rows as CSV: the row's own columns plus the row number, stage and reason
+ *
+ * @param {string} filePath - Path of the rejects file
+ * @param {Array} rejects - Quarantined rows `{ row, source, reason, data }`
+ * @param {Object} [csvOptions={}] - CSV options (delimiter, quoteChar) of the run
+ */
+function writeRejectsFile(filePath, rejects, csvOptions = {}) {
+  const dataColumns = [...new Set(rejects.flatMap(reject => Object.keys(reject.data || {})))];
+  const fields = ['_row', '_source', '_reason', ...dataColumns];
+
+  const content = Papa.unparse({
+    fields,
+    data: rejects.map(reject => [reject.row, reject.source, reject.reason,
+      ...dataColumns.map(column => (reject.data[column] instanceof Date ? reject.data[column].toISOString() : reject.data[column]))])
+  }, {
+    delimiter: isAuto(csvOptions.delimiter) ? ',' : csvOptions.delimiter,
+    quoteChar: isAuto(csvOptions.quoteChar) ? '"' : csvOptions.quoteChar
+  });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+  logger.info(`Rejects file (${rejects.length} rows) saved to: ${filePath}`);
+}
+
+module.exports = {
+  createErrorPolicy,
+  resolveRejectsPath,
+  writeRejectsFile,
+  parseErrorRate,
+  RemapAbortedError,
+  POLICY_MODES
+};
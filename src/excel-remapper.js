@@ -8,71 +8,423 @@
 // Required libraries
 const XLSX = require('xlsx');
 const fs = require('fs');
-const path = require('path');
 const Papa = require('papaparse');
+const { sheetToGrid, extractTable, rowsToObjects } = require('./table-layout');
+const { runIndexedStages } = require('./pipeline');
+const { applyColumnTypes, formatRowText, formatRowValues, columnFormats, toExcelSerial } = require('./column-types');
+const { createErrorPolicy, RemapAbortedError } = require('./error-policy');
+const { readCsvFile, readCsvFormat, createTextStream, resolveOutputEncoding, outputPreamble, encodeText, isAuto } = require('./text-encoding');
+const { resolveFormat, optionsFor, readRecords, writeRecords, InputFileError } = require('./format-adapters');
+const { createKeyTracker, mergeKeyFindings, normalizeKeyValue, readKey, resolveDuplicates } = require('./unique-keys');
+const logger = require('./logger');
+
+// CSV options used when the config does not define any
+const DEFAULT_CSV_OPTIONS = {
+  delimiter: 'auto', // Detected per file, like the encoding (see ./text-encoding.js)
+  quoteChar: '"',
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: false // Default to FALSE to preserve string formats like "018"
+};
+
+// Name of the main output sheet when the config does not choose one
+const DEFAULT_OUTPUT_SHEET = 'Remapped Data';
+
+/**
+ * Picks a worksheet from a workbook by name or index
+ * 
+ * @param {Object} workbook - XLSX workbook
+ * @param {string|number} [selector] - Sheet name or 0-based index (defaults to the first sheet)
+ * @param {string} [filePath] - File the workbook was read from (for error messages)
+ * @returns {Object} XLSX worksheet
+ */
+function selectSheet(workbook, selector, filePath = 'workbook') {
+  if (selector === undefined || selector === null || selector === '') {
+    return workbook.Sheets[workbook.SheetNames[0]];
+  }
+  
+  let sheetName;
+  if (typeof selector === 'number') {
+    sheetName = workbook.SheetNames[selector];
+  } else {
+    // Exact name first, then case-insensitive name, then a numeric string as index
+    sheetName = workbook.SheetNames.find(name => name === selector) ||
+      workbook.SheetNames.find(name => name.toLowerCase() === String(selector).toLowerCase()) ||
+      (/^\d+$/.test(selector) ? workbook.SheetNames[Number(selector)] : undefined);
+  }
+  
+  if (!sheetName) {
+    throw new InputFileError(`Sheet "${selector}" not found in ${filePath}. Available sheets: ${workbook.SheetNames.join(', ')}`);
+  }
+  
+  return workbook.Sheets[sheetName];
+}
+
+/**
+ * Builds an Excel workbook from one or more sheets of rows
+ * 
+ * @param {Array} sheetList - Sheets in order, each `{ name, rows, formats }` with rows as array of arrays
+ *                            and optional Excel number formats per column for the rows below the header
+ * @returns {Object} XLSX workbook
+ */
+function buildWorkbook(sheetList) {
+  const workbook = XLSX.utils.book_new();
+  
+  sheetList.forEach(({ name, rows, formats }) => {
+    // Dates are written as Excel serials (UTC) so they match the CSV output
+    const cellRows = formats
+      ? rows.map(row => row.map(value => (value instanceof Date ? toExcelSerial(value) : value)))
+      : rows;
+    
+    // Create a worksheet from the rows, ensuring string types are preserved
+    const sheet = XLSX.utils.aoa_to_sheet(cellRows, {
+      raw: true, // Prevents auto-conversion of values that look like numbers
+      cellDates: true // Preserves date formats
+    });
+    
+    if (formats) {
+      for (let r = 1; r < cellRows.length; r++) {
+        formats.forEach((numFmt, c) => {
+          const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+          if (numFmt && cell) {
+            cell.z = numFmt;
+          }
+        });
+      }
+    }
+    
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  });
+  
+  return workbook;
+}
+
+/**
+ * Writes several sheets into one Excel workbook
+ * 
+ * Useful to combine the results of several remapping runs (e.g. one per
+ * mapping profile) into a single file.
+ * 
+ * @param {string} outputFilePath - Path of the Excel file to write
+ * @param {Array} sheetList - Sheets in order, each `{ name, rows }` with rows as array of arrays
+ * @returns {Object} The written XLSX workbook
+ */
+function writeWorkbook(outputFilePath, sheetList) {
+  const workbook = buildWorkbook(sheetList);
+  XLSX.writeFile(workbook, outputFilePath);
+  return workbook;
+}
+
+/**
+ * Warns about column headers that appear more than once in the input
+ * 
+ * @param {Array} fields - Column names of the input file
+ */
+function warnDuplicateHeaders(fields) {
+  const fieldCounts = {};
+  fields.forEach(field => {
+    fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+  });
+  
+  const duplicates = Object.entries(fieldCounts)
+    .filter(([field, count]) => count > 1)
+    .map(([field]) => field);
+  
+  if (duplicates.length > 0) {
+    logger.warn('WARNING: Found duplicate column headers in data file:', duplicates);
+    logger.warn('This may cause data mapping issues. Consider renaming columns to be unique.');
+  }
+}
+
+/**
+ * Applies the field mappings to a single input row
+ * 
+ * @param {Object} dataRow - Input row (column name to value)
+ * @param {number} rowIndex - 0-based index of the row in the input
+ * @param {Array} templateHeaders - Output column names
+ * @param {Object} fieldMappings - Mapping functions keyed by template header
+ * @param {Object} stats - Statistics object, updated for mapping errors
+ * @param {Array} [errorLog] - Optional list that receives an error entry per mapping error (see ./validation-rules.js)
+ * @param {*} [errorValue='ERROR'] - Value written into cells whose mapping failed
+ * @returns {Array} Output row in template column order
+ */
+function mapRow(dataRow, rowIndex, templateHeaders, fieldMappings, stats, errorLog = null, errorValue = 'ERROR') {
+  const resultRow = [];
+  let rowHasError = false;
+  
+  // For each template column, apply the corresponding mapping function
+  templateHeaders.forEach(templateHeader => {
+    if (fieldMappings[templateHeader]) {
+      try {
+        // Pass both the data row and the row index to the mapping function
+        const mappedValue = fieldMappings[templateHeader](dataRow, rowIndex);
+        resultRow.push(mappedValue);
+      } catch (error) {
+        logger.warn(`Error mapping field "${templateHeader}" for row ${rowIndex + 1}: ${error.message}`);
+        logger.debug(error.stack);
+        resultRow.push(errorValue);
+        rowHasError = true;
+        stats.warnings++;
+        if (errorLog) {
+          errorLog.push({ row: rowIndex + 1, source: 'mapping', column: templateHeader, value: '', rule: 'mapping', message: error.message });
+        }
+      }
+    } else {
+      resultRow.push(''); // Empty value for unmapped fields
+    }
+  });
+  
+  if (rowHasError) {
+    stats.errorRows++;
+  }
+  
+  return resultRow;
+}
+
+/**
+ * Counts the validation errors of one row and adds them to a list of errors
+ * 
+ * @param {Array} rowErrors - Error entries of the row (see ./validation-rules.js)
+ * @param {Object} stats - Statistics object; counts `validationErrors` and `invalidRows`
+ * @param {Array} errorLog - List that receives the entries
+ */
+function recordValidationErrors(rowErrors, stats, errorLog) {
+  if (rowErrors.length === 0) {
+    return;
+  }
+  stats.validationErrors = (stats.validationErrors || 0) + rowErrors.length;
+  stats.invalidRows = (stats.invalidRows || 0) + 1;
+  rowErrors.forEach(error => errorLog.push(error));
+}
+
+/**
+ * Clears the unmatched keys recorded by the config's lookup tables
+ * 
+ * @param {Object} configObj - Configuration object
+ */
+function resetLookupMisses(configObj) {
+  Object.values(configObj.lookups || {}).forEach(table => table.resetMisses());
+  if (configObj.sandbox) {
+    configObj.sandbox.collectLookupMisses();
+  }
+}
+
+/**
+ * Builds the lookup report of a run: table sizes and unmatched keys
+ * (from joins, declarative rules and `lookup()` calls in mapping functions)
+ * 
+ * @param {Object} configObj - Configuration object
+ * @returns {Object|null} Report per lookup name, or null if the config has no lookups
+ */
+function collectLookupReport(configObj) {
+  const tables = configObj.lookups || {};
+  if (Object.keys(tables).length === 0) {
+    return null;
+  }
+  
+  if (configObj.sandbox) {
+    Object.entries(configObj.sandbox.collectLookupMisses()).forEach(([name, misses]) => {
+      Object.entries(misses).forEach(([key, count]) => tables[name].recordMiss(key, count));
+    });
+  }
+  
+  return Object.fromEntries(Object.entries(tables).map(([name, table]) => [name, table.report()]));
+}
+
+/**
+ * Describes the encoding and format of a text input for the run summary
+ * 
+ * @param {Object} format - `{ encoding, bom, delimiter, quoteChar, detected }` of CSV files (see ./text-encoding.js),
+ *   `{ format, encoding, bom, detected }` of other text formats (see ./format-adapters.js)
+ * @returns {string} E.g. `windows-1252, delimiter ";" (detected: encoding, delimiter)` or `xml, utf-8`
+ */
+function describeInputFormat(format) {
+  const detected = format.detected && format.detected.length > 0 ? ` (detected: ${format.detected.join(', ')})` : '';
+  const encoding = `${format.encoding}${format.bom ? ' with BOM' : ''}`;
+  return format.format ? `${format.format}, ${encoding}${detected}` : `${encoding}, delimiter ${JSON.stringify(format.delimiter)}${detected}`;
+}
+
+/**
+ * Prepares typed output rows for a writer: text for CSV and most formats,
+ * typed values for formats that have them (JSON)
+ * 
+ * @param {Array} rows - Output rows with typed values
+ * @param {Array} headers - Template headers
+ * @param {Object} columnTypes - Compiled column types keyed by header
+ * @param {Object} [format] - Output format (see ./format-adapters.js)
+ * @returns {Array} Rows to write
+ */
+function outputRowValues(rows, headers, columnTypes, format) {
+  if (Object.keys(columnTypes).length === 0) {
+    return rows;
+  }
+  const formatRow = format && format.typedValues ? formatRowValues : formatRowText;
+  return rows.map(row => formatRow(row, headers, columnTypes));
+}
+
+/**
+ * Applies the delimiter of a delimited format (TSV) to the CSV options
+ * 
+ * @param {Object} csvOptions - CSV options of the config
+ * @param {Object} format - Format of the file (see ./format-adapters.js)
+ * @returns {Object} CSV options for the file
+ */
+function delimitedOptions(csvOptions, format) {
+  return format.delimiter ? { ...csvOptions, delimiter: format.delimiter } : csvOptions;
+}
+
+/**
+ * Chooses the delimiter and quote character of a CSV output
+ * 
+ * A TSV output is always tab separated. Otherwise the config's own delimiter
+ * wins, then the output follows the template (it defines the output), then
+ * the input.
+ * 
+ * @param {Object} csvOptions - CSV options of the config
+ * @param {Object} [templateFormat] - Format of a CSV template
+ * @param {Object} [inputFormat] - Format of a CSV input
+ * @param {Object} [outputFormat] - Format of the output (see ./format-adapters.js)
+ * @returns {Object} `{ delimiter, quoteChar }`
+ */
+function outputCsvDialect(csvOptions, templateFormat, inputFormat, outputFormat = {}) {
+  const source = templateFormat || inputFormat || {};
+  const configured = outputFormat.delimiter || (isAuto(csvOptions.delimiter) ? null : csvOptions.delimiter);
+  return {
+    delimiter: configured || source.delimiter || ',',
+    quoteChar: isAuto(csvOptions.quoteChar) ? '"' : csvOptions.quoteChar
+  };
+}
+
+/**
+ * Prints a short summary of a remapping run
+ * 
+ * @param {Object} stats - Statistics object of the run
+ */
+function printSummary(stats) {
+  logger.info(`\n===== Remapping Summary =====`);
+  if (stats.inputFormat) {
+    logger.info(`Input format: ${describeInputFormat(stats.inputFormat)}`);
+  }
+  logger.info(`Total rows processed: ${stats.totalRows}`);
+  
+  if (stats.errorRows > 0) {
+    logger.info(`Rows with errors: ${stats.errorRows}`);
+  }
+  
+  if (stats.validationErrors > 0) {
+    logger.info(`Validation errors: ${stats.validationErrors} in ${stats.invalidRows} row(s)`);
+  }
+  
+  if (stats.typeErrors > 0) {
+    logger.info(`Values not matching their column type: ${stats.typeErrors}`);
+  }
+
+  if (stats.skippedRows > 0) {
+    logger.info(`Rows skipped by error policy: ${stats.skippedRows}`);
+  }
+
+  if (stats.quarantinedRows > 0) {
+    logger.info(`Rows quarantined by error policy: ${stats.quarantinedRows}`);
+  }
+
+  if (stats.duplicateRows > 0) {
+    logger.info(`Rows removed as duplicate keys: ${stats.duplicateRows}`);
+  }
+
+  // Calculate unique warnings
+  const uniqueWarnings = (stats.parseErrors ? stats.parseErrors.length : 0) + 
+                        (stats.validationWarnings || 0);
+  
+  if (uniqueWarnings > 0) {
+    logger.info(`Total warnings: ${uniqueWarnings}`);
+  }
+  
+  if (stats.outputFormat && (stats.outputFormat.encoding !== 'utf-8' || stats.outputFormat.bom)) {
+    logger.info(`Output encoding: ${stats.outputFormat.encoding}${stats.outputFormat.bom ? ' with BOM' : ''}`);
+  }
+  
+  Object.entries(stats.lookups || {}).forEach(([name, report]) => {
+    if (report.unmatched > 0) {
+      const keys = report.unmatchedKeys.slice(0, 10).map(entry => (entry.key === '' ? '(empty)' : entry.key));
+      const more = report.unmatchedKeys.length > keys.length ? ', ...' : '';
+      logger.info(`Unmatched lookups in '${name}': ${report.unmatched} (keys: ${keys.join(', ')}${more})`);
+    }
+  });
+}
 
 /**
  * Main remapping function that processes data according to the provided configuration
  * 
- * @param {string} templateFilePath - Path to the template file (Excel or CSV)
- * @param {string} inputFilePath - Path to the input data file (Excel or CSV)
+ * @param {string} templateFilePath - Path to the template file (Excel, CSV or another format, see ./format-adapters.js)
+ * @param {string} inputFilePath - Path to the input data file (Excel, CSV or another format)
  * @param {Object} configObj - Configuration object with field mappings
  * @param {string} [outputFilePath] - Optional output file path (if not provided, will return data)
- * @returns {Object} Result object with data and metadata
+ * @param {Object} [options={}] - Run options
+ * @param {Object} [options.input] - Input already loaded with readInput (the file is not read again)
+ * @returns {Object} Result object with data and metadata, and `keyDuplicates`: the duplicates of the
+ *                   config's unique keys (null without keys, see ./unique-keys.js)
  */
-function remapData(templateFilePath, inputFilePath, configObj, outputFilePath = null) {
-  console.log('Starting data remapping process...');
+function remapData(templateFilePath, inputFilePath, configObj, outputFilePath = null, options = {}) {
+  logger.debug('Starting data remapping process...');
   
   // Extract options from config
-  const csvOptions = configObj.csvOptions || {
-    delimiter: ',',
-    quoteChar: '"',
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: false // Default to FALSE to preserve string formats like "018"
-  };
+  const csvOptions = configObj.csvOptions || DEFAULT_CSV_OPTIONS;
   
   const fieldMappings = configObj.fieldMappings || {};
   
-  // Determine file types based on extensions
-  const templateExt = path.extname(templateFilePath).toLowerCase();
-  const inputExt = path.extname(inputFilePath).toLowerCase();
-  const isTemplateCSV = templateExt === '.csv';
-  const isInputCSV = inputExt === '.csv';
+  // Sheet selection for Excel files (name or 0-based index)
+  const sheets = configObj.sheets || {};
+  
+  // Header row / data range of template and input (see ./table-layout.js)
+  const layout = configObj.layout || {};
+  
+  // File formats: by extension unless the config names them (see ./format-adapters.js)
+  const formats = configObj.formats || {};
+  const templateAdapter = resolveFormat(templateFilePath, formats.template);
   
   // -----------------------------
   // Load and parse template file
   // -----------------------------
   let templateData;
-  console.log(`Loading template file: ${templateFilePath}`);
+  let templateFormat = null;
+  logger.debug(`Loading template file: ${templateFilePath}`);
   
-  if (isTemplateCSV) {
-    const templateContent = fs.readFileSync(templateFilePath, 'utf8');
-    const parsedTemplate = Papa.parse(templateContent, {
-      ...csvOptions,
-      header: false // We always want headers as separate array for template
+  if (templateAdapter.kind === 'records') {
+    // Only the columns of a record format template are used
+    const options = optionsFor(configObj.formatOptions, templateAdapter.name, 'template');
+    templateData = [readRecords(templateFilePath, templateAdapter, options, csvOptions.encoding).headers];
+  } else if (templateAdapter.kind === 'delimited') {
+    const templateFile = readCsvFile(templateFilePath, delimitedOptions(csvOptions, templateAdapter));
+    templateFormat = templateFile.format;
+    const parsedTemplate = Papa.parse(templateFile.text, {
+      ...templateFile.csvOptions,
+      header: false, // We always want headers as separate array for template
+      skipEmptyLines: layout.template ? false : csvOptions.skipEmptyLines, // Keep row numbers intact for the layout
+      preview: layout.template ? 0 : 1 // Only the header row is used (the template may be a data file)
     });
     
     if (parsedTemplate.errors.length > 0) {
-      console.error('Errors parsing template CSV:', parsedTemplate.errors);
+      logger.error('Errors parsing template CSV:', parsedTemplate.errors);
     }
     
     templateData = parsedTemplate.data;
   } else {
     // Excel file
     const templateWorkbook = XLSX.readFile(templateFilePath);
-    const templateSheet = templateWorkbook.Sheets[templateWorkbook.SheetNames[0]];
-    templateData = XLSX.utils.sheet_to_json(templateSheet, { header: 1 });
+    const templateSheet = selectSheet(templateWorkbook, sheets.template, templateFilePath);
+    templateData = layout.template ? sheetToGrid(templateSheet) : XLSX.utils.sheet_to_json(templateSheet, { header: 1 });
   }
   
-  // Extract template headers (first row of template)
-  const templateHeaders = templateData[0];
-  console.log('Template headers:', templateHeaders);
+  // Extract template headers (first row of template, unless the layout says otherwise)
+  const templateHeaders = layout.template && templateAdapter.kind !== 'records'
+    ? extractTable(templateData, layout.template, Object.keys(fieldMappings)).headers.filter(header => header !== '')
+    : templateData[0];
+  logger.debug('Template headers:', templateHeaders);
   
   // Check if all template headers have mappings
   templateHeaders.forEach(header => {
     if (!fieldMappings[header]) {
-      console.warn(`Warning: No mapping defined for template header "${header}"`);
+      logger.warn(`Warning: No mapping defined for template header "${header}"`);
     }
   });
   
@@ -80,7 +432,7 @@ function remapData(templateFilePath, inputFilePath, configObj, outputFilePath =
   // Load and parse input data file
   // -----------------------------
   let inputRows;
-  console.log(`Loading input data file: ${inputFilePath}`);
+  logger.debug(`Loading input data file: ${inputFilePath}`);
   
   // Statistics for processing report
   const stats = {
@@ -90,239 +442,796 @@ function remapData(templateFilePath, inputFilePath, configObj, outputFilePath =
     parseErrors: []
   };
   
-  if (isInputCSV) {
-    const dataContent = fs.readFileSync(inputFilePath, 'utf8');
-    
-    // Enhanced parsing options for complex CSV data
-    const parsedData = Papa.parse(dataContent, {
-      ...csvOptions,
-      header: true, // We want objects with column names as keys for data
-      escapeChar: '\\', // Handle escaped quotes
-      skipEmptyLines: true,
-      comments: false // Don't treat any lines as comments
-    });
-    
-    // Store parse errors without duplicates
-    if (parsedData.errors.length > 0) {
-      // Only log errors in verbose mode or if there are new error types
-      const uniqueErrors = [];
-      const seen = new Set();
-      
-      parsedData.errors.forEach(err => {
-        const errorKey = `${err.type}:${err.message}:${err.row}`;
-        if (!seen.has(errorKey)) {
-          seen.add(errorKey);
-          uniqueErrors.push({
-            ...err,
-            row: err.row + 1
-          });
-        }
-      });
-      
-      // Only store unique errors
-      stats.parseErrors = uniqueErrors.map(err => ({
-        type: err.type,
-        message: err.message,
-        row: err.row // Already adjusted above
-      }));
-      
-      // Add unique parse errors to warnings count
-      stats.warnings += stats.parseErrors.length;
-    }
-    
-    // Check for duplicate headers
-    if (parsedData.meta && parsedData.meta.fields) {
-      const fieldCounts = {};
-      parsedData.meta.fields.forEach(field => {
-        fieldCounts[field] = (fieldCounts[field] || 0) + 1;
-      });
-      
-      const duplicates = Object.entries(fieldCounts)
-        .filter(([field, count]) => count > 1)
-        .map(([field]) => field);
-      
-      if (duplicates.length > 0) {
-        console.warn('WARNING: Found duplicate column headers in data file:', duplicates);
-        console.warn('This may cause data mapping issues. Consider renaming columns to be unique.');
-      }
-    }
-    
-    inputRows = parsedData.data;
-  } else {
-    // Excel file
-    const dataWorkbook = XLSX.readFile(inputFilePath);
-    const dataSheet = dataWorkbook.Sheets[dataWorkbook.SheetNames[0]];
-    inputRows = XLSX.utils.sheet_to_json(dataSheet);
+  // Rows already loaded by the caller (e.g. for ID validation) are used as they are
+  const input = options.input || readInput(inputFilePath, {
+    csvOptions,
+    sheet: sheets.input,
+    layout: layout.input,
+    expectedColumns: configObj.expectedInputColumns,
+    format: formats.input,
+    formatOptions: configObj.formatOptions
+  });
+  inputRows = input.rows;
+  
+  if (input.format) {
+    stats.inputFormat = input.format;
+    logger.debug(`Input format: ${describeInputFormat(input.format)}`);
   }
+  if (input.headerRowNumber !== undefined) {
+    stats.inputHeaderRow = input.headerRowNumber;
+  }
+  
+  // Add unique parse errors to warnings count
+  stats.parseErrors = input.parseErrors;
+  stats.warnings += stats.parseErrors.length;
   
   // -----------------------------
   // Process data mapping
   // -----------------------------
-  console.log(`Processing ${inputRows.length} rows of data...`);
-  
-  // Create result data with template headers
-  const resultData = [templateHeaders];
+  logger.debug(`Processing ${inputRows.length} rows of data...`);
   
   // Update total rows in stats
   stats.totalRows = inputRows.length;
   
+  // Unmatched lookup keys are reported per run
+  resetLookupMisses(configObj);
+  
+  // Errors of the run: mapping failures, type conversion and validation rules.
+  // The error policy (see ./error-policy.js) decides per row whether it is kept.
+  const errorLog = [];
+  const validation = configObj.validation || null;
+  const policy = createErrorPolicy(configObj.errorPolicy, stats);
+  
+  // Keeps a row if it has no errors or the policy allows it; logs its errors either way
+  const acceptRow = (rowErrors, sourceRow) => {
+    const keep = policy.accept(rowErrors, sourceRow, errorLog);
+    rowErrors.forEach(error => errorLog.push(error));
+    return keep;
+  };
+  
+  let rowsToCheck = inputRows;
+  if (validation && validation.hasInput) {
+    rowsToCheck = inputRows.filter((dataRow, rowIndex) => {
+      const rowErrors = [];
+      recordValidationErrors(validation.validateInput(dataRow, rowIndex), stats, rowErrors);
+      return acceptRow(rowErrors, dataRow);
+    });
+  }
+  
+  // Unique keys (see ./unique-keys.js) are checked one after the other, each on the rows the
+  // keys before it kept; duplicates are reported, or resolved by the key's policy: rows are
+  // dropped or merged, and rejected rows count as rows with errors. `origins` are indexes into `rows`.
+  const uniqueKeys = configObj.uniqueKeys || [];
+  const keyFindings = [];
+  const checkKeys = (keys, rows, source, rowIndexOf) => keys.reduce((current, key) => {
+    const tracker = createKeyTracker([key]);
+    current.rows.forEach((row, index) => tracker.add(row, rowIndexOf(current.origins[index])));
+    keyFindings.push(tracker.results());
+    if (key.onDuplicate === 'report') {
+      return current;
+    }
+    
+    const { kept, removed, rejected } = resolveDuplicates(current.rows, key);
+    stats.duplicateRows = (stats.duplicateRows || 0) + removed;
+    rejected.forEach(({ index, row, others }) => {
+      const otherRows = others.map(other => rowIndexOf(current.origins[other]) + 1).join(', ');
+      acceptRow([{
+        row: rowIndexOf(current.origins[index]) + 1,
+        source,
+        column: key.label,
+        value: readKey(row, key).value,
+        rule: 'unique',
+        message: `Duplicate key, rejected with data row(s) ${otherRows}`
+      }], row);
+    });
+    return { rows: kept.map(entry => entry.row), origins: kept.map(entry => current.origins[entry.index]) };
+  }, { rows, origins: rows.map((row, index) => index) });
+  
+  const inputRowIndex = new Map(inputRows.map((dataRow, rowIndex) => [dataRow, rowIndex]));
+  const inputKeys = checkKeys(uniqueKeys.filter(key => key.on === 'input'), rowsToCheck, 'input',
+    origin => inputRowIndex.get(rowsToCheck[origin]));
+  
+  // Pipeline stages (filter, explode, groupBy, ...) before and after field mapping.
+  // Rows remember the input row they came from, so rows dropped before mapping do not
+  // shift the row index of mapping functions or the row numbers of their errors.
+  const pipeline = configObj.pipeline || { before: [], after: [] };
+  // A merged row takes the index of the first row of its key.
+  const keptRows = inputKeys.rows.map((dataRow, index) => ({
+    row: dataRow,
+    rowIndex: inputRowIndex.get(rowsToCheck[inputKeys.origins[index]])
+  }));
+  const rowsToMap = runIndexedStages(pipeline.before, keptRows, stats);
+  
   // Get validation warnings from config if present
   if (configObj.validationWarnings) {
     stats.validationWarnings = configObj.validationWarnings;
   }
   
-  // Process each row from the input file
-  inputRows.forEach((dataRow, rowIndex) => {
-    const resultRow = [];
-    let rowHasError = false;
-    
-    // For each template column, apply the corresponding mapping function
-    templateHeaders.forEach(templateHeader => {
-      if (fieldMappings[templateHeader]) {
-        try {
-          // Pass both the data row and the row index to the mapping function
-          const mappedValue = fieldMappings[templateHeader](dataRow, rowIndex);
-          resultRow.push(mappedValue);
-        } catch (error) {
-          console.error(`Error mapping field "${templateHeader}" for row ${rowIndex + 1}:`, error);
-          resultRow.push('ERROR');
-          rowHasError = true;
-          stats.warnings++;
-        }
-      } else {
-        resultRow.push(''); // Empty value for unmapped fields
-      }
-    });
-    
-    if (rowHasError) {
-      stats.errorRows++;
+  // Process each row from the input file, remembering the row each output row came from
+  let outputRows = [];
+  rowsToMap.forEach(({ row: dataRow, rowIndex }) => {
+    const rowErrors = [];
+    const mappedRow = mapRow(dataRow, rowIndex, templateHeaders, fieldMappings, stats, rowErrors, policy.errorValue);
+    const failedColumns = rowErrors.map(error => error.column);
+    if (acceptRow(rowErrors, dataRow)) {
+      outputRows.push({ row: mappedRow, sourceRow: dataRow, rowIndex, failedColumns });
     }
-    
-    resultData.push(resultRow);
   });
   
+  // Stages after mapping work on output rows keyed by template header
+  // (rows they pass on unchanged keep their failed mappings; new rows start without).
+  // Their rows keep the index of the input row they came from, as before mapping.
+  if (pipeline.after.length > 0) {
+    const rowObjects = rowsToObjects(templateHeaders, outputRows.map(({ row }) => row));
+    const failedByRow = new Map(rowObjects.map((rowObject, index) => [rowObject, outputRows[index].failedColumns]));
+    const entries = rowObjects.map((rowObject, index) => ({ row: rowObject, rowIndex: outputRows[index].rowIndex }));
+    outputRows = runIndexedStages(pipeline.after, entries, stats)
+      .map(({ row: rowObject, rowIndex }) => ({
+        row: templateHeaders.map(header => rowObject[header]),
+        sourceRow: rowObject,
+        rowIndex,
+        failedColumns: failedByRow.get(rowObject) || []
+      }));
+  }
+  
+  // Unique keys on output columns are checked on the mapped rows
+  const outputKeys = uniqueKeys.filter(key => key.on === 'output');
+  if (outputKeys.length > 0) {
+    const rowObjects = rowsToObjects(templateHeaders, outputRows.map(({ row }) => row));
+    const checked = checkKeys(outputKeys, rowObjects, 'output', origin => outputRows[origin].rowIndex);
+    outputRows = checked.rows.map((rowObject, index) => ({
+      ...outputRows[checked.origins[index]],
+      row: templateHeaders.map(header => rowObject[header])
+    }));
+  }
+  
+  // Typed output columns (see ./column-types.js) and output validation
+  const columnTypes = configObj.columnTypes || {};
+  const hasColumnTypes = Object.keys(columnTypes).length > 0;
+  const resultRows = [];
+  
+  outputRows.forEach(({ row, sourceRow, rowIndex, failedColumns }) => {
+    const rowErrors = [];
+    const typedRow = hasColumnTypes ? applyColumnTypes(row, rowIndex, templateHeaders, columnTypes, stats, rowErrors, failedColumns) : row;
+    if (validation && validation.hasOutput) {
+      const rowObject = rowsToObjects(templateHeaders, [typedRow])[0];
+      recordValidationErrors(validation.validateOutput(rowObject, rowIndex), stats, rowErrors);
+    }
+    if (acceptRow(rowErrors, sourceRow)) {
+      resultRows.push(typedRow);
+    }
+  });
+  
+  // Fails the run (before anything is written) if too many rows have errors
+  policy.checkThreshold(errorLog);
+  
+  stats.outputRows = resultRows.length;
+  
+  const lookupReport = collectLookupReport(configObj);
+  if (lookupReport) {
+    stats.lookups = lookupReport;
+  }
+  
+  // Create result data with template headers
+  const resultData = [templateHeaders, ...resultRows];
+  
   // -----------------------------
   // Generate output
   // -----------------------------
-  // Create a workbook for the result
-  const resultWorkbook = XLSX.utils.book_new();
-  
-  // Create a worksheet from the result data, ensuring string types are preserved
-  const resultSheet = XLSX.utils.aoa_to_sheet(resultData, {
-    raw: true, // Prevents auto-conversion of values that look like numbers
-    cellDates: true // Preserves date formats
-  });
+  // Sheets of the result workbook: the mapped data, plus the errors of the run if requested
+  const outputSheets = [{
+    name: sheets.output || DEFAULT_OUTPUT_SHEET,
+    rows: resultData,
+    formats: hasColumnTypes ? columnFormats(templateHeaders, columnTypes) : undefined
+  }];
+  if (sheets.errors) {
+    outputSheets.push({
+      name: sheets.errors,
+      rows: [
+        ['Row', 'Source', 'Column', 'Value', 'Rule', 'Error'],
+        ...errorLog.map(err => [err.row, err.source, err.column, err.value, err.rule, err.message])
+      ]
+    });
+  }
   
-  // Add the sheet to the workbook
-  XLSX.utils.book_append_sheet(resultWorkbook, resultSheet, 'Remapped Data');
+  // Create a workbook for the result
+  const resultWorkbook = buildWorkbook(outputSheets);
   
   // If output file path is provided, save the result
   if (outputFilePath) {
-    const outputExt = path.extname(outputFilePath).toLowerCase();
+    const outputAdapter = resolveFormat(outputFilePath, formats.output);
     
-    if (outputExt === '.csv') {
-      console.log(`Saving as CSV file: ${outputFilePath}`);
+    if (outputAdapter.kind === 'delimited') {
+      logger.debug(`Saving as ${outputAdapter.name.toUpperCase()} file: ${outputFilePath}`);
       
       // Generate CSV content with proper quoting to handle delimiters
-      const outputCSV = Papa.unparse(resultData, {
-        delimiter: csvOptions.delimiter || ',',
-        quoteChar: csvOptions.quoteChar || '"',
+      const csvRows = [templateHeaders, ...outputRowValues(resultRows, templateHeaders, columnTypes)];
+      const dialect = outputCsvDialect(csvOptions, templateFormat, stats.inputFormat, outputAdapter);
+      const outputCSV = Papa.unparse(csvRows, {
+        ...dialect,
         escapeChar: '\\',
         header: true,
         skipEmptyLines: true
       });
       
-      fs.writeFileSync(outputFilePath, outputCSV, 'utf8');
+      // Encoding and BOM as chosen in the config's `output` section (UTF-8 without BOM by default)
+      const target = resolveOutputEncoding(configObj.output);
+      fs.writeFileSync(outputFilePath, Buffer.concat([outputPreamble(target), encodeText(outputCSV, target.encoding)]));
+      stats.outputFormat = { ...target, delimiter: dialect.delimiter };
+    } else if (outputAdapter.kind === 'records') {
+      logger.debug(`Saving as ${outputAdapter.name} file: ${outputFilePath}`);
+      
+      const target = resolveOutputEncoding(configObj.output);
+      const rows = outputRowValues(resultRows, templateHeaders, columnTypes, outputAdapter);
+      writeRecords(outputFilePath, outputAdapter, templateHeaders, rows, optionsFor(configObj.formatOptions, outputAdapter.name, 'output'), target);
+      stats.outputFormat = { format: outputAdapter.name, ...target };
     } else {
       // Save as Excel
-      console.log(`Saving as Excel file: ${outputFilePath}`);
+      logger.debug(`Saving as Excel file: ${outputFilePath}`);
       XLSX.writeFile(resultWorkbook, outputFilePath);
     }
     
-    console.log(`Remapping complete! Output saved to: ${outputFilePath}`);
+    logger.info(`Remapping complete! Output saved to: ${outputFilePath}`);
   }
   
   // Summary of the processing - simplified
-  console.log(`\n===== Remapping Summary =====`);
-  console.log(`Total rows processed: ${stats.totalRows}`);
-  
-  if (stats.errorRows > 0) {
-    console.log(`Rows with errors: ${stats.errorRows}`);
-  }
-  
-  // Calculate unique warnings
-  const uniqueWarnings = (stats.parseErrors ? stats.parseErrors.length : 0) + 
-                        (stats.validationWarnings || 0);
-  
-  if (uniqueWarnings > 0) {
-    console.log(`Total warnings: ${uniqueWarnings}`);
-  }
+  printSummary(stats);
   
   // Return the result data and the workbook for further processing if needed
   return {
     headers: templateHeaders,
     data: resultData.slice(1), // Skip header row
     workbook: resultWorkbook,
+    errors: errorLog,
+    rejects: policy.rejects,
+    keyDuplicates: uniqueKeys.length > 0 ? mergeKeyFindings(keyFindings) : null,
     stats: stats
   };
 }
 
 /**
- * Utility function to check for duplicates in a specific column
+ * Streaming variant of remapData for large inputs
  * 
- * @param {string} filePath - Path to the file to check
- * @param {string} columnName - Name of the column to check for duplicates
- * @param {string} [delimiter=','] - CSV delimiter (if applicable)
- * @returns {Array} Array of objects with duplicate information
+ * CSV input is parsed with Papa's streaming API, mapped row by row and
+ * appended to the text output (CSV, or a record format such as NDJSON) in
+ * batches, so memory use stays bounded no matter how large the input is.
+ * Excel and record format inputs (JSON, XML, ...) are read in full but still
+ * written incrementally.
+ * 
+ * @param {string} templateFilePath - Path to the template file (see ./format-adapters.js)
+ * @param {string} inputFilePath - Path to the input data file (see ./format-adapters.js)
+ * @param {Object} configObj - Configuration object with field mappings
+ * @param {string} outputFilePath - Path of the text output file (not Excel)
+ * @param {Object} [options={}] - Streaming options
+ * @param {Function} [options.onProgress] - Called with `{ rowsProcessed, errorRows, bytesRead, totalBytes }`
+ * @param {number} [options.progressInterval=10000] - Number of rows between progress callbacks
+ * @param {number} [options.batchSize=1000] - Number of rows written per write call
+ * @param {Function} [options.onRow] - Called with `(dataRow, rowIndex)` for every input row
+ * @returns {Promise<Object>} Result object with headers, errors and stats (rows are not kept in memory)
  */
-function checkForDuplicates(filePath, columnName, delimiter = ',') {
-  console.log(`Checking for duplicates in column "${columnName}" of file: ${filePath}`);
+async function remapDataStream(templateFilePath, inputFilePath, configObj, outputFilePath, options = {}) {
+  logger.debug('Starting streaming data remapping process...');
+  
+  const formats = configObj.formats || {};
+  const outputAdapter = outputFilePath ? resolveFormat(outputFilePath, formats.output) : null;
+  if (!outputAdapter || outputAdapter.kind === 'workbook') {
+    throw new Error('Streaming mode requires a text output file (CSV, TSV, JSON, NDJSON, fixed-width or XML)');
+  }
+  
+  const csvOptions = configObj.csvOptions || DEFAULT_CSV_OPTIONS;
+  const fieldMappings = configObj.fieldMappings || {};
+  const progressInterval = options.progressInterval || 10000;
+  const batchSize = options.batchSize || 1000;
+  const sheets = configObj.sheets || {};
+  const layout = configObj.layout || {};
+  
+  if (layout.input) {
+    throw new Error('Input layout options (header row, data range) are not supported in streaming mode');
+  }
+  
+  // Only stages that work row by row can be streamed
+  const pipeline = configObj.pipeline || { before: [], after: [] };
+  const allStages = [...pipeline.before, ...pipeline.after];
+  const blockingStage = allStages.find(stage => !stage.rowWise);
+  if (blockingStage) {
+    throw new Error(`Pipeline stage ${blockingStage.label} needs all rows at once and is not supported in streaming mode`);
+  }
+  
+  // Template: only the header row is needed
+  logger.debug(`Loading template file: ${templateFilePath}`);
+  const templateHeaders = readHeaderRow(templateFilePath, csvOptions, sheets.template, layout.template, Object.keys(fieldMappings),
+    { format: formats.template, formatOptions: configObj.formatOptions });
+  logger.debug('Template headers:', templateHeaders);
+  
+  templateHeaders.forEach(header => {
+    if (!fieldMappings[header]) {
+      logger.warn(`Warning: No mapping defined for template header "${header}"`);
+    }
+  });
+  
+  const stats = {
+    totalRows: 0,
+    errorRows: 0,
+    warnings: 0,
+    parseErrors: []
+  };
+  
+  if (configObj.validationWarnings) {
+    stats.validationWarnings = configObj.validationWarnings;
+  }
+  
+  if (allStages.length > 0) {
+    stats.stages = allStages.map(stage => ({ stage: stage.label, rowsIn: 0, rowsOut: 0 }));
+  }
+  
+  // Encoding and format of the input, as configured or detected from the start of the file
+  const inputAdapter = resolveFormat(inputFilePath, formats.input);
+  const inputCsv = inputAdapter.kind === 'delimited' ? readCsvFormat(inputFilePath, delimitedOptions(csvOptions, inputAdapter)) : null;
+  if (inputCsv) {
+    stats.inputFormat = inputCsv.format;
+    logger.debug(`Input format: ${describeInputFormat(inputCsv.format)}`);
+  }
+  const templateAdapter = resolveFormat(templateFilePath, formats.template);
+  const templateFormat = templateAdapter.kind === 'delimited' ? readCsvFormat(templateFilePath, delimitedOptions(csvOptions, templateAdapter)).format : null;
+  
+  const policy = createErrorPolicy(configObj.errorPolicy, stats);
   
-  const fileExt = path.extname(filePath).toLowerCase();
-  let data = [];
+  // Runs row-wise stages on a single row, counting rows in and out per stage
+  const applyStages = (stages, statsOffset, rows, rowIndex) => stages.reduce((currentRows, stage, index) => {
+    const nextRows = currentRows.flatMap(row => stage.applyToRow(row, rowIndex));
+    stats.stages[statsOffset + index].rowsIn += currentRows.length;
+    stats.stages[statsOffset + index].rowsOut += nextRows.length;
+    return nextRows;
+  }, rows);
   
-  if (fileExt === '.csv') {
-    // CSV file
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const parseResult = Papa.parse(fileContent, {
+  let outputRowCount = 0;
+  
+  resetLookupMisses(configObj);
+  
+  const totalBytes = fs.statSync(inputFilePath).size;
+  let bytesRead = 0;
+  
+  const reportProgress = () => {
+    if (options.onProgress) {
+      options.onProgress({
+        rowsProcessed: stats.totalRows,
+        errorRows: stats.errorRows,
+        bytesRead,
+        totalBytes
+      });
+    }
+  };
+  
+  // -----------------------------
+  // Incremental output
+  // -----------------------------
+  // CSV / TSV text, or the text pieces of a record format writer (see ./format-adapters.js)
+  const target = resolveOutputEncoding(configObj.output);
+  let writer;
+  if (outputAdapter.kind === 'delimited') {
+    const unparseOptions = {
+      ...outputCsvDialect(csvOptions, templateFormat, stats.inputFormat, outputAdapter),
+      escapeChar: '\\',
       header: true,
-      delimiter: delimiter,
       skipEmptyLines: true
+    };
+    writer = {
+      start: () => Papa.unparse([templateHeaders], unparseOptions),
+      rows: rows => '\r\n' + Papa.unparse(rows, unparseOptions),
+      end: () => ''
+    };
+    stats.outputFormat = { ...target, delimiter: unparseOptions.delimiter };
+  } else {
+    const writerOptions = { ...optionsFor(configObj.formatOptions, outputAdapter.name, 'output'), encoding: target.encoding };
+    writer = outputAdapter.createWriter(templateHeaders, writerOptions);
+    stats.outputFormat = { format: outputAdapter.name, ...target };
+  }
+  
+  const output = fs.createWriteStream(outputFilePath);
+  let outputError = null;
+  output.on('error', error => {
+    outputError = error;
+  });
+  output.write(Buffer.concat([outputPreamble(target), encodeText(writer.start(), target.encoding)]));
+  
+  let batch = [];
+  
+  // Writes the pending batch; returns false when the output buffer is full
+  const flush = () => {
+    if (batch.length === 0) {
+      return true;
+    }
+    const text = writer.rows(batch);
+    batch = [];
+    return output.write(encodeText(text, target.encoding));
+  };
+  
+  // Errors of the run (only the error entries and quarantined rows are kept in memory)
+  const errorLog = [];
+  const validation = configObj.validation || null;
+  
+  // Keeps a row if it has no errors or the policy allows it; logs its errors either way
+  const acceptRow = (rowErrors, sourceRow) => {
+    const keep = policy.accept(rowErrors, sourceRow, errorLog);
+    rowErrors.forEach(error => errorLog.push(error));
+    return keep;
+  };
+  
+  // Typed output columns: values are converted, validated and formatted as text before writing
+  const columnTypes = configObj.columnTypes || {};
+  const hasColumnTypes = Object.keys(columnTypes).length > 0;
+  const queueRow = (row, sourceRow, rowIndex, failedColumns = []) => {
+    const rowErrors = [];
+    const typedRow = hasColumnTypes ? applyColumnTypes(row, rowIndex, templateHeaders, columnTypes, stats, rowErrors, failedColumns) : row;
+    if (validation && validation.hasOutput) {
+      const rowObject = rowsToObjects(templateHeaders, [typedRow])[0];
+      recordValidationErrors(validation.validateOutput(rowObject, rowIndex), stats, rowErrors);
+    }
+    
+    if (acceptRow(rowErrors, sourceRow)) {
+      batch.push(outputRowValues([typedRow], templateHeaders, columnTypes, outputAdapter)[0]);
+      outputRowCount++;
+    }
+  };
+  
+  // Maps one row and queues it for output; returns false when the caller should wait for 'drain'
+  const handleRow = (dataRow, rowIndex) => {
+    if (outputError) {
+      throw outputError;
+    }
+    if (options.onRow) {
+      options.onRow(dataRow, rowIndex);
+    }
+    stats.totalRows++;
+    
+    const inputErrors = [];
+    if (validation && validation.hasInput) {
+      recordValidationErrors(validation.validateInput(dataRow, rowIndex), stats, inputErrors);
+    }
+    const rowsToMap = acceptRow(inputErrors, dataRow) ? applyStages(pipeline.before, 0, [dataRow], rowIndex) : [];
+    
+    rowsToMap.forEach(rowToMap => {
+      const rowErrors = [];
+      const mappedRow = mapRow(rowToMap, rowIndex, templateHeaders, fieldMappings, stats, rowErrors, policy.errorValue);
+      const failedColumns = rowErrors.map(error => error.column);
+      if (!acceptRow(rowErrors, rowToMap)) {
+        return;
+      }
+      
+      if (pipeline.after.length === 0) {
+        queueRow(mappedRow, rowToMap, rowIndex, failedColumns);
+        return;
+      }
+      
+      const outputObject = rowsToObjects(templateHeaders, [mappedRow])[0];
+      applyStages(pipeline.after, pipeline.before.length, [outputObject], rowIndex).forEach(rowObject => {
+        const passedOn = rowObject === outputObject ? failedColumns : [];
+        queueRow(templateHeaders.map(header => rowObject[header]), rowObject, rowIndex, passedOn);
+      });
+    });
+    
+    if (stats.totalRows % progressInterval === 0) {
+      reportProgress();
+    }
+    
+    return batch.length >= batchSize ? flush() : true;
+  };
+  
+  // -----------------------------
+  // Stream and map the input
+  // -----------------------------
+  logger.debug(`Streaming input data file: ${inputFilePath}`);
+  
+  // An aborted run removes its partial output file
+  try {
+    if (inputCsv) {
+      const seenParseErrors = new Set();
+    
+      await new Promise((resolve, reject) => {
+        let rowIndex = 0;
+      
+        Papa.parse(createTextStream(inputFilePath, inputCsv.format.encoding), {
+          ...inputCsv.csvOptions,
+          header: true, // We want objects with column names as keys for data
+          escapeChar: '\\', // Handle escaped quotes
+          skipEmptyLines: true,
+          comments: false, // Don't treat any lines as comments
+          step: (results, parser) => {
+            if (rowIndex === 0 && results.meta && results.meta.fields) {
+              warnDuplicateHeaders(results.meta.fields);
+            }
+          
+            // Store parse errors without duplicates (row numbers match remapData)
+            results.errors.forEach(err => {
+              const errorKey = `${err.type}:${err.message}:${rowIndex}`;
+              if (!seenParseErrors.has(errorKey)) {
+                seenParseErrors.add(errorKey);
+                stats.parseErrors.push({ type: err.type, message: err.message, row: rowIndex + 1 });
+                stats.warnings++;
+              }
+            });
+          
+            bytesRead = results.meta.cursor;
+          
+            try {
+              if (!handleRow(results.data, rowIndex++)) {
+                parser.pause();
+                output.once('drain', () => parser.resume());
+              }
+            } catch (error) {
+              // Reject first: abort() completes the parse synchronously
+              reject(error);
+              parser.abort();
+            }
+          },
+          complete: resolve,
+          error: reject
+        });
+      });
+    } else {
+      // Excel and record format files (read in full, written incrementally)
+      const input = readInput(inputFilePath, { csvOptions, sheet: sheets.input, format: formats.input, formatOptions: configObj.formatOptions });
+      if (input.format) {
+        stats.inputFormat = input.format;
+      }
+      const inputRows = input.rows;
+    
+      for (let rowIndex = 0; rowIndex < inputRows.length; rowIndex++) {
+        if (!handleRow(inputRows[rowIndex], rowIndex)) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+      bytesRead = totalBytes;
+    }
+    
+    flush();
+    output.write(encodeText(writer.end(), target.encoding));
+    await new Promise((resolve, reject) => {
+      if (outputError) {
+        reject(outputError);
+        return;
+      }
+      output.once('error', reject);
+      output.end(resolve);
+    });
+    
+    policy.checkThreshold(errorLog);
+  } catch (error) {
+    if (error instanceof RemapAbortedError) {
+      output.destroy();
+      fs.rmSync(outputFilePath, { force: true });
+    }
+    throw error;
+  }
+  
+  bytesRead = totalBytes;
+  stats.outputRows = outputRowCount;
+  reportProgress();
+  
+  const lookupReport = collectLookupReport(configObj);
+  if (lookupReport) {
+    stats.lookups = lookupReport;
+  }
+  
+  logger.info(`Remapping complete! Output saved to: ${outputFilePath}`);
+  printSummary(stats);
+  
+  return {
+    headers: templateHeaders,
+    errors: errorLog,
+    rejects: policy.rejects,
+    stats: stats
+  };
+}
+
+/**
+ * Reads only the header row (column names) of a CSV or Excel file
+ * 
+ * @param {string} filePath - Path to the file (Excel or CSV)
+ * @param {Object} [csvOptions={}] - CSV parsing options (delimiter, quoteChar)
+ * @param {string|number} [sheet] - Sheet name or index for Excel files (defaults to the first sheet)
+ * @param {Object} [layout] - Header row / data range options (see ./table-layout.js)
+ * @param {Array} [expectedColumns=[]] - Column names used to auto-detect the header row
+ * @param {Object} [formats={}] - `{ format, formatOptions, role }`: format of the file (default: by extension),
+ *   the config's `formatOptions` and whether the file is the "template" (default) or "input"
+ * @returns {Array} Column names from the header row (the first row without a layout)
+ */
+function readHeaderRow(filePath, csvOptions = {}, sheet = undefined, layout = undefined, expectedColumns = [], formats = {}) {
+  const fileFormat = resolveFormat(filePath, formats.format);
+  
+  if (fileFormat.kind === 'records') {
+    // Columns of the records: a fixed-width spec, or the keys / elements found in the rows
+    const options = optionsFor(formats.formatOptions, fileFormat.name, formats.role || 'template');
+    return readRecords(filePath, fileFormat, options, csvOptions.encoding).headers;
+  }
+  
+  if (fileFormat.kind === 'delimited') {
+    const csvFile = readCsvFile(filePath, delimitedOptions(csvOptions, fileFormat));
+    const parseResult = Papa.parse(csvFile.text, {
+      delimiter: csvFile.csvOptions.delimiter,
+      quoteChar: csvFile.csvOptions.quoteChar,
+      header: false,
+      preview: layout ? 0 : 1 // The header may be anywhere when a layout is given
+    });
+    
+    if (layout) {
+      return extractTable(parseResult.data, layout, expectedColumns).headers.filter(header => header !== '');
+    }
+    return parseResult.data[0] || [];
+  }
+  
+  // Excel file
+  const workbook = XLSX.readFile(filePath, layout ? {} : { sheetRows: 1 });
+  const worksheet = selectSheet(workbook, sheet, filePath);
+  
+  if (layout) {
+    return extractTable(sheetToGrid(worksheet), layout, expectedColumns).headers.filter(header => header !== '');
+  }
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1 })[0] || [];
+}
+
+/**
+ * Loads the data rows of an input file (Excel or CSV)
+ * 
+ * This is the one place input files are parsed: the checks that run before
+ * the remapping (ID validation) and the remapping itself get the rows from
+ * here, so they all see the same rows.
+ * 
+ * @param {string} filePath - Path to the input file (Excel or CSV)
+ * @param {Object} [options={}] - Read options
+ * @param {Object} [options.csvOptions] - CSV parsing options (encoding, delimiter and quote character are detected if not set)
+ * @param {string|number} [options.sheet] - Sheet name or index for Excel files (defaults to the first sheet)
+ * @param {Object} [options.layout] - Header row / data range options (see ./table-layout.js)
+ * @param {Array} [options.expectedColumns=[]] - Column names used to auto-detect the header row
+ * @param {string} [options.format] - Format of the file (default: by extension, see ./format-adapters.js)
+ * @param {Object} [options.formatOptions] - `formatOptions` section of the config
+ * @param {string} [options.role='input'] - Settings of `formatOptions` to use ("output" to read an earlier output)
+ * @returns {Object} `{ rows, format, parseErrors, headerRowNumber }`: row objects keyed by column name,
+ *   the text format (null for Excel), unique parse errors and the header row located by the layout
+ */
+function readInput(filePath, options = {}) {
+  const { csvOptions = DEFAULT_CSV_OPTIONS, sheet, layout, expectedColumns = [] } = options;
+  const input = { rows: [], format: null, parseErrors: [], headerRowNumber: undefined };
+  const fileFormat = resolveFormat(filePath, options.format);
+  let grid;
+  
+  if (fileFormat.kind === 'records') {
+    if (layout && Object.keys(layout).length > 0) {
+      throw new Error(`Header row / data range options do not apply to ${fileFormat.name} files`);
+    }
+    const records = readRecords(filePath, fileFormat, optionsFor(options.formatOptions, fileFormat.name, options.role || 'input'), csvOptions.encoding);
+    input.rows = records.rows;
+    input.format = records.format;
+    return input;
+  }
+  
+  if (fileFormat.kind === 'delimited') {
+    // Encoding, delimiter and quote character as configured, or detected (see ./text-encoding.js)
+    const csvFile = readCsvFile(filePath, delimitedOptions(csvOptions, fileFormat));
+    input.format = csvFile.format;
+    
+    // Enhanced parsing options for complex CSV data
+    // (with a layout the raw grid is parsed and the table located afterwards)
+    const parsedData = Papa.parse(csvFile.text, {
+      ...csvFile.csvOptions,
+      header: !layout, // We want objects with column names as keys for data
+      escapeChar: '\\', // Handle escaped quotes
+      skipEmptyLines: !layout,
+      comments: false // Don't treat any lines as comments
     });
-    data = parseResult.data;
+    
+    // Store parse errors without duplicates
+    const seen = new Set();
+    parsedData.errors.forEach(err => {
+      const errorKey = `${err.type}:${err.message}:${err.row}`;
+      if (!seen.has(errorKey)) {
+        seen.add(errorKey);
+        input.parseErrors.push({ type: err.type, message: err.message, row: err.row + 1 });
+      }
+    });
+    
+    if (!layout) {
+      // Check for duplicate headers
+      if (parsedData.meta && parsedData.meta.fields) {
+        warnDuplicateHeaders(parsedData.meta.fields);
+      }
+      input.rows = parsedData.data;
+      return input;
+    }
+    grid = parsedData.data;
   } else {
     // Excel file
-    const workbook = XLSX.readFile(filePath);
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    data = XLSX.utils.sheet_to_json(sheet);
+    const worksheet = selectSheet(XLSX.readFile(filePath), sheet, filePath);
+    
+    if (!layout) {
+      input.rows = XLSX.utils.sheet_to_json(worksheet);
+      return input;
+    }
+    grid = sheetToGrid(worksheet);
   }
   
-  // Count occurrences of each value
-  const valueCounts = {};
+  const table = extractTable(grid, layout, expectedColumns);
+  if (input.format) {
+    warnDuplicateHeaders(table.headers.filter(header => header !== ''));
+  }
+  input.headerRowNumber = table.headerRowNumber;
+  input.rows = rowsToObjects(table.headers, table.rows);
+  return input;
+}
+
+/**
+ * Reads the data rows of a CSV or Excel file located by a table layout
+ * 
+ * @param {string} filePath - Path to the file (Excel or CSV)
+ * @param {Object} csvOptions - CSV parsing options
+ * @param {string|number} [sheet] - Sheet name or index for Excel files
+ * @param {Object} [layout={}] - Header row / data range options (see ./table-layout.js)
+ * @param {Array} [expectedColumns=[]] - Column names used to auto-detect the header row
+ * @returns {Array} Row objects keyed by column name
+ */
+function readTable(filePath, csvOptions, sheet = undefined, layout = {}, expectedColumns = []) {
+  return readInput(filePath, { csvOptions, sheet, layout: layout || {}, expectedColumns }).rows;
+}
+
+/**
+ * Utility function to check for duplicates in a specific column
+ * 
+ * @param {string} filePath - Path to the file to check (any input format, see readInput)
+ * @param {string|Array} columnName - Name of the column to check for duplicates (several columns: a composite key)
+ * @param {string} [delimiter=','] - CSV delimiter (if applicable; empty or "auto" to detect it)
+ * @param {string|number} [sheet] - Sheet name or index for Excel files (defaults to the first sheet)
+ * @param {Object} [options={}] - Check options
+ * @param {Array} [options.normalize] - Normalization steps applied before comparing (see ./unique-keys.js)
+ * @param {string} [options.format] - Format of the file (default: by extension, see ./format-adapters.js)
+ * @param {Object} [options.formatOptions] - `formatOptions` section of the config
+ * @returns {Array} Array of objects with duplicate information
+ */
+function checkForDuplicates(filePath, columnName, delimiter = ',', sheet = undefined, options = {}) {
+  const columns = [].concat(columnName);
+  const label = columns.join('+');
+  logger.debug(`Checking for duplicates in column "${label}" of file: ${filePath}`);
+  
+  // Rows as the remapping reads them (empty or "auto" delimiter: detected, like the encoding)
+  const data = readInput(filePath, {
+    csvOptions: { delimiter },
+    sheet,
+    format: options.format,
+    formatOptions: options.formatOptions
+  }).rows;
+  
+  // Count occurrences of each value (normalized, if asked to), keeping the values as written
+  const valueCounts = new Map();
   data.forEach((row, index) => {
-    const value = row[columnName];
-    if (value !== undefined && value !== null) {
-      valueCounts[value] = (valueCounts[value] || []);
-      valueCounts[value].push(index + 2); // +2 because of 0-indexing and header row
+    const values = columns.map(column => row[column]);
+    if (values.every(value => value !== undefined && value !== null)) {
+      const parts = values.map(value => normalizeKeyValue(value, options.normalize));
+      const key = JSON.stringify(parts);
+      if (!valueCounts.has(key)) {
+        valueCounts.set(key, { value: values.map(String).join(' | '), variants: new Set(), rowNumbers: [] });
+      }
+      valueCounts.get(key).variants.add(values.map(String).join(' | '));
+      valueCounts.get(key).rowNumbers.push(index + 2); // +2 because of 0-indexing and header row
     }
   });
   
   // Find duplicates
-  const duplicates = Object.entries(valueCounts)
-    .filter(([value, indices]) => indices.length > 1)
-    .map(([value, indices]) => ({
+  const duplicates = [...valueCounts.values()]
+    .filter(({ rowNumbers }) => rowNumbers.length > 1)
+    .map(({ value, variants, rowNumbers }) => ({
       value,
-      count: indices.length,
-      rowNumbers: indices
+      count: rowNumbers.length,
+      rowNumbers,
+      ...(variants.size > 1 ? { variants: [...variants] } : {})
     }));
   
   if (duplicates.length > 0) {
-    console.warn(`WARNING: Found ${duplicates.length} duplicate values in column "${columnName}"`);
+    logger.warn(`WARNING: Found ${duplicates.length} duplicate values in column${columns.length > 1 ? 's' : ''} "${label}"`);
     duplicates.forEach(dup => {
-      console.warn(`  Value "${dup.value}" appears ${dup.count} times in rows: ${dup.rowNumbers.join(', ')}`);
+      const variants = dup.variants ? ` (as ${dup.variants.map(variant => `"${variant}"`).join(', ')})` : '';
+      logger.warn(`  Value "${dup.value}" appears ${dup.count} times in rows: ${dup.rowNumbers.join(', ')}${variants}`);
     });
   } else {
-    console.log(`No duplicates found in column "${columnName}"`);
+    logger.debug(`No duplicates found in column "${label}"`);
   }
   
   return duplicates;
@@ -331,5 +1240,11 @@ function checkForDuplicates(filePath, columnName, delimiter = ',') {
 // Export the functions
 module.exports = {
   remapData,
-  checkForDuplicates
+  remapDataStream,
+  checkForDuplicates,
+  readHeaderRow,
+  readInput,
+  readTable,
+  selectSheet,
+  writeWorkbook
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * File Inspection
+ *
+ * This module describes a CSV or Excel file (or a file of another format,
+ * see ./format-adapters.js) before a mapping is written for it: its sheets,
+ * the columns of the header row, the number of data rows and a few sample
+ * rows. The encoding and delimiter of CSV files are detected unless given.
+ */
+
+const XLSX = require('xlsx');
+const Papa = require('papaparse');
+const { selectSheet } = require('./excel-remapper');
+const { readCsvFile } = require('./text-encoding');
+const { resolveFormat, optionsFor, readRecords } = require('./format-adapters');
+
+/**
+ * Describes the layout and content of a CSV or Excel file
+ *
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options={}] - Inspection options
+ * @param {string} [options.delimiter] - CSV delimiter (detected if not given)
+ * @param {string} [options.encoding] - CSV encoding (detected if not given)
+ * @param {string|number} [options.sheet] - Sheet name or index for Excel files (defaults to the first sheet)
+ * @param {string} [options.format] - Format of the file (default: by extension)
+ * @param {Object} [options.formatOptions] - `formatOptions` section of a config (e.g. fixed-width columns)
+ * @param {number} [options.sampleRows=5] - Number of data rows to include
+ * @returns {Object} `{ file, format, encoding, bom, delimiter, quoteChar, sheets, sheet, columns, rowCount, sampleRows }`
+ */
+function inspectFile(filePath, options = {}) {
+  const sampleSize = options.sampleRows === undefined ? 5 : options.sampleRows;
+  const info = { file: filePath, format: null, encoding: null, bom: null, delimiter: null, quoteChar: null, sheets: null, sheet: null };
+  const format = resolveFormat(filePath, options.format);
+  let rows;
+
+  if (format.kind === 'records') {
+    const records = readRecords(filePath, format, optionsFor(options.formatOptions, format.name, 'input'), options.encoding);
+    info.format = format.name;
+    info.encoding = records.format.encoding;
+    info.bom = records.format.bom;
+    rows = [records.headers, ...records.rows.map(row => records.headers.map(header => row[header]))];
+  } else if (format.kind === 'delimited') {
+    const delimiter = format.delimiter || options.delimiter;
+    const csvFile = readCsvFile(filePath, { delimiter, encoding: options.encoding });
+    const parsed = Papa.parse(csvFile.text, {
+      delimiter: csvFile.format.delimiter,
+      quoteChar: csvFile.format.quoteChar,
+      header: false,
+      skipEmptyLines: true
+    });
+    info.format = format.name;
+    info.encoding = csvFile.format.encoding;
+    info.bom = csvFile.format.bom;
+    info.delimiter = csvFile.format.delimiter;
+    info.quoteChar = csvFile.format.quoteChar;
+    rows = parsed.data;
+  } else {
+    const workbook = XLSX.readFile(filePath);
+    const worksheet = selectSheet(workbook, options.sheet, filePath);
+    info.format = 'xlsx';
+    info.sheets = workbook.SheetNames;
+    info.sheet = workbook.SheetNames.find(name => workbook.Sheets[name] === worksheet);
+    rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+  }
+
+  const columns = (rows[0] || []).map(column => String(column));
+  const dataRows = rows.slice(1);
+
+  return {
+    ...info,
+    columns,
+    rowCount: dataRows.length,
+    sampleRows: dataRows.slice(0, sampleSize).map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])))
+  };
+}
+
+module.exports = {
+  inspectFile
+};
@@ -0,0 +1,59 @@
+/**
+ * File Name Patterns
+ *
+ * Glob patterns as used by the batch and watch commands and by profile
+ * matching: `*` (within a folder), `**` (any number of folders), `?`,
+ * character classes (`[abc]`) and alternatives (`{csv,xlsx}`).
+ */
+
+/**
+ * Converts a glob pattern to a regular expression for forward-slash paths
+ *
+ * Supports `*` (within a folder), `**` (any number of folders), `?`,
+ * character classes (`[abc]`) and alternatives (`{csv,xlsx}`).
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Expression matching whole paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inAlternatives = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inAlternatives = true;
+      source += '(?:';
+    } else if (char === '}' && inAlternatives) {
+      inAlternatives = false;
+      source += ')';
+    } else if (char === ',' && inAlternatives) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  globToRegExp
+};
@@ -0,0 +1,251 @@
+/**
+ * Watch Folder
+ *
+ * This module watches an input folder and remaps files as they arrive. The
+ * config (and template) of a file is picked by the first rule whose `match`
+ * glob matches the file name:
+ *
+ *   watchFolder({
+ *     inputDir: 'data/input',
+ *     outputDir: 'data/output',
+ *     archiveDir: 'data/archive',   - Inputs remapped successfully are moved here
+ *     errorDir: 'data/errors',      - Failed inputs and files no rule matches are moved here
+ *     logFile: 'data/watch-log.jsonl',
+ *     rules: [
+ *       { match: 'branch-*.csv', template: 'template.csv', config: 'branches.json', output: '{name}-mapped.csv' }
+ *     ]
+ *   });
+ *
+ * The folder is scanned every `interval` milliseconds. A file is picked up
+ * once its size and modification time are unchanged between two scans, so
+ * files that are still being copied are left alone. Every processed file gets
+ * one line in the run log (JSON lines).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { remapBatch } = require('./batch-remapper');
+const { globToRegExp } = require('./file-patterns');
+const logger = require('./logger');
+
+// Default time between two scans of the input folder
+const DEFAULT_INTERVAL = 2000;
+
+// Files that are being written or belong to other programs (hidden files, Office lock files, partial downloads)
+const IGNORED_FILES = [/^\./, /^~\$/, /\.(tmp|part|crdownload)$/i];
+
+/**
+ * Finds the rule for a file name
+ *
+ * @param {Array} rules - Rules with a `match` glob, in order of priority
+ * @param {string} fileName - Name of the file (without folder)
+ * @returns {Object|null} The first matching rule, or null
+ */
+function findRule(rules, fileName) {
+  return rules.find(rule => globToRegExp(rule.match || '*').test(fileName)) || null;
+}
+
+/**
+ * Moves a file into a folder, with a time stamp so earlier files of the same name are kept
+ *
+ * @param {string} filePath - File to move
+ * @param {string} folder - Destination folder
+ * @returns {string} New path of the file
+ */
+function moveToFolder(filePath, folder) {
+  fs.mkdirSync(folder, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  let target = path.join(folder, `${stamp}-${path.basename(filePath)}`);
+  for (let copy = 2; fs.existsSync(target); copy++) {
+    target = path.join(folder, `${stamp}-${copy}-${path.basename(filePath)}`);
+  }
+
+  try {
+    fs.renameSync(filePath, target);
+  } catch (error) {
+    // Folders on different drives cannot be renamed across
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(filePath, target);
+    fs.unlinkSync(filePath);
+  }
+  return target;
+}
+
+/**
+ * Watches a folder and remaps the files that arrive in it
+ *
+ * @param {Object} options - Watch options
+ * @param {string} options.inputDir - Folder to watch
+ * @param {string} options.outputDir - Folder for the outputs
+ * @param {string} options.archiveDir - Folder inputs are moved to after a successful run
+ * @param {string} options.errorDir - Folder inputs are moved to after a failed run, or when no rule matches
+ * @param {Array} options.rules - Rules `{ match, template, config, output, mode, options }`: the file name glob,
+ *                                the template and config paths, the output name pattern (see formatOutputName),
+ *                                `standard` or `stream` mode and the run options, as for remapBatch
+ * @param {string} [options.logFile] - File the run log is appended to (JSON lines)
+ * @param {number} [options.interval=2000] - Milliseconds between two scans
+ * @param {number} [options.concurrency] - Files of one scan remapped at once (see remapBatch)
+ * @param {boolean} [options.once=false] - Process the files in the folder now and stop (no wait for files to settle)
+ * @param {Function} [options.onFile] - Called with the run log entry of every processed file
+ * @returns {Object} Watcher with `stop()`, which resolves with the totals once the current scan is done,
+ *                   and `done`, a promise resolved with the totals when the watcher has stopped
+ */
+function watchFolder(options) {
+  const { inputDir, outputDir, archiveDir, errorDir, rules } = options;
+  const interval = options.interval || DEFAULT_INTERVAL;
+  const seen = new Map(); // File name -> size and modification time at the last scan
+  const totals = { processed: 0, succeeded: 0, failed: 0, unmatched: 0 };
+  let stopped = false;
+  let wake = null;
+
+  // Moves a processed file away and records it in the run log
+  function finish(filePath, rule, result) {
+    const succeeded = result.status === 'success';
+    let movedTo = null;
+    try {
+      movedTo = moveToFolder(filePath, succeeded ? archiveDir : errorDir);
+    } catch (error) {
+      logger.error(`Cannot move ${filePath}: ${error.message}`);
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      file: path.basename(filePath),
+      status: result.status,
+      rule: rule ? rule.match : null,
+      config: rule ? rule.config : null,
+      output: result.output || null,
+      movedTo,
+      totalRows: result.stats ? result.stats.totalRows : null,
+      outputRows: result.stats ? result.stats.outputRows : null,
+      errorRows: result.stats ? result.stats.errorRows : null,
+      errorReport: result.errorReport || null,
+      rejectsFile: result.rejectsFile || null,
+      error: result.error ? result.error.message : null,
+      durationMs: result.durationMs || 0
+    };
+
+    totals.processed++;
+    totals[succeeded ? 'succeeded' : result.status === 'unmatched' ? 'unmatched' : 'failed']++;
+    if (options.logFile) {
+      fs.mkdirSync(path.dirname(options.logFile), { recursive: true });
+      fs.appendFileSync(options.logFile, `${JSON.stringify(entry)}\n`, 'utf8');
+    }
+
+    if (succeeded) {
+      logger.info(`✓ ${entry.file} -> ${path.basename(entry.output)} (${entry.outputRows} rows), archived`);
+    } else {
+      logger.error(`✗ ${entry.file}: ${entry.error}`);
+    }
+    if (options.onFile) {
+      options.onFile(entry);
+    }
+  }
+
+  // Remaps the files that are ready, one batch per rule
+  async function processFiles(filePaths) {
+    const groups = new Map();
+    filePaths.forEach(filePath => {
+      const rule = findRule(rules, path.basename(filePath));
+      if (!rule) {
+        finish(filePath, null, { status: 'unmatched', error: { message: 'No rule matches the file name' } });
+      } else {
+        groups.set(rule, [...(groups.get(rule) || []), filePath]);
+      }
+    });
+
+    for (const [rule, files] of groups) {
+      let batch;
+      try {
+        batch = await remapBatch(rule.template, files, rule.config, {
+          outputDir,
+          outputPattern: rule.output,
+          concurrency: options.concurrency,
+          mode: rule.mode,
+          remapOptions: rule.options
+        });
+      } catch (error) {
+        // An invalid config or clashing output names fail every file of the rule
+        files.forEach(filePath => finish(filePath, rule, { status: 'failed', error: { message: error.message } }));
+        continue;
+      }
+      batch.files.forEach(result => finish(result.input, rule, result));
+    }
+  }
+
+  // Lists the input folder and processes the files that have settled since the last scan
+  async function scan() {
+    const ready = [];
+    const present = new Set();
+
+    fs.readdirSync(inputDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !IGNORED_FILES.some(pattern => pattern.test(entry.name)))
+      .forEach(entry => {
+        const filePath = path.join(inputDir, entry.name);
+        let stat;
+        try {
+          stat = fs.statSync(filePath);
+        } catch (error) {
+          return; // Removed since the folder was listed
+        }
+
+        present.add(entry.name);
+        const previous = seen.get(entry.name);
+        if (options.once || (previous && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs)) {
+          ready.push(filePath);
+          seen.delete(entry.name);
+        } else {
+          seen.set(entry.name, { size: stat.size, mtimeMs: stat.mtimeMs });
+        }
+      });
+
+    // Forget files that were removed before they settled
+    [...seen.keys()].filter(name => !present.has(name)).forEach(name => seen.delete(name));
+
+    if (ready.length > 0) {
+      await processFiles(ready.sort());
+    }
+  }
+
+  async function run() {
+    fs.mkdirSync(inputDir, { recursive: true });
+    logger.info(options.once ? `Processing the files in ${inputDir}` : `Watching ${inputDir} (every ${interval / 1000}s, stop with Ctrl+C)`);
+
+    while (!stopped) {
+      try {
+        await scan();
+      } catch (error) {
+        // E.g. the folder is briefly unavailable on a network drive; try again at the next scan
+        logger.error(`Scan of ${inputDir} failed: ${error.message}`);
+      }
+      if (options.once) {
+        break;
+      }
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, interval);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+    return totals;
+  }
+
+  const done = run();
+
+  return {
+    stop() {
+      stopped = true;
+      if (wake) wake();
+      return done;
+    },
+    done
+  };
+}
+
+module.exports = {
+  watchFolder,
+  findRule,
+  DEFAULT_INTERVAL
+};
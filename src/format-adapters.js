@@ -0,0 +1,585 @@
+/**
+ * File Format Adapters
+ *
+ * Templates, inputs and outputs are CSV or Excel unless another format is
+ * picked by file extension or named in the config's `formats` section
+ * (`{ "input": "xml", "template": "csv", "output": "ndjson" }`):
+ *
+ *   csv     .csv             - Delimited text (encoding and dialect: see ./text-encoding.js)
+ *   tsv     .tsv .tab        - Tab separated text, read and written like CSV
+ *   xlsx    .xlsx .xls       - Excel workbooks (also any extension no format claims)
+ *   json    .json            - Array of row objects
+ *   ndjson  .ndjson .jsonl   - One row object per line
+ *   fixed   .fwf .dat        - Fixed-width records
+ *   xml     .xml             - Row elements holding one child element per column
+ *
+ * Settings of a format come from `formatOptions.<format>`, with `input`,
+ * `template` or `output` sub-sections for settings that differ per file:
+ *
+ *   "formatOptions": {
+ *     "fixed": {
+ *       "output": { "columns": [{ "name": "CustomerID", "width": 8, "align": "right", "pad": "0" }, ...] }
+ *     },
+ *     "xml": { "rootElement": "customers", "rowElement": "customer" },
+ *     "json": { "rowsPath": "data.items", "indent": 2 }
+ *   }
+ *
+ * A record format (everything but CSV, TSV and Excel, which the remapper
+ * reads itself) has `read(text, options)`, returning `{ rows, headers }`, and
+ * `createWriter(headers, options)`, returning `{ start(), rows(rows), end() }`
+ * text pieces, so an output can be written at once or batch by batch in
+ * streaming mode. registerFormat adds formats of the same shape.
+ */
+
+const path = require('path');
+const { readTextFile, writeTextFile } = require('./text-encoding');
+const logger = require('./logger');
+
+// Format of files whose extension no format claims (everything that is not CSV used to be Excel)
+const DEFAULT_FORMAT = 'xlsx';
+
+// Settings sections of formatOptions that apply to one file only
+const ROLES = ['input', 'template', 'output'];
+
+// XML encoding declaration by output encoding
+const XML_ENCODING_NAMES = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16',
+  'utf-16be': 'UTF-16',
+  'windows-1252': 'windows-1252'
+};
+
+// Entities of XML text
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Lists the column names of row objects, in order of first appearance
+ *
+ * @param {Array} rows - Row objects
+ * @returns {Array} Column names
+ */
+function collectHeaders(rows) {
+  const headers = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => headers.add(key)));
+  return [...headers];
+}
+
+/**
+ * Turns an output row (values in header order) into an object keyed by header
+ *
+ * @param {Array} headers - Template headers
+ * @param {Array} row - Output row
+ * @returns {Object} Row object
+ */
+function rowObject(headers, row) {
+  return Object.fromEntries(headers.map((header, col) => [header, row[col] === undefined ? null : row[col]]));
+}
+
+/**
+ * Checks that parsed JSON rows are objects
+ *
+ * @param {Array} rows - Parsed rows
+ * @param {string} what - How a row is referred to in messages ("Row", "Line")
+ * @param {Function} [numberOf] - Maps a row index to the number used in messages
+ */
+function checkRowObjects(rows, what, numberOf = index => index + 1) {
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`${what} ${numberOf(index)} is not an object`);
+    }
+  });
+}
+
+// -----------------------------
+// JSON and NDJSON
+// -----------------------------
+
+/**
+ * Reads a JSON array of row objects
+ *
+ * @param {string} text - File content
+ * @param {Object} [options={}] - `{ rowsPath }`: dotted path of the array inside an object (e.g. "data.items")
+ * @returns {Object} `{ rows, headers }`
+ */
+function readJson(text, options = {}) {
+  let rows = JSON.parse(text);
+  if (options.rowsPath) {
+    rows = String(options.rowsPath).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), rows);
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error(options.rowsPath
+      ? `"${options.rowsPath}" is not an array of rows`
+      : 'Expected an array of row objects (set formatOptions.json.rowsPath for rows inside an object)');
+  }
+  checkRowObjects(rows, 'Row');
+  return { rows, headers: collectHeaders(rows) };
+}
+
+/**
+ * Writes row objects as a JSON array
+ *
+ * @param {Array} headers - Template headers (the keys of each object)
+ * @param {Object} [options={}] - `{ indent }`: spaces per level (default 2, 0 for one row per line)
+ * @returns {Object} Writer (see module header)
+ */
+function createJsonWriter(headers, options = {}) {
+  const indent = options.indent === undefined ? 2 : options.indent;
+  const pad = ' '.repeat(indent);
+  let count = 0;
+  return {
+    start: () => '[',
+    rows: rows => rows.map(row => {
+      const json = JSON.stringify(rowObject(headers, row), null, indent).replace(/\n/g, `\n${pad}`);
+      return `${count++ === 0 ? '' : ','}\n${pad}${json}`;
+    }).join(''),
+    end: () => `${count > 0 ? '\n' : ''}]\n`
+  };
+}
+
+/**
+ * Reads newline-delimited JSON (one row object per line)
+ *
+ * @param {string} text - File content
+ * @returns {Object} `{ rows, headers }`
+ */
+function readNdjson(text) {
+  const lines = text.split(/\r?\n/);
+  const lineNumbers = [];
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: ${error.message}`);
+    }
+    lineNumbers.push(index + 1);
+  });
+  checkRowObjects(rows, 'Line', index => lineNumbers[index]);
+  return { rows, headers: collectHeaders(rows) };
+}
+
+/**
+ * Writes row objects as newline-delimited JSON
+ *
+ * @param {Array} headers - Template headers (the keys of each object)
+ * @returns {Object} Writer (see module header)
+ */
+function createNdjsonWriter(headers) {
+  return {
+    start: () => '',
+    rows: rows => rows.map(row => `${JSON.stringify(rowObject(headers, row))}\n`).join(''),
+    end: () => ''
+  };
+}
+
+// -----------------------------
+// Fixed-width records
+// -----------------------------
+
+/**
+ * Checks the column spec of fixed-width records and works out where each column starts
+ *
+ * @param {Object} options - `{ columns }`: `{ name, width, start?, align?, pad? }` per column (`start` is 1-based)
+ * @returns {Array} Columns with a 0-based `offset`
+ */
+function fixedColumns(options) {
+  const columns = options.columns;
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error('Fixed-width files need their columns in formatOptions.fixed.columns');
+  }
+
+  let offset = 0;
+  return columns.map((column, index) => {
+    if (!column || typeof column.name !== 'string' || !Number.isInteger(column.width) || column.width < 1) {
+      throw new Error(`Fixed-width column ${index + 1} needs a "name" and a whole "width" of at least 1`);
+    }
+    offset = column.start !== undefined ? column.start - 1 : offset;
+    const described = { align: 'left', pad: ' ', ...column, offset };
+    offset += column.width;
+    return described;
+  });
+}
+
+/**
+ * Reads fixed-width records (one per line); values are trimmed
+ *
+ * @param {string} text - File content
+ * @param {Object} options - `{ columns, skipLines }`: column spec, and lines to skip at the start (e.g. a header record)
+ * @returns {Object} `{ rows, headers }`
+ */
+function readFixedWidth(text, options = {}) {
+  const columns = fixedColumns(options);
+  const rows = text.split(/\r?\n/)
+    .slice(options.skipLines || 0)
+    .filter(line => line.trim() !== '')
+    .map(line => Object.fromEntries(columns.map(column => [column.name, line.slice(column.offset, column.offset + column.width).trim()])));
+  return { rows, headers: columns.map(column => column.name) };
+}
+
+/**
+ * Writes fixed-width records; values longer than their column are cut (and reported)
+ *
+ * @param {Array} headers - Template headers
+ * @param {Object} options - `{ columns, newline }`: column spec (names are template headers), line ending (default "\r\n")
+ * @returns {Object} Writer (see module header)
+ */
+function createFixedWidthWriter(headers, options = {}) {
+  const columns = fixedColumns(options);
+  const newline = options.newline === undefined ? '\r\n' : options.newline;
+
+  columns.forEach(column => {
+    if (!headers.includes(column.name)) {
+      throw new Error(`Fixed-width column "${column.name}" is not a template header`);
+    }
+  });
+  const unwritten = headers.filter(header => !columns.some(column => column.name === header));
+  if (unwritten.length > 0) {
+    logger.warn(`Warning: Template headers without a fixed-width column are not written: ${unwritten.join(', ')}`);
+  }
+
+  const cut = {};
+  const fit = (value, column) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (text.length > column.width) {
+      cut[column.name] = (cut[column.name] || 0) + 1;
+      text = text.slice(0, column.width);
+    }
+    return column.align === 'right' ? text.padStart(column.width, column.pad) : text.padEnd(column.width, column.pad);
+  };
+
+  // Each record puts its values at their column offsets (gaps are blank)
+  const record = row => columns.reduce((line, column) => {
+    const value = fit(row[headers.indexOf(column.name)], column);
+    return line.padEnd(column.offset, ' ').slice(0, column.offset) + value + line.slice(column.offset + column.width);
+  }, '');
+
+  return {
+    start: () => '',
+    rows: rows => rows.map(row => record(row) + newline).join(''),
+    end: () => {
+      Object.entries(cut).forEach(([name, count]) => {
+        logger.warn(`Warning: ${count} value(s) of "${name}" were cut to the column width`);
+      });
+      return '';
+    }
+  };
+}
+
+// -----------------------------
+// XML
+// -----------------------------
+
+/**
+ * Replaces XML entities and character references in text
+ *
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Escapes text for XML content
+ *
+ * @param {*} value - Value to write
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text.replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]);
+}
+
+/**
+ * Turns a template header into an XML element name ("Customer ID" -> "Customer_ID")
+ *
+ * @param {string} header - Template header
+ * @returns {string} Element name
+ */
+function elementName(header) {
+  const name = String(header).trim().replace(/[^A-Za-z0-9_.-]+/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Parses XML into a tree of `{ name, attributes, children, text }` elements
+ *
+ * Enough for data exports: elements, attributes, text, CDATA, comments and
+ * processing instructions. Namespaces are kept as part of the names.
+ *
+ * @param {string} text - XML document
+ * @returns {Object} Root element
+ */
+function parseXml(text) {
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+  const document = { name: '', attributes: {}, children: [], text: '' };
+  const stack = [document];
+
+  while (tokens.lastIndex < text.length) {
+    const position = tokens.lastIndex;
+    const match = tokens.exec(text);
+    if (!match) {
+      const line = text.slice(0, position).split('\n').length;
+      throw new Error(`Malformed XML on line ${line}`);
+    }
+    const current = stack[stack.length - 1];
+    const [, cdata, closing, opening, attributes, selfClosing, content] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing !== undefined) {
+      if (current === document || current.name !== closing) {
+        throw new Error(`Unexpected </${closing}>${current === document ? '' : `, expected </${current.name}>`}`);
+      }
+      stack.pop();
+    } else if (opening !== undefined) {
+      const element = { name: opening, attributes: {}, children: [], text: '' };
+      (attributes.match(/[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []).forEach(attribute => {
+        const [, name, value] = attribute.match(/^([^\s=]+)\s*=\s*["']([\s\S]*)["']$/);
+        element.attributes[name] = decodeEntities(value);
+      });
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (content !== undefined) {
+      current.text += decodeEntities(content);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Element <${stack[stack.length - 1].name}> is not closed`);
+  }
+  if (document.children.length !== 1) {
+    throw new Error('Expected a single root element');
+  }
+  return document.children[0];
+}
+
+/**
+ * Flattens a row element into a row object
+ *
+ * Attributes and child elements become columns; nested elements are named
+ * by their path ("address.city") and repeated elements are joined with "|".
+ *
+ * @param {Object} element - Row element
+ * @param {string} [prefix=''] - Path of the element inside the row
+ * @param {Object} [fields={}] - Row object being filled
+ * @returns {Object} Row object
+ */
+function elementFields(element, prefix = '', fields = {}) {
+  const add = (name, value) => {
+    fields[name] = name in fields ? `${fields[name]}|${value}` : value;
+  };
+
+  Object.entries(element.attributes).forEach(([name, value]) => add(prefix + name, value));
+  element.children.forEach(child => {
+    const name = prefix + child.name;
+    if (child.children.length > 0 || Object.keys(child.attributes).length > 0) {
+      elementFields(child, `${name}.`, fields);
+      if (child.text.trim() !== '') {
+        add(name, child.text.trim());
+      }
+    } else {
+      add(name, child.text.trim());
+    }
+  });
+  return fields;
+}
+
+/**
+ * Reads the row elements of an XML document
+ *
+ * @param {string} text - File content
+ * @param {Object} [options={}] - `{ rowElement }`: name of the row elements (default: the children of the root element)
+ * @returns {Object} `{ rows, headers }`
+ */
+function readXml(text, options = {}) {
+  const root = parseXml(text);
+  let elements = root.children;
+  if (options.rowElement) {
+    elements = [];
+    const collect = element => element.children.forEach(child => (child.name === options.rowElement ? elements.push(child) : collect(child)));
+    collect({ children: [root] });
+  }
+  const rows = elements.map(element => elementFields(element));
+  return { rows, headers: collectHeaders(rows) };
+}
+
+/**
+ * Writes rows as XML elements, one child element per template header
+ *
+ * @param {Array} headers - Template headers
+ * @param {Object} [options={}] - `{ rootElement, rowElement, encoding }` (defaults "rows", "row", "utf-8")
+ * @returns {Object} Writer (see module header)
+ */
+function createXmlWriter(headers, options = {}) {
+  const root = elementName(options.rootElement || 'rows');
+  const rowName = elementName(options.rowElement || 'row');
+  const names = headers.map(elementName);
+  const declaration = `<?xml version="1.0" encoding="${XML_ENCODING_NAMES[options.encoding] || 'UTF-8'}"?>`;
+
+  return {
+    start: () => `${declaration}\n<${root}>\n`,
+    rows: rows => rows.map(row => {
+      const fields = names.map((name, col) => {
+        const value = row[col];
+        return value === undefined || value === null || value === '' ? `    <${name}/>` : `    <${name}>${escapeXml(value)}</${name}>`;
+      });
+      return `  <${rowName}>\n${fields.join('\n')}\n  </${rowName}>\n`;
+    }).join(''),
+    end: () => `</${root}>\n`
+  };
+}
+
+// -----------------------------
+// Registry
+// -----------------------------
+
+// Formats by name. `kind` tells the remapper how to handle them:
+// "delimited" and "workbook" files it reads itself, "records" through read / createWriter
+const FORMATS = {
+  csv: { kind: 'delimited', extensions: ['.csv'] },
+  tsv: { kind: 'delimited', extensions: ['.tsv', '.tab'], delimiter: '\t' },
+  xlsx: { kind: 'workbook', extensions: ['.xlsx', '.xls'] },
+  json: { kind: 'records', extensions: ['.json'], typedValues: true, read: readJson, createWriter: createJsonWriter },
+  ndjson: { kind: 'records', extensions: ['.ndjson', '.jsonl'], typedValues: true, read: readNdjson, createWriter: createNdjsonWriter },
+  fixed: { kind: 'records', extensions: ['.fwf', '.dat'], read: readFixedWidth, createWriter: createFixedWidthWriter },
+  xml: { kind: 'records', extensions: ['.xml'], read: readXml, createWriter: createXmlWriter }
+};
+
+/**
+ * Adds a record format (or replaces one)
+ *
+ * @param {string} name - Format name, as used in the config's `formats` section
+ * @param {Object} adapter - `{ extensions, read, createWriter, typedValues }` (see module header);
+ *   `typedValues` passes numbers and booleans of typed columns to the writer instead of text
+ */
+function registerFormat(name, adapter) {
+  if (!adapter || typeof adapter.read !== 'function' || typeof adapter.createWriter !== 'function') {
+    throw new Error(`Format "${name}" needs a read and a createWriter function`);
+  }
+  FORMATS[name] = { extensions: [], ...adapter, kind: 'records' };
+}
+
+/**
+ * Lists the names of the known formats
+ *
+ * @returns {Array} Format names
+ */
+function formatNames() {
+  return Object.keys(FORMATS);
+}
+
+/**
+ * Lists the file extensions claimed by a format
+ *
+ * @returns {Array} Extensions with the leading dot, lower case
+ */
+function formatExtensions() {
+  return Object.values(FORMATS).flatMap(format => format.extensions);
+}
+
+/**
+ * Picks the format of a file
+ *
+ * @param {string} filePath - Path of the file
+ * @param {string} [name] - Format named in the config or on the command line (wins over the extension)
+ * @returns {Object} The format, with its `name`
+ * @throws {Error} If the named format is unknown
+ */
+function resolveFormat(filePath, name) {
+  if (name) {
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+      throw new Error(`Unknown file format "${name}". Supported formats: ${formatNames().join(', ')}`);
+    }
+    return { name, ...FORMATS[name] };
+  }
+  const ext = path.extname(filePath || '').toLowerCase();
+  const found = Object.keys(FORMATS).find(key => FORMATS[key].extensions.includes(ext)) || DEFAULT_FORMAT;
+  return { name: found, ...FORMATS[found] };
+}
+
+/**
+ * Error thrown when a file cannot be read in its format (malformed JSON, XML, ...)
+ */
+class InputFileError extends Error {
+  /**
+   * @param {string} message - What could not be read
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'InputFileError';
+  }
+}
+
+/**
+ * Collects the settings of a format for one file
+ *
+ * @param {Object} [formatOptions={}] - `formatOptions` section of the config
+ * @param {string} name - Format name
+ * @param {string} role - "input", "template" or "output"
+ * @returns {Object} Shared settings of the format, overridden by the ones for the role
+ */
+function optionsFor(formatOptions = {}, name, role) {
+  const settings = formatOptions[name] || {};
+  const shared = Object.fromEntries(Object.entries(settings).filter(([key]) => !ROLES.includes(key)));
+  return { ...shared, ...(settings[role] || {}) };
+}
+
+/**
+ * Reads the rows of a record format file
+ *
+ * @param {string} filePath - Path of the file
+ * @param {Object} format - Format from resolveFormat
+ * @param {Object} [options={}] - Settings of the format (see optionsFor); `encoding` overrides `fallbackEncoding`
+ * @param {string} [fallbackEncoding] - Encoding from the config's csvOptions (detected if not set)
+ * @returns {Object} `{ rows, headers, format }`, format being `{ format, encoding, bom, detected }` for the run stats
+ */
+function readRecords(filePath, format, options = {}, fallbackEncoding = undefined) {
+  const file = readTextFile(filePath, options.encoding || fallbackEncoding);
+  let records;
+  try {
+    records = format.read(file.text, options);
+  } catch (error) {
+    throw new InputFileError(`Cannot read ${path.basename(filePath)} as ${format.name}: ${error.message}`);
+  }
+  return {
+    ...records,
+    format: { format: format.name, encoding: file.encoding, bom: file.bom, detected: file.detected ? ['encoding'] : [] }
+  };
+}
+
+/**
+ * Writes rows to a record format file
+ *
+ * @param {string} filePath - Path of the file
+ * @param {Object} format - Format from resolveFormat
+ * @param {Array} headers - Template headers
+ * @param {Array} rows - Output rows (values in header order)
+ * @param {Object} [options={}] - Settings of the format (see optionsFor)
+ * @param {Object} [target={}] - `{ encoding, bom }` of the output (see ./text-encoding.js)
+ */
+function writeRecords(filePath, format, headers, rows, options = {}, target = {}) {
+  const writer = format.createWriter(headers, { ...options, encoding: target.encoding });
+  writeTextFile(filePath, writer.start() + writer.rows(rows) + writer.end(), target);
+}
+
+module.exports = {
+  resolveFormat,
+  optionsFor,
+  readRecords,
+  writeRecords,
+  registerFormat,
+  formatNames,
+  formatExtensions,
+  InputFileError
+};
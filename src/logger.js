@@ -0,0 +1,106 @@
+/**
+ * Logging
+ *
+ * All library output goes through this module, so applications embedding the
+ * remapper can turn it down, turn it off or route it into their own logging:
+ *
+ *   const logger = require('./src/logger');
+ *   logger.setLogger(logger.createConsoleLogger({ level: 'warn' }));
+ *   logger.setLogger(myServiceLogger);  - Any object with error/warn/info/debug methods
+ *
+ * Levels, from most to least important: error, warn, info (the default) and
+ * debug; "silent" turns all output off. Messages take printf-style arguments
+ * like console.log.
+ */
+
+const { Console } = require('console');
+
+// Supported levels; a logger writes its own level and everything to the left of it
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// Methods a logger provides, one per level
+const LOG_METHODS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Creates a logger that writes to the console
+ *
+ * @param {Object} [options={}] - Logger options
+ * @param {string} [options.level='info'] - Lowest level that is written (see LOG_LEVELS)
+ * @param {boolean} [options.stderr=false] - Write info and debug messages to stderr instead of stdout
+ *                                           (keeps stdout free for machine-readable output)
+ * @returns {Object} Logger with `error`, `warn`, `info` and `debug` methods and its `level`
+ */
+function createConsoleLogger(options = {}) {
+  const level = options.level || 'info';
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}". Use one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  // A console ignores write errors, so output piped into a reader that
+  // stops early (`| head`) does not end the run with EPIPE
+  const output = new Console({
+    stdout: options.stderr ? process.stderr : process.stdout,
+    stderr: process.stderr,
+    colorMode: false
+  });
+  const threshold = LOG_LEVELS.indexOf(level);
+  const write = (method, print) => (...args) => {
+    if (LOG_LEVELS.indexOf(method) <= threshold) {
+      print(...args);
+    }
+  };
+
+  return {
+    level,
+    error: write('error', output.error),
+    warn: write('warn', output.warn),
+    info: write('info', output.log),
+    debug: write('debug', output.log)
+  };
+}
+
+// Logger used by all modules
+let currentLogger = createConsoleLogger();
+
+/**
+ * Replaces the logger used by all modules
+ *
+ * Missing methods of the given logger are treated as silent.
+ *
+ * @param {Object} logger - Object with `error`, `warn`, `info` and `debug` methods
+ * @returns {Object} The logger used before
+ */
+function setLogger(logger) {
+  if (!logger || typeof logger !== 'object') {
+    throw new Error('Logger must be an object with error, warn, info and debug methods');
+  }
+
+  const previous = currentLogger;
+  currentLogger = Object.fromEntries(LOG_METHODS.map(method => [
+    method,
+    typeof logger[method] === 'function' ? logger[method].bind(logger) : () => {}
+  ]));
+  currentLogger.level = logger.level;
+  return previous;
+}
+
+/**
+ * Returns the logger used by all modules
+ *
+ * @returns {Object} Current logger
+ */
+function getLogger() {
+  return currentLogger;
+}
+
+module.exports = {
+  createConsoleLogger,
+  setLogger,
+  getLogger,
+  // Shortcuts that always write to the current logger
+  error: (...args) => currentLogger.error(...args),
+  warn: (...args) => currentLogger.warn(...args),
+  info: (...args) => currentLogger.info(...args),
+  debug: (...args) => currentLogger.debug(...args),
+  LOG_LEVELS
+};
@@ -0,0 +1,220 @@
+/**
+ * Lookup Tables
+ *
+ * This module loads the named lookup sources declared in the `lookups`
+ * section of a mapping config. Each source is a secondary CSV, Excel or
+ * JSON file indexed by one or more key columns; it is loaded once per
+ * config and then used by `join` pipeline stages, declarative rules with a
+ * named `lookup` and the `lookup()` function available to mapping functions.
+ *
+ *   "lookups": {
+ *     "countries": { "file": "countries.csv", "key": "code" },
+ *     "managers": { "file": "managers.xlsx", "sheet": "Regions", "key": ["region", "segment"] },
+ *     "rates": { "file": "rates.json", "key": "currency", "ignoreCase": true }
+ *   }
+ *
+ * Every table remembers the keys it could not match, so a run can report
+ * them afterwards.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readTable } = require('./excel-remapper');
+const logger = require('./logger');
+
+// Maximum number of distinct unmatched keys listed per table in a report
+const MAX_REPORTED_KEYS = 100;
+
+/**
+ * Builds the index key for a key value (values of several key columns are combined)
+ *
+ * Kept free of outside references: the sandbox installs a copy of it.
+ *
+ * @param {*} value - Key value, or an array of values for composite keys
+ * @param {boolean} [ignoreCase=false] - Compare keys case-insensitively
+ * @returns {string} Index key
+ */
+function normalizeKey(value, ignoreCase) {
+  const parts = Array.isArray(value) ? value : [value];
+  const key = parts.map(part => (part === undefined || part === null ? '' : String(part).trim())).join('\u001f');
+  return ignoreCase ? key.toLowerCase() : key;
+}
+
+/**
+ * Formats a key value for reports
+ *
+ * Kept free of outside references: the sandbox installs a copy of it.
+ *
+ * @param {*} value - Key value, or an array of values for composite keys
+ * @returns {string} Readable key, e.g. "EU | Retail"
+ */
+function displayKey(value) {
+  const parts = Array.isArray(value) ? value : [value];
+  return parts.map(part => (part === undefined || part === null ? '' : String(part).trim())).join(' | ');
+}
+
+/**
+ * Reads the rows of a JSON lookup file
+ *
+ * Arrays of objects are used as they are; an object is read as a map from
+ * key to row (`{ "DE": { "name": "Germany" } }`) or from key to value
+ * (`{ "DE": "Germany" }`), giving rows with a `key` column and, for plain
+ * values, a `value` column.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Array} Row objects
+ */
+function readJsonRows(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error parsing lookup file ${filePath}: ${error.message}`);
+  }
+
+  if (Array.isArray(data)) {
+    return data.filter(row => row !== null && typeof row === 'object');
+  }
+  if (data !== null && typeof data === 'object') {
+    return Object.entries(data).map(([key, value]) => (
+      value !== null && typeof value === 'object' && !Array.isArray(value) ? { key, ...value } : { key, value }
+    ));
+  }
+
+  throw new Error(`Lookup file ${filePath} must contain an array of rows or an object`);
+}
+
+/**
+ * Creates an indexed lookup table from rows
+ *
+ * @param {string} name - Name of the lookup source
+ * @param {Array} rows - Row objects
+ * @param {Object} options - Table options
+ * @param {string|Array} options.key - Key column(s)
+ * @param {boolean} [options.ignoreCase=false] - Compare keys case-insensitively
+ * @returns {Object} Table with `match(keyValue)`, `report()`, `recordMiss(key, count)`, `resetMisses()` and `toSandbox()`
+ */
+function createLookupTable(name, rows, options) {
+  const keyColumns = [].concat(options.key);
+  const ignoreCase = Boolean(options.ignoreCase);
+
+  // Index key -> all rows with that key (file order)
+  const index = new Map();
+  let duplicateKeys = 0;
+  rows.forEach(row => {
+    const indexKey = normalizeKey(keyColumns.map(column => row[column]), ignoreCase);
+    if (index.has(indexKey)) {
+      duplicateKeys++;
+      index.get(indexKey).push(row);
+    } else {
+      index.set(indexKey, [row]);
+    }
+  });
+
+  // Unmatched key (as displayed) -> number of failed lookups
+  let misses = new Map();
+
+  /**
+   * Records a failed lookup
+   *
+   * @param {string} key - Key as displayed in reports
+   * @param {number} [count=1] - Number of failed lookups
+   */
+  function recordMiss(key, count = 1) {
+    misses.set(key, (misses.get(key) || 0) + count);
+  }
+
+  /**
+   * Finds the rows for a key value and records it if nothing matches
+   *
+   * @param {*} keyValue - Key value, or an array of values for composite keys
+   * @returns {Array} Matching rows (empty if none)
+   */
+  function match(keyValue) {
+    const found = index.get(normalizeKey(keyValue, ignoreCase));
+    if (found) {
+      return found;
+    }
+    recordMiss(displayKey(keyValue));
+    return [];
+  }
+
+  /**
+   * Summarizes the table and the keys that were not found since the last reset
+   *
+   * @returns {Object} `{ rows, unmatched, unmatchedKeys }` with unmatchedKeys as `{ key, count }`, most frequent first
+   */
+  function report() {
+    const unmatchedKeys = Array.from(misses, ([key, count]) => ({ key, count }))
+      .sort((a, b) => b.count - a.count);
+    return {
+      rows: rows.length,
+      unmatched: unmatchedKeys.reduce((total, entry) => total + entry.count, 0),
+      unmatchedKeys: unmatchedKeys.slice(0, MAX_REPORTED_KEYS)
+    };
+  }
+
+  return {
+    name,
+    keyColumns,
+    columns: rows.length > 0 ? Object.keys(rows[0]) : keyColumns,
+    size: rows.length,
+    duplicateKeys,
+    match,
+    recordMiss,
+    report,
+    resetMisses: () => {
+      misses = new Map();
+    },
+    // Plain data copied into a mapping sandbox: first row per key
+    toSandbox: () => ({
+      ignoreCase,
+      index: Object.fromEntries(Array.from(index, ([indexKey, keyRows]) => [indexKey, keyRows[0]]))
+    })
+  };
+}
+
+/**
+ * Loads all lookup sources of a config
+ *
+ * Relative file paths are resolved against the directory of the config file.
+ *
+ * @param {Object} [lookupDefs={}] - `lookups` section of the config
+ * @param {string} [baseDir=process.cwd()] - Directory relative paths refer to
+ * @returns {Object} Lookup tables keyed by name
+ */
+function loadLookupTables(lookupDefs = {}, baseDir = process.cwd()) {
+  const tables = {};
+
+  for (const [name, lookupDef] of Object.entries(lookupDefs)) {
+    const filePath = path.resolve(baseDir, lookupDef.file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Lookup file for '${name}' not found: ${filePath}`);
+    }
+
+    const rows = path.extname(filePath).toLowerCase() === '.json'
+      ? readJsonRows(filePath)
+      : readTable(filePath, lookupDef.csvOptions || {}, lookupDef.sheet, lookupDef.layout);
+
+    const missingKeys = [].concat(lookupDef.key).filter(column => rows.length > 0 && !(column in rows[0]));
+    if (missingKeys.length > 0) {
+      throw new Error(`Lookup '${name}': key column(s) ${missingKeys.join(', ')} not found in ${filePath}`);
+    }
+
+    tables[name] = createLookupTable(name, rows, lookupDef);
+    logger.info(`Loaded lookup '${name}': ${rows.length} rows from ${filePath}`);
+
+    if (tables[name].duplicateKeys > 0) {
+      logger.warn(`Warning: Lookup '${name}' has ${tables[name].duplicateKeys} rows with repeated keys; the first row per key is used for single-value lookups`);
+    }
+  }
+
+  return tables;
+}
+
+module.exports = {
+  loadLookupTables,
+  createLookupTable,
+  normalizeKey,
+  displayKey
+};
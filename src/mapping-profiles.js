@@ -0,0 +1,214 @@
+/**
+ * Mapping Profiles
+ *
+ * A config may hold several named profiles, e.g. one per downstream system,
+ * instead of near-identical config files:
+ *
+ *   {
+ *     "helperFunctions": { ... },         - Top-level sections are shared by all profiles
+ *     "defaultProfile": "erp",
+ *     "profiles": {
+ *       "base": { "fieldMappings": { ... } },
+ *       "erp":  { "extends": "base", "template": "erp-template.csv",
+ *                 "match": { "fileName": "erp-*.csv" },
+ *                 "fieldMappings": { "Status": { "const": "A" }, "Notes": null } },
+ *       "crm":  { "extends": "base", "match": { "headers": ["crm_id"] }, ... }
+ *     }
+ *   }
+ *
+ * A profile is resolved from the top-level sections, then the profiles it
+ * extends (base first), then its own sections. Object sections are merged
+ * one level deep, so a profile overrides single field mappings, helpers,
+ * column types or CSV options; `null` removes an inherited entry. Arrays
+ * (such as `idColumns`) and other values are replaced.
+ *
+ * The profile of a run is the one named explicitly, otherwise the first
+ * profile whose `match` fits the input (file name glob and/or required header
+ * columns), otherwise `defaultProfile`.
+ */
+
+const path = require('path');
+const { globToRegExp } = require('./file-patterns');
+const { readHeaderRow } = require('./excel-remapper');
+
+// Profile settings that are not config sections
+const PROFILE_KEYS = ['extends', 'description', 'template', 'match'];
+
+// Top-level keys that belong to the profiles themselves
+const PROFILES_KEYS = ['profiles', 'defaultProfile'];
+
+/**
+ * Tells whether a config defines profiles
+ *
+ * @param {Object} config - Parsed (raw) configuration
+ * @returns {boolean} True if the config has a `profiles` section
+ */
+function hasProfiles(config) {
+  return Boolean(config && config.profiles && typeof config.profiles === 'object' && Object.keys(config.profiles).length > 0);
+}
+
+/**
+ * Lists the chain of profiles a profile extends, base first
+ *
+ * @param {Object} profiles - `profiles` section of the config
+ * @param {string} name - Profile name
+ * @returns {Array} Profile names from the outermost base to the profile itself
+ * @throws {Error} If a profile is unknown or the chain is circular
+ */
+function profileChain(profiles, name) {
+  const chain = [];
+  for (let current = name; current !== undefined; current = profiles[current].extends) {
+    if (!Object.prototype.hasOwnProperty.call(profiles, current)) {
+      throw new Error(current === name
+        ? `Unknown profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`
+        : `Profile "${chain[0]}" extends unknown profile "${current}"`);
+    }
+    if (chain.includes(current)) {
+      throw new Error(`Circular profile inheritance: ${[...chain, current].join(' -> ')}`);
+    }
+    chain.push(current);
+  }
+  return chain.reverse();
+}
+
+/**
+ * Merges the sections of one config layer onto another
+ *
+ * @param {Object} target - Sections merged so far (modified)
+ * @param {Object} layer - Sections of the next layer
+ * @returns {Object} The target
+ */
+function mergeSections(target, layer) {
+  Object.entries(layer).forEach(([key, value]) => {
+    const current = target[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) && current && typeof current === 'object' && !Array.isArray(current)) {
+      const merged = { ...current, ...value };
+      Object.keys(value).filter(entry => value[entry] === null).forEach(entry => delete merged[entry]);
+      target[key] = merged;
+    } else if (value === null) {
+      delete target[key];
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      // Nothing to override yet: drop the removal markers
+      target[key] = Object.fromEntries(Object.entries(value).filter(([, entry]) => entry !== null));
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Resolves a profile into a plain config (without profiles)
+ *
+ * @param {Object} config - Parsed (raw) configuration with `profiles`
+ * @param {string} name - Profile name
+ * @returns {Object} `{ name, template, config }`: the profile's template (inherited if not set) and resolved config
+ * @throws {Error} If the profile is unknown or its inheritance is circular
+ */
+function resolveProfile(config, name) {
+  const chain = profileChain(config.profiles, name);
+
+  const sections = Object.fromEntries(Object.entries(config).filter(([key]) => !PROFILES_KEYS.includes(key)));
+  let template;
+  chain.forEach(profileName => {
+    const profile = config.profiles[profileName];
+    if (profile.template !== undefined) {
+      template = profile.template;
+    }
+    mergeSections(sections, Object.fromEntries(Object.entries(profile).filter(([key]) => !PROFILE_KEYS.includes(key))));
+  });
+
+  return { name, template: template || null, config: sections };
+}
+
+/**
+ * Tells whether a profile's `match` fits an input
+ *
+ * @param {Object} match - `{ fileName, headers }`: glob(s) for the file name, columns the input must have
+ * @param {Object} input - `{ fileName, headers }` of the input (headers may be missing)
+ * @returns {boolean} True if every given condition holds
+ */
+function matchesInput(match, input) {
+  if (match.fileName !== undefined) {
+    if (!input.fileName) return false;
+    const fileName = path.basename(input.fileName);
+    if (![].concat(match.fileName).some(pattern => globToRegExp(pattern).test(fileName))) return false;
+  }
+  if (match.headers !== undefined) {
+    if (!input.headers) return false;
+    if (!match.headers.every(header => input.headers.includes(header))) return false;
+  }
+  return true;
+}
+
+/**
+ * Tells whether selecting a profile needs the header row of the input
+ *
+ * @param {Object} config - Parsed (raw) configuration
+ * @returns {boolean} True if a profile matches on headers
+ */
+function matchesOnHeaders(config) {
+  return hasProfiles(config) &&
+    Object.values(config.profiles).some(profile => profile && profile.match && profile.match.headers !== undefined);
+}
+
+/**
+ * Picks the profile of a run
+ *
+ * @param {Object} config - Parsed (raw) configuration with `profiles`
+ * @param {Object} [selection={}] - What the profile is picked by
+ * @param {string} [selection.profile] - Profile name given explicitly (e.g. with --profile)
+ * @param {string} [selection.fileName] - Path or name of the input file
+ * @param {Array} [selection.headers] - Header row of the input file
+ * @returns {Object} `{ name, reason }`, the reason being `explicit`, `match` or `default`
+ * @throws {Error} If the named profile does not exist, or no profile matches and there is no default
+ */
+function selectProfile(config, selection = {}) {
+  const names = Object.keys(config.profiles);
+
+  if (selection.profile) {
+    if (!names.includes(selection.profile)) {
+      throw new Error(`Unknown profile "${selection.profile}". Available profiles: ${names.join(', ')}`);
+    }
+    return { name: selection.profile, reason: 'explicit' };
+  }
+
+  const matched = names.find(name => config.profiles[name].match && matchesInput(config.profiles[name].match, selection));
+  if (matched) {
+    return { name: matched, reason: 'match' };
+  }
+  if (config.defaultProfile) {
+    return { name: config.defaultProfile, reason: 'default' };
+  }
+
+  const input = selection.fileName ? ` "${path.basename(selection.fileName)}"` : '';
+  throw new Error(`No profile matches the input${input} and there is no defaultProfile. Choose one of: ${names.join(', ')}`);
+}
+
+/**
+ * Picks the profile for an input file, reading its header row if a profile matches on headers
+ *
+ * @param {Object} config - Parsed (raw) configuration with `profiles`
+ * @param {string} [profile] - Profile name given explicitly
+ * @param {string} [inputFilePath] - Path of the input file
+ * @returns {Object} `{ name, reason }` (see selectProfile)
+ */
+function selectProfileForInput(config, profile, inputFilePath) {
+  let headers;
+  if (!profile && inputFilePath && matchesOnHeaders(config)) {
+    // The profile's own CSV options are not known yet: the shared delimiter, or a detected one
+    const csvOptions = { delimiter: (config.csvOptions && config.csvOptions.delimiter) || '' };
+    const formats = { format: config.formats && config.formats.input, formatOptions: config.formatOptions, role: 'input' };
+    headers = readHeaderRow(inputFilePath, csvOptions, config.sheets && config.sheets.input, undefined, [], formats).map(String);
+  }
+  return selectProfile(config, { profile, fileName: inputFilePath, headers });
+}
+
+module.exports = {
+  hasProfiles,
+  resolveProfile,
+  selectProfile,
+  selectProfileForInput,
+  matchesOnHeaders,
+  PROFILE_KEYS
+};
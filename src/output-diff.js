@@ -0,0 +1,190 @@
+/**
+ * Output Diff
+ *
+ * This module compares a new mapping result with an existing output file
+ * before it is overwritten. Rows are matched on key columns of the output:
+ * by default the template columns the config's `idColumns` are copied to
+ * (e.g. `CustomerID` for `"CustomerID": "row => row['id']"`). The result
+ * lists added and removed rows and, for changed rows, every cell with its
+ * value before and after.
+ *
+ * Values are compared as the text a CSV output would hold, so the typed
+ * values of a new result match the text read back from the file.
+ */
+
+const { readInput } = require('./excel-remapper');
+const { formatRowText } = require('./column-types');
+const { invertMapping } = require('./reverse-mapping');
+
+/**
+ * Finds the output columns that identify a row
+ *
+ * @param {Array} headers - Output (template) headers
+ * @param {Array|string} idColumns - The config's `idColumns` (input columns)
+ * @param {Object} [fieldMappings={}] - `fieldMappings` section of the config (definitions, not compiled)
+ * @returns {Array} Output columns, one per ID column
+ * @throws {Error} If the config has no ID columns or one of them is not copied to an output column
+ */
+function findKeyColumns(headers, idColumns, fieldMappings = {}) {
+  const columns = [].concat(idColumns || []);
+  if (columns.length === 0) {
+    throw new Error('The config has no idColumns to match rows on; give the key columns of the output (keyColumns, or --key on the command line)');
+  }
+
+  return columns.map(idColumn => {
+    // The field that copies the ID column unchanged, otherwise an output column of the same name
+    const copy = Object.entries(fieldMappings).find(([field, mappingDef]) =>
+      headers.includes(field) && invertMapping(field, mappingDef).column === idColumn);
+    if (copy) {
+      return copy[0];
+    }
+    if (headers.includes(idColumn)) {
+      return idColumn;
+    }
+    throw new Error(`ID column "${idColumn}" is not copied to any output column; give the key columns of the output (keyColumns, or --key on the command line)`);
+  });
+}
+
+/**
+ * Converts a value to the text it is compared as
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Text (empty for missing values)
+ */
+function cellText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '' : value.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Groups rows by their key, keeping the order of rows with the same key
+ *
+ * @param {Array} rows - Row objects
+ * @param {Array} keyColumns - Key columns
+ * @returns {Object} `{ byKey, duplicates }`: rows per key (Map) and the keys found more than once
+ */
+function indexRows(rows, keyColumns) {
+  const byKey = new Map();
+  rows.forEach(row => {
+    const key = keyColumns.map(column => cellText(row[column])).join(' | ');
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(row);
+  });
+  const duplicates = [...byKey].filter(([, keyRows]) => keyRows.length > 1).map(([key]) => key);
+  return { byKey, duplicates };
+}
+
+/**
+ * Compares two sets of output rows
+ *
+ * Rows with the same key are paired in the order they appear. Only columns
+ * found on both sides are compared; the others are listed as added or
+ * removed columns.
+ *
+ * @param {Array} previousRows - Rows of the existing output (objects keyed by column)
+ * @param {Array} currentRows - Rows of the new result (objects keyed by column)
+ * @param {Array} keyColumns - Columns that identify a row
+ * @param {Object} [columns={}] - `{ previous, current }`: column lists of both sides (default: keys of the first row)
+ * @returns {Object} `{ keyColumns, added, removed, changed, unchanged, addedColumns, removedColumns, duplicateKeys }`;
+ *   added / removed rows as `{ key, row }`, changed rows as `{ key, changes: [{ column, before, after }] }`
+ */
+function diffRows(previousRows, currentRows, keyColumns, columns = {}) {
+  const previousColumns = columns.previous || Object.keys(previousRows[0] || {});
+  const currentColumns = columns.current || Object.keys(currentRows[0] || {});
+  const shared = currentColumns.filter(column => previousColumns.includes(column));
+
+  const previous = indexRows(previousRows, keyColumns);
+  const current = indexRows(currentRows, keyColumns);
+  const diff = {
+    keyColumns,
+    added: [],
+    removed: [],
+    changed: [],
+    unchanged: 0,
+    addedColumns: currentColumns.filter(column => !previousColumns.includes(column)),
+    removedColumns: previousColumns.filter(column => !currentColumns.includes(column)),
+    duplicateKeys: [...new Set([...previous.duplicates, ...current.duplicates])]
+  };
+
+  current.byKey.forEach((rows, key) => {
+    const before = previous.byKey.get(key) || [];
+    rows.forEach((row, index) => {
+      if (index >= before.length) {
+        diff.added.push({ key, row });
+        return;
+      }
+      const changes = shared
+        .filter(column => cellText(before[index][column]) !== cellText(row[column]))
+        .map(column => ({ column, before: cellText(before[index][column]), after: cellText(row[column]) }));
+      if (changes.length > 0) {
+        diff.changed.push({ key, changes });
+      } else {
+        diff.unchanged++;
+      }
+    });
+  });
+
+  previous.byKey.forEach((rows, key) => {
+    const after = current.byKey.get(key) || [];
+    rows.slice(after.length).forEach(row => diff.removed.push({ key, row }));
+  });
+
+  return diff;
+}
+
+/**
+ * Compares a mapping result with an existing output file
+ *
+ * @param {string} filePath - Path of the existing output (any format the remapper writes)
+ * @param {Object} result - Result of remapWithConfig (`headers` and `data`)
+ * @param {Object} config - Configuration returned by loadMappingConfig
+ * @param {Array} [keyColumns] - Output columns to match rows on (default: from the config's `idColumns`)
+ * @returns {Object} Differences (see diffRows), plus the compared `file`
+ */
+function diffWithOutput(filePath, result, config, keyColumns = undefined) {
+  const { headers } = result;
+  const keys = keyColumns && keyColumns.length > 0
+    ? keyColumns
+    : findKeyColumns(headers, config.idColumns, config.mappingDefs.fieldMappings);
+  const missing = keys.filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Key column(s) ${missing.join(', ')} not found in the output columns`);
+  }
+
+  const previous = readInput(filePath, {
+    csvOptions: config.csvOptions,
+    sheet: config.sheets.output,
+    format: config.formats.output,
+    formatOptions: config.formatOptions,
+    role: 'output'
+  });
+  const previousColumns = previous.rows.length > 0 ? Object.keys(previous.rows[0]) : [];
+  const missingKeys = keys.filter(column => previous.rows.length > 0 && !previousColumns.includes(column));
+  if (missingKeys.length > 0) {
+    throw new Error(`Key column(s) ${missingKeys.join(', ')} not found in ${filePath}`);
+  }
+
+  const hasColumnTypes = Object.keys(config.columnTypes || {}).length > 0;
+  const currentRows = result.data.map(row => {
+    const values = hasColumnTypes ? formatRowText(row, headers, config.columnTypes) : row;
+    return Object.fromEntries(headers.map((header, index) => [header, values[index]]));
+  });
+
+  return {
+    file: filePath,
+    ...diffRows(previous.rows, currentRows, keys, { previous: previousColumns, current: headers })
+  };
+}
+
+module.exports = {
+  diffRows,
+  diffWithOutput,
+  findKeyColumns
+};
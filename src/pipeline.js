@@ -0,0 +1,373 @@
+/**
+ * Row Pipeline Stages
+ *
+ * This module compiles the optional `pipeline` section of a mapping config
+ * into stages that run before field mapping (on input rows) and after it
+ * (on output rows keyed by template header). Stages run in the order they
+ * are listed; each stage is an object with a single key:
+ *
+ *   { "filter": "row => row['active'] === '1'" }                  - Keep rows for which the function is truthy
+ *   { "filter": { "column": "active", "equals": "1" } }           - Declarative condition (or a list of them)
+ *   { "flatMap": "row => row['tags'].split('|').map(tag => ({ ...row, tag }))" }
+ *   { "explode": { "column": "addresses", "separator": "|", "as": "address" } }
+ *   { "groupBy": { "keys": ["CustomerID"], "aggregates": { "TotalOrders": { "sum": "TotalOrders" } } } }
+ *   { "sort": [{ "column": "CustomerID", "order": "asc" }] }
+ *   { "dedupe": { "keys": ["CustomerID"], "keep": "first" } }
+ *   { "join": { "lookup": "customers", "on": "customer_id", "type": "left", "prefix": "customer_" } }
+ */
+
+// Stage types and whether they can run one row at a time (needed for streaming)
+const STAGE_TYPES = {
+  filter: { rowWise: true },
+  flatMap: { rowWise: true },
+  explode: { rowWise: true },
+  groupBy: { rowWise: false },
+  sort: { rowWise: false },
+  dedupe: { rowWise: false },
+  join: { rowWise: true }
+};
+
+// Aggregate functions for groupBy: (values of the group) => result
+const AGGREGATES = {
+  sum: values => values.reduce((total, value) => total + toNumber(value), 0),
+  avg: values => (values.length ? AGGREGATES.sum(values) / values.length : 0),
+  min: values => Math.min(...values.map(toNumber)),
+  max: values => Math.max(...values.map(toNumber)),
+  count: values => values.length,
+  countDistinct: values => new Set(values.map(String)).size,
+  first: values => values[0],
+  last: values => values[values.length - 1],
+  concat: (values, separator = ', ') => values.filter(value => value !== '' && value !== undefined && value !== null).join(separator)
+};
+
+/**
+ * Converts a cell value to a number for aggregation (empty values count as 0)
+ *
+ * @param {*} value - Cell value
+ * @returns {number} Numeric value
+ */
+function toNumber(value) {
+  if (value === '' || value === undefined || value === null) {
+    return 0;
+  }
+  const number = Number(value);
+  if (isNaN(number)) {
+    throw new Error(`Cannot aggregate non-numeric value "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Builds a predicate from a declarative filter condition
+ *
+ * @param {Object|Array} condition - `{ column, equals | notEquals | in | notIn | matches | empty }`, or a list (all must hold)
+ * @param {string} label - Stage label for error messages
+ * @returns {Function} `row => boolean`
+ */
+function compileCondition(condition, label) {
+  if (Array.isArray(condition)) {
+    const predicates = condition.map((part, index) => compileCondition(part, `${label}[${index}]`));
+    return row => predicates.every(predicate => predicate(row));
+  }
+
+  if (!condition || typeof condition.column !== 'string') {
+    throw new Error(`Filter condition in ${label} needs a "column"`);
+  }
+
+  const { column } = condition;
+  const text = row => (row[column] === undefined || row[column] === null ? '' : String(row[column]));
+
+  if ('equals' in condition) return row => text(row) === String(condition.equals);
+  if ('notEquals' in condition) return row => text(row) !== String(condition.notEquals);
+  if ('in' in condition) return row => condition.in.map(String).includes(text(row));
+  if ('notIn' in condition) return row => !condition.notIn.map(String).includes(text(row));
+  if ('matches' in condition) {
+    const pattern = new RegExp(condition.matches);
+    return row => pattern.test(text(row));
+  }
+  if ('empty' in condition) return row => (text(row).trim() === '') === Boolean(condition.empty);
+
+  throw new Error(`Filter condition in ${label} needs one of: equals, notEquals, in, notIn, matches, empty`);
+}
+
+/**
+ * Normalizes a sort definition to a list of `{ column, order }`
+ *
+ * @param {string|Object|Array} sortDef - Column name, sort key or list of sort keys
+ * @returns {Array} Sort keys
+ */
+function toSortKeys(sortDef) {
+  return [].concat(sortDef).map(key => (typeof key === 'string' ? { column: key, order: 'asc' } : { order: 'asc', ...key }));
+}
+
+/**
+ * Compares two cell values, numerically when both look like numbers
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const textA = a === undefined || a === null ? '' : String(a);
+  const textB = b === undefined || b === null ? '' : String(b);
+  if (textA !== '' && textB !== '' && !isNaN(textA) && !isNaN(textB)) {
+    return Number(textA) - Number(textB);
+  }
+  return textA.localeCompare(textB);
+}
+
+/**
+ * Compiles one stage definition
+ *
+ * @param {Object} stageDef - Stage object with a single key
+ * @param {string} label - Position of the stage, e.g. "before[0]"
+ * @param {Function} compileFunction - Compiles a function string `(source, label) => Function`
+ * @param {Object} lookups - Lookup tables by name (see ./lookup-tables.js)
+ * @returns {Object} Stage `{ type, label, rowWise, run(rows), applyToRow(row) }`
+ */
+function compileStage(stageDef, label, compileFunction, lookups) {
+  const types = Object.keys(stageDef || {});
+  if (types.length !== 1 || !STAGE_TYPES[types[0]]) {
+    throw new Error(`Pipeline stage ${label} must have exactly one of: ${Object.keys(STAGE_TYPES).join(', ')}`);
+  }
+
+  const type = types[0];
+  const options = stageDef[type];
+  const stage = { type, label: `${label}:${type}`, rowWise: STAGE_TYPES[type].rowWise };
+
+  switch (type) {
+    case 'filter': {
+      const predicate = typeof options === 'string'
+        ? compileFunction(options, `pipeline:${label}`)
+        : compileCondition(options, label);
+      stage.applyToRow = (row, rowIndex) => (predicate(row, rowIndex) ? [row] : []);
+      break;
+    }
+
+    case 'flatMap': {
+      const fn = compileFunction(options, `pipeline:${label}`);
+      stage.applyToRow = (row, rowIndex) => {
+        const result = fn(row, rowIndex);
+        if (result === undefined || result === null) return [];
+        return Array.isArray(result) ? Array.from(result) : [result];
+      };
+      break;
+    }
+
+    case 'explode': {
+      if (!options || typeof options.column !== 'string') {
+        throw new Error(`Pipeline stage ${label} (explode) needs a "column"`);
+      }
+      const separator = options.separator || ',';
+      const target = options.as || options.column;
+      stage.applyToRow = row => {
+        const value = row[options.column];
+        const parts = value === undefined || value === null || value === ''
+          ? ['']
+          : String(value).split(separator).map(part => part.trim()).filter(part => part !== '');
+        return (parts.length ? parts : ['']).map(part => ({ ...row, [target]: part }));
+      };
+      break;
+    }
+
+    case 'groupBy': {
+      const keys = [].concat(options && options.keys || []);
+      if (keys.length === 0) {
+        throw new Error(`Pipeline stage ${label} (groupBy) needs "keys"`);
+      }
+      const aggregates = Object.entries(options.aggregates || {}).map(([target, aggregateDef]) => {
+        const fnName = Object.keys(aggregateDef).find(name => AGGREGATES[name]);
+        if (!fnName) {
+          throw new Error(`Aggregate "${target}" in ${label} needs one of: ${Object.keys(AGGREGATES).join(', ')}`);
+        }
+        return { target, fnName, column: aggregateDef[fnName], separator: aggregateDef.separator };
+      });
+
+      // Groups keep the order of their first row; other columns come from that first row,
+      // which also stands in for the group when asked where a built row came from
+      const firstRows = new WeakMap();
+      stage.originOf = row => firstRows.get(row);
+      stage.run = rows => {
+        const groups = new Map();
+        rows.forEach(row => {
+          const groupKey = JSON.stringify(keys.map(key => row[key]));
+          if (!groups.has(groupKey)) groups.set(groupKey, []);
+          groups.get(groupKey).push(row);
+        });
+
+        return Array.from(groups.values()).map(groupRows => {
+          const result = { ...groupRows[0] };
+          aggregates.forEach(({ target, fnName, column, separator }) => {
+            result[target] = AGGREGATES[fnName](groupRows.map(row => row[column]), separator);
+          });
+          firstRows.set(result, groupRows[0]);
+          return result;
+        });
+      };
+      break;
+    }
+
+    case 'sort': {
+      const sortKeys = toSortKeys(options);
+      stage.run = rows => rows
+        .map((row, index) => ({ row, index }))
+        .sort((a, b) => {
+          for (const { column, order } of sortKeys) {
+            const result = compareValues(a.row[column], b.row[column]);
+            if (result !== 0) return order === 'desc' ? -result : result;
+          }
+          return a.index - b.index; // Stable
+        })
+        .map(({ row }) => row);
+      break;
+    }
+
+    case 'dedupe': {
+      const keys = [].concat(options && options.keys || []);
+      const keep = (options && options.keep) || 'first';
+      stage.run = rows => {
+        const byKey = new Map();
+        rows.forEach((row, index) => {
+          const dedupeKey = JSON.stringify(keys.length ? keys.map(key => row[key]) : row);
+          if (!byKey.has(dedupeKey) || keep === 'last') byKey.set(dedupeKey, index);
+        });
+        const kept = new Set(byKey.values());
+        return rows.filter((row, index) => kept.has(index));
+      };
+      break;
+    }
+
+    case 'join': {
+      const table = options && lookups[options.lookup];
+      if (!table) {
+        throw new Error(`Pipeline stage ${label} (join) refers to unknown lookup "${options && options.lookup}"`);
+      }
+      const onColumns = [].concat(options.on || table.keyColumns);
+      if (onColumns.length !== table.keyColumns.length) {
+        throw new Error(`Pipeline stage ${label} (join) needs ${table.keyColumns.length} "on" column(s) for the key of lookup "${options.lookup}"`);
+      }
+      const prefix = options.prefix || '';
+      const inner = options.type === 'inner';
+      const allMatches = options.match === 'all';
+
+      // Columns added from the lookup (existing columns win unless a prefix is set);
+      // unmatched rows of a left join get them empty
+      const joinColumns = options.columns || table.columns;
+      const addColumns = (row, match) => {
+        const joined = { ...row };
+        joinColumns.forEach(column => {
+          const target = prefix + column;
+          if (prefix || !(target in row)) {
+            joined[target] = match[column] === undefined || match[column] === null ? '' : match[column];
+          }
+        });
+        return joined;
+      };
+
+      stage.applyToRow = row => {
+        const matches = table.match(onColumns.map(column => row[column]));
+        if (matches.length === 0) {
+          return inner ? [] : [addColumns(row, {})];
+        }
+        return (allMatches ? matches : matches.slice(0, 1)).map(match => addColumns(row, match));
+      };
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  if (stage.applyToRow && !stage.run) {
+    stage.run = rows => rows.flatMap((row, rowIndex) => stage.applyToRow(row, rowIndex));
+  }
+
+  return stage;
+}
+
+/**
+ * Compiles the `pipeline` section of a config
+ *
+ * @param {Object} [pipelineDef={}] - `{ before: [...], after: [...] }`
+ * @param {Function} compileFunction - Compiles a function string `(source, label) => Function`
+ * @param {Object} [lookups={}] - Lookup tables by name, used by join stages
+ * @returns {Object} `{ before, after }` lists of compiled stages
+ */
+function compilePipeline(pipelineDef = {}, compileFunction, lookups = {}) {
+  const compilePhase = phase => (pipelineDef[phase] || [])
+    .map((stageDef, index) => compileStage(stageDef, `${phase}[${index}]`, compileFunction, lookups));
+
+  return {
+    before: compilePhase('before'),
+    after: compilePhase('after')
+  };
+}
+
+/**
+ * Runs a list of stages over all rows and records row counts per stage
+ *
+ * @param {Array} stages - Compiled stages
+ * @param {Array} rows - Row objects
+ * @param {Object} stats - Statistics object; receives `stats.stages` entries
+ * @returns {Array} Resulting rows
+ */
+function runStages(stages, rows, stats) {
+  return stages.reduce((currentRows, stage) => {
+    const result = stage.run(currentRows);
+    stats.stages = stats.stages || [];
+    stats.stages.push({ stage: stage.label, rowsIn: currentRows.length, rowsOut: result.length });
+    return result;
+  }, rows);
+}
+
+/**
+ * Runs a list of stages over rows that remember the input row they came from
+ *
+ * Row-wise stages get that row's index, as in streaming mode, and pass it on
+ * to the rows they return. Other stages keep it for the rows they pass
+ * through; rows they build (groupBy) take the index of the first row of
+ * their group, or their position if that row is not known.
+ *
+ * @param {Array} stages - Compiled stages
+ * @param {Array} entries - Rows as `{ row, rowIndex }` (0-based input row index)
+ * @param {Object} stats - Statistics object; receives `stats.stages` entries
+ * @returns {Array} Resulting rows as `{ row, rowIndex }`
+ */
+function runIndexedStages(stages, entries, stats) {
+  return stages.reduce((currentEntries, stage) => {
+    let result;
+    if (stage.applyToRow) {
+      result = currentEntries.flatMap(({ row, rowIndex }) => stage.applyToRow(row, rowIndex).map(nextRow => ({ row: nextRow, rowIndex })));
+    } else {
+      const indexOfRow = new Map(currentEntries.map(({ row, rowIndex }) => [row, rowIndex]));
+      result = stage.run(currentEntries.map(({ row }) => row)).map((row, position) => {
+        const origin = indexOfRow.has(row) || !stage.originOf ? row : stage.originOf(row);
+        return { row, rowIndex: indexOfRow.has(origin) ? indexOfRow.get(origin) : position };
+      });
+    }
+    stats.stages = stats.stages || [];
+    stats.stages.push({ stage: stage.label, rowsIn: currentEntries.length, rowsOut: result.length });
+    return result;
+  }, entries);
+}
+
+/**
+ * Checks whether a pipeline definition uses function strings
+ *
+ * @param {Object} [pipelineDef={}] - `{ before: [...], after: [...] }`
+ * @returns {boolean} True if any filter or flatMap stage is a function string
+ */
+function usesFunctions(pipelineDef = {}) {
+  return [...(pipelineDef.before || []), ...(pipelineDef.after || [])]
+    .some(stageDef => stageDef && (typeof stageDef.filter === 'string' || typeof stageDef.flatMap === 'string'));
+}
+
+module.exports = {
+  compilePipeline,
+  compileCondition,
+  runIndexedStages,
+  runStages,
+  usesFunctions,
+  STAGE_TYPES,
+  AGGREGATES
+};
@@ -0,0 +1,235 @@
+/**
+ * Reverse Mapping
+ *
+ * This module turns the field mappings of a config around, so a file in the
+ * template layout can be converted back into the source schema. Simple
+ * mappings are inverted automatically:
+ *
+ *   { "from": "email" }  /  row => row['email']    - Copied back to `email`
+ *   { "from": "email", "default": "n/a" }          - Copied back, "n/a" becomes empty
+ *   { "from": "active", "lookup": { "1": "Active", "0": "Inactive" } }
+ *                                                  - Translated back with the swapped pairs
+ *   { "date": "signup_date", "format": "..." }     - Copied back in the output's date format
+ *
+ * Everything else (concat, constants, named lookups, other functions) cannot
+ * be inverted; the config's `reverseMappings` section declares the source
+ * columns for those. Its entries are keyed by source column and read rows in
+ * the template layout, with the same function strings and rules as
+ * `fieldMappings`:
+ *
+ *   "reverseMappings": {
+ *     "first_name": "row => row['FullName'].split(' ')[0]",
+ *     "active": { "from": "Status", "lookup": { "Active": "1" }, "default": "0" }
+ *   }
+ */
+
+const { isDeclarativeRule } = require('./declarative-rules');
+const { findReferencedColumns } = require('./config-validator');
+
+// Expressions that are a constant: string, number, boolean or null literals
+const CONSTANT_EXPRESSION = /^(?:'[^'\\]*'|"[^"\\]*"|`[^`\\$]*`|-?\d+(?:\.\d+)?|true|false|null)$/;
+
+/**
+ * Splits a one-expression mapping function into its row parameter and returned expression
+ *
+ * @param {string} source - Function string such as "row => row['email']"
+ * @returns {Object|null} `{ param, expression }`, or null for functions with statements
+ */
+function functionExpression(source) {
+  const arrow = source.match(/^\s*(?:\(\s*([A-Za-z_$][\w$]*)[^)]*\)|([A-Za-z_$][\w$]*))\s*=>\s*([\s\S]*)$/);
+  const classic = source.match(/^\s*function\b[^(]*\(\s*([A-Za-z_$][\w$]*)[^)]*\)\s*([\s\S]*)$/);
+  if (!arrow && !classic) {
+    return null;
+  }
+
+  const param = arrow ? arrow[1] || arrow[2] : classic[1];
+  let body = (arrow ? arrow[3] : classic[2]).trim();
+  if (body.startsWith('{')) {
+    const block = body.match(/^\{\s*return\s+([\s\S]*?);?\s*\}$/);
+    if (!block) {
+      return null;
+    }
+    body = block[1];
+  } else if (classic) {
+    return null;
+  }
+  return { param, expression: body.replace(/;\s*$/, '').trim() };
+}
+
+/**
+ * Finds the column a function copies unchanged (`row['email']`, `row["email"]` or `row.email`)
+ *
+ * @param {string} source - Function string
+ * @returns {string|null} Column name, or null if the function does more than copy
+ */
+function copiedColumn(source) {
+  const parts = functionExpression(source);
+  if (!parts) {
+    return null;
+  }
+  const param = parts.param.replace(/\$/g, '\\$');
+  const access = parts.expression.match(new RegExp(`^${param}\\s*(?:\\[\\s*(['"\`])((?:(?!\\1).)*)\\1\\s*\\]|\\.([A-Za-z_$][\\w$]*))$`));
+  if (!access || (access[1] === '`' && access[2].includes('${'))) {
+    return null;
+  }
+  return access[2] !== undefined ? access[2] : access[3];
+}
+
+/**
+ * Lists column names for messages
+ *
+ * @param {Array} columns - Column names
+ * @returns {string} Quoted, comma-separated names
+ */
+function describeColumns(columns) {
+  return columns.map(column => `"${column}"`).join(', ');
+}
+
+/**
+ * Inverts the mapping of one template field
+ *
+ * @param {string} field - Template field
+ * @param {string|Object} mappingDef - Its definition from `fieldMappings`
+ * @returns {Object} `{ column, rule, note }` with the declarative rule that restores the source column,
+ *   or `{ columns, reason }` with the columns it reads and why it cannot be inverted
+ */
+function invertMapping(field, mappingDef) {
+  const columns = findReferencedColumns(mappingDef);
+
+  if (typeof mappingDef === 'string') {
+    const column = copiedColumn(mappingDef);
+    if (column !== null) {
+      return { column, rule: { from: field } };
+    }
+    const parts = functionExpression(mappingDef);
+    if (parts && CONSTANT_EXPRESSION.test(parts.expression)) {
+      return { columns, reason: 'constant value' };
+    }
+    return {
+      columns,
+      reason: columns.length > 0 ? `computed by a function from ${describeColumns(columns)}` : 'computed by a function without input columns'
+    };
+  }
+
+  if (!isDeclarativeRule(mappingDef)) {
+    return { columns, reason: 'no mapping' };
+  }
+
+  if (Object.prototype.hasOwnProperty.call(mappingDef, 'const')) {
+    return { columns, reason: 'constant value' };
+  }
+
+  if (Array.isArray(mappingDef.concat)) {
+    return { columns, reason: 'joins several values (concat)' };
+  }
+
+  if (typeof mappingDef.date === 'string') {
+    return {
+      column: mappingDef.date,
+      rule: { from: field },
+      note: `date copied in the output format${mappingDef.format ? ` "${mappingDef.format}"` : ''}`
+    };
+  }
+
+  if (typeof mappingDef.from !== 'string') {
+    return { columns, reason: 'no mapping' };
+  }
+
+  const hasDefault = Object.prototype.hasOwnProperty.call(mappingDef, 'default');
+  if (mappingDef.lookup === undefined) {
+    if (!hasDefault || mappingDef.default === '' || typeof mappingDef.default === 'object') {
+      return { column: mappingDef.from, rule: { from: field } };
+    }
+    // The default replaced empty values: turn it back into an empty value
+    return {
+      column: mappingDef.from,
+      rule: { from: field, lookup: { [String(mappingDef.default)]: '' } },
+      note: `"${mappingDef.default}" restored as an empty value`
+    };
+  }
+
+  if (typeof mappingDef.lookup === 'string') {
+    return { columns, reason: `value from lookup "${mappingDef.lookup}"` };
+  }
+
+  if (hasDefault) {
+    return { columns, reason: 'lookup with a default (the values it replaced are lost)' };
+  }
+
+  // Inline lookup: swap the pairs, as long as no two values are translated alike
+  const inverse = {};
+  for (const [key, value] of Object.entries(mappingDef.lookup)) {
+    const text = String(value);
+    if (Object.prototype.hasOwnProperty.call(inverse, text)) {
+      return { columns, reason: `lookup translates several values to "${text}"` };
+    }
+    inverse[text] = key;
+  }
+  return { column: mappingDef.from, rule: { from: field, lookup: inverse }, note: 'lookup pairs swapped' };
+}
+
+/**
+ * Derives the mappings of a reverse run from the field mappings of a config
+ *
+ * Declared reverse mappings win over derived ones. A template field that
+ * cannot be inverted is only reported as a problem if some column it reads
+ * is not restored otherwise.
+ *
+ * @param {Object} [fieldMappings={}] - `fieldMappings` section of the config (definitions, not compiled)
+ * @param {Object} [reverseMappings={}] - `reverseMappings` section of the config
+ * @param {Array} [sourceColumns=[]] - Columns of the source schema (header row of the reverse run's template)
+ * @returns {Object} `{ mappings, fields, emptyColumns }`: mapping definitions keyed by source column, per template
+ *   field `{ field, status, columns, note | reason }` with status "inverted", "declared" or "not-invertible",
+ *   and the source columns nothing restores
+ */
+function deriveReverseMappings(fieldMappings = {}, reverseMappings = {}, sourceColumns = []) {
+  const mappings = {};
+  const inverted = Object.entries(fieldMappings).map(([field, mappingDef]) => ({ field, ...invertMapping(field, mappingDef) }));
+
+  // The first field that restores a column wins
+  inverted.forEach(({ column, rule }) => {
+    if (rule && !Object.prototype.hasOwnProperty.call(mappings, column)) {
+      mappings[column] = rule;
+    }
+  });
+  Object.assign(mappings, reverseMappings);
+
+  const declared = column => Object.prototype.hasOwnProperty.call(reverseMappings, column);
+  const fields = inverted.map(({ field, column, rule, note, columns, reason }) => {
+    if (rule) {
+      return declared(column)
+        ? { field, status: 'declared', columns: [column] }
+        : { field, status: 'inverted', columns: [column], ...(note ? { note } : {}) };
+    }
+    if (columns.length > 0 && columns.every(name => Object.prototype.hasOwnProperty.call(mappings, name))) {
+      return { field, status: columns.some(declared) ? 'declared' : 'inverted', columns, note: `restored from other fields (${reason})` };
+    }
+    return { field, status: 'not-invertible', columns, reason };
+  });
+
+  const emptyColumns = sourceColumns.filter(column => !Object.prototype.hasOwnProperty.call(mappings, column));
+  return { mappings, fields, emptyColumns };
+}
+
+/**
+ * Swaps the input and output settings of the `formatOptions` section for a reverse run
+ *
+ * The template of a reverse run has the layout of the forward input, so it
+ * gets the input settings too.
+ *
+ * @param {Object} [formatOptions={}] - `formatOptions` section of the config
+ * @returns {Object} Settings per format for the reverse run
+ */
+function reverseFormatOptions(formatOptions = {}) {
+  return Object.fromEntries(Object.entries(formatOptions).map(([name, settings]) => {
+    const { input = {}, output = {}, ...shared } = settings || {};
+    delete shared.template;
+    return [name, { ...shared, input: output, output: input, template: input }];
+  }));
+}
+
+module.exports = {
+  deriveReverseMappings,
+  invertMapping,
+  reverseFormatOptions
+};
@@ -0,0 +1,301 @@
+/**
+ * Mapping Function Sandbox
+ *
+ * This module compiles the string function definitions found in mapping
+ * configurations (field mappings and helper functions) inside an isolated
+ * `vm` context instead of the host process, so configs received from other
+ * teams cannot reach `require`, `process` or the filesystem.
+ */
+
+const vm = require('vm');
+const { normalizeKey, displayKey } = require('./lookup-tables');
+
+// Default time limit (in milliseconds) for a single function call
+const DEFAULT_TIMEOUT_MS = 1000;
+
+// Property that marks values JSON cannot carry (dates, non-finite numbers)
+const TYPE_TAG = '__sandboxType';
+
+// Runs once inside every new context, before any config code, and installs
+// the call plumbing as read-only globals, so sandboxed code can neither
+// replace nor inspect it. The built-ins it uses are saved first, so config
+// code that replaces them cannot take over the plumbing. Functions and call
+// arguments pass through a channel object only the host holds; results and
+// errors leave the context as JSON text made under the time limit, and
+// nothing config code throws reaches the host, so the host never runs
+// sandbox code (toString, getters, iterators) itself.
+const BOOTSTRAP_SOURCE = `(function (global) {
+  'use strict';
+  const { stringify, parse } = JSON;
+  const push = Array.prototype.push;
+  const apply = Reflect.apply;
+  const toText = String;
+  const registry = [];
+  const channel = Object.create(null);
+  const define = (name, value) => Object.defineProperty(global, name, { value });
+  const encode = function (key, value) {
+    const original = this[key];
+    if (original instanceof Date) {
+      return { ${TYPE_TAG}: 'date', time: original.getTime() };
+    }
+    if (typeof value === 'number' && !isFinite(value)) {
+      return { ${TYPE_TAG}: 'number', text: toText(value) };
+    }
+    return value;
+  };
+  const describe = error => {
+    try {
+      return toText(error !== null && typeof error === 'object' && 'message' in error ? error.message : error);
+    } catch (failure) {
+      return 'A value that cannot be shown was thrown';
+    }
+  };
+  define('__accept', fn => {
+    channel.fn = fn;
+  });
+  define('__reject', error => {
+    channel.fn = undefined;
+    channel.error = describe(error);
+  });
+  define('__register', () => {
+    const fn = channel.fn;
+    channel.fn = undefined;
+    try {
+      return apply(push, registry, [fn]) - 1;
+    } catch (error) {
+      return -1;
+    }
+  });
+  define('__invoke', () => {
+    const { id, argsJson } = channel;
+    channel.argsJson = undefined;
+    try {
+      return stringify({ result: apply(registry[id], undefined, parse(argsJson)) }, encode);
+    } catch (error) {
+      try {
+        return stringify({ error: describe(error) });
+      } catch (failure) {
+        return '{"error":"The function failed"}';
+      }
+    }
+  });
+  return channel;
+})(this);`;
+
+// Installs `lookup(name, key, column)` over a copy of the config's lookup
+// tables; unmatched keys are counted inside the context and handed out as
+// JSON by `__lookupMisses()`
+const LOOKUP_SOURCE = `(function (tablesJson) {
+  'use strict';
+  const global = globalThis;
+  const { stringify, parse } = JSON;
+  const apply = Reflect.apply;
+  const hasOwnProperty = Object.prototype.hasOwnProperty;
+  // Only the data itself counts, as in the Map of the host side ("constructor" is no key)
+  const has = (object, key) => apply(hasOwnProperty, object, [key]);
+  const tables = parse(tablesJson);
+  let misses = Object.create(null);
+  const normalizeKey = ${normalizeKey};
+  const displayKey = ${displayKey};
+  const define = (name, value, enumerable) => Object.defineProperty(global, name, { value, enumerable });
+  define('lookup', (name, key, column) => {
+    const table = has(tables, name) ? tables[name] : undefined;
+    if (!table) {
+      throw new Error('Unknown lookup "' + name + '"');
+    }
+    const indexKey = normalizeKey(key, table.ignoreCase);
+    if (!has(table.index, indexKey)) {
+      const missKey = displayKey(key);
+      misses[name] = misses[name] || Object.create(null);
+      misses[name][missKey] = (misses[name][missKey] || 0) + 1;
+      return undefined;
+    }
+    const row = table.index[indexKey];
+    if (column === undefined) {
+      return Object.assign({}, row);
+    }
+    return has(row, column) ? row[column] : undefined;
+  }, true);
+  define('__lookupMisses', () => {
+    const found = misses;
+    misses = Object.create(null);
+    try {
+      return stringify(found);
+    } catch (error) {
+      return '{}';
+    }
+  }, false);
+})`;
+
+// Pre-compiled scripts that register a function, run the prepared call and
+// hand out the lookup misses (reused for every call, under the time limit)
+const REGISTER_SCRIPT = new vm.Script('__register()', { filename: 'sandbox-register' });
+const INVOKE_SCRIPT = new vm.Script('__invoke()', { filename: 'sandbox-invoke' });
+const LOOKUP_MISSES_SCRIPT = new vm.Script('__lookupMisses()', { filename: 'sandbox-lookup-misses' });
+
+/**
+ * Parses the JSON text a sandbox script returned
+ *
+ * @param {*} output - Value returned by the script
+ * @param {string} label - What was run (for the error message)
+ * @returns {*} Parsed value (tagged dates and numbers restored)
+ * @throws {Error} If the script did not return text
+ */
+function parseOutput(output, label) {
+  if (typeof output !== 'string') {
+    throw new Error(`${label} did not return a JSON result`);
+  }
+  return JSON.parse(output, decodeValue);
+}
+
+/**
+ * Restores the values tagged by the sandbox's JSON encoder
+ *
+ * @param {string} key - Property name
+ * @param {*} value - Parsed value
+ * @returns {*} Date or number for tagged values, otherwise the value
+ */
+function decodeValue(key, value) {
+  if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, TYPE_TAG)) {
+    return value;
+  }
+  return value[TYPE_TAG] === 'date' ? new Date(value.time) : Number(value.text);
+}
+
+/**
+ * Creates an isolated execution context for one mapping configuration
+ *
+ * Helper functions are compiled into the context and exposed as frozen
+ * globals, so two configs loaded in the same process never share helpers.
+ *
+ * @param {Object} [helperDefs={}] - Map of helper name to function source string
+ * @param {Object} [options={}] - Sandbox options
+ * @param {number} [options.timeout=1000] - Maximum run time of a single call in milliseconds
+ * @param {string} [options.name] - Name of the context (used in stack traces)
+ * @param {Object} [options.lookups] - Lookup tables (see ./lookup-tables.js) made available through `lookup()`
+ * @returns {Object} Sandbox with `compile(source, label)`, `collectLookupMisses()` and the list of `helperNames`
+ */
+function createSandbox(helperDefs = {}, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+
+  const context = vm.createContext(Object.create(null), {
+    name: options.name || 'mapping-config',
+    codeGeneration: { strings: false, wasm: false }, // No eval / new Function inside the sandbox
+    microtaskMode: 'afterEvaluate' // Promise jobs also count towards the time limit
+  });
+
+  const channel = vm.runInContext(BOOTSTRAP_SOURCE, context, { filename: 'sandbox-bootstrap' });
+
+  // Lookup data is copied in as JSON, like call arguments
+  const lookupTables = options.lookups || {};
+  const hasLookups = Object.keys(lookupTables).length > 0;
+  if (hasLookups) {
+    const tablesData = Object.fromEntries(Object.entries(lookupTables).map(([name, table]) => [name, table.toSandbox()]));
+    vm.runInContext(LOOKUP_SOURCE, context, { filename: 'sandbox-lookups' })(JSON.stringify(tablesData));
+  }
+
+  /**
+   * Compiles a function source string inside the context
+   *
+   * @param {string} source - Function source, e.g. "row => row['email']"
+   * @param {string} label - Name used in error messages and stack traces
+   * @returns {Function} Sandbox-side function
+   */
+  function compileInContext(source, label) {
+    if (typeof source !== 'string') {
+      throw new Error(`Definition of '${label}' must be a function string`);
+    }
+
+    // What the definition evaluates to, or throws, is handed over through the channel
+    vm.runInContext(`try { __accept((${source})); } catch (error) { __reject(error); }`, context, { filename: label, timeout });
+    const { fn, error } = channel;
+    channel.error = undefined;
+
+    if (error !== undefined) {
+      throw new Error(error);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Definition of '${label}' does not evaluate to a function`);
+    }
+
+    return fn;
+  }
+
+  // Compile helpers and expose them as read-only globals of this context only
+  const helperNames = [];
+  for (const [helperName, helperDef] of Object.entries(helperDefs)) {
+    if (Object.prototype.hasOwnProperty.call(context, helperName)) {
+      throw new Error(`Invalid helper function definition for '${helperName}': the name is reserved`);
+    }
+    let helper;
+    try {
+      helper = compileInContext(helperDef, `helper:${helperName}`);
+    } catch (error) {
+      throw new Error(`Invalid helper function definition for '${helperName}': ${error.message}`);
+    }
+    Object.defineProperty(context, helperName, {
+      value: helper,
+      enumerable: true,
+      writable: false,
+      configurable: false
+    });
+    helperNames.push(helperName);
+  }
+
+  /**
+   * Compiles a function source string and returns a host-side wrapper
+   *
+   * Arguments are copied into the context as JSON, so sandboxed code never
+   * receives a host object it could use to climb back into the host realm.
+   * Results come back the same way (plain data, dates kept), and errors
+   * thrown by the code as host errors with the message only.
+   *
+   * @param {string} source - Function source string
+   * @param {string} label - Name used in error messages and stack traces
+   * @returns {Function} Function that runs the compiled code under the time limit
+   */
+  function compile(source, label) {
+    channel.fn = compileInContext(source, label);
+    const id = REGISTER_SCRIPT.runInContext(context, { timeout });
+    if (!Number.isInteger(id) || id < 0) {
+      throw new Error(`Definition of '${label}' could not be registered`);
+    }
+
+    return function sandboxedFunction(...args) {
+      channel.id = id;
+      channel.argsJson = JSON.stringify(args);
+      const output = parseOutput(INVOKE_SCRIPT.runInContext(context, { timeout }), `'${label}'`);
+      if (output === null || typeof output !== 'object') {
+        throw new Error(`'${label}' did not return a JSON result`);
+      }
+      if (Object.prototype.hasOwnProperty.call(output, 'error')) {
+        throw new Error(output.error);
+      }
+      return output.result;
+    };
+  }
+
+  /**
+   * Returns the keys `lookup()` could not find since the last call
+   *
+   * @returns {Object} Map of lookup name to `{ key: count }`
+   */
+  function collectLookupMisses() {
+    if (!hasLookups) {
+      return {};
+    }
+    return parseOutput(LOOKUP_MISSES_SCRIPT.runInContext(context, { timeout }), 'lookup()');
+  }
+
+  return {
+    compile,
+    collectLookupMisses,
+    helperNames,
+    timeout
+  };
+}
+
+module.exports = {
+  createSandbox,
+  DEFAULT_TIMEOUT_MS
+};
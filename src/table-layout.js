@@ -0,0 +1,227 @@
+/**
+ * Table Layout Detection
+ *
+ * This module locates the header row and the data rows inside a raw grid
+ * (array of row arrays) read from a CSV file or an Excel sheet. Real client
+ * files often start with title banners and blank rows or end with totals,
+ * so the layout can be described in the config:
+ *
+ *   {
+ *     "headerRow": 5,              - 1-based row holding the column names
+ *     "dataStartRow": 6,           - First data row (defaults to the row after the header)
+ *     "dataEndRow": 120,           - Last data row (inclusive)
+ *     "range": "A5:K",             - Cell range to read (end row / column optional)
+ *     "autoDetectHeader": true,    - Find the header row by matching expected column names
+ *     "footerPattern": "^Total",   - Skip rows with a cell matching this regex (string or array)
+ *     "stopAtFooter": true,        - Stop reading at the first footer row instead of skipping it
+ *     "skipBlankRows": true        - Skip rows without any value (default)
+ *   }
+ *
+ * All row numbers are 1-based and refer to the file as a user sees it in
+ * Excel or a text editor.
+ */
+
+const XLSX = require('xlsx');
+
+// Number of rows searched for a header row when auto-detecting
+const HEADER_SCAN_ROWS = 50;
+
+/**
+ * Parses a cell range such as "A5:K", "A5:K100", "B:K" or "A5"
+ *
+ * @param {string} range - Excel style range; missing parts are left open
+ * @returns {Object} 0-based `{ startRow, startCol, endRow, endCol }` (null for open ends)
+ */
+function parseRange(range) {
+  const match = String(range).trim().toUpperCase().match(/^([A-Z]+)?(\d+)?(?::([A-Z]+)?(\d+)?)?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid cell range "${range}"`);
+  }
+
+  const [, startColName, startRowNum, endColName, endRowNum] = match;
+
+  return {
+    startRow: startRowNum ? Number(startRowNum) - 1 : 0,
+    startCol: startColName ? XLSX.utils.decode_col(startColName) : 0,
+    endRow: endRowNum ? Number(endRowNum) - 1 : null,
+    endCol: endColName ? XLSX.utils.decode_col(endColName) : null
+  };
+}
+
+/**
+ * Converts a worksheet into a grid that starts at cell A1
+ *
+ * Unlike `sheet_to_json`, leading blank rows and columns are kept, so grid
+ * indexes always match the sheet's row and column numbers.
+ *
+ * @param {Object} sheet - XLSX worksheet
+ * @returns {Array} Array of row arrays
+ */
+function sheetToGrid(sheet) {
+  if (!sheet['!ref']) {
+    return [];
+  }
+
+  const usedRange = XLSX.utils.decode_range(sheet['!ref']);
+  usedRange.s = { r: 0, c: 0 };
+
+  return XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    range: XLSX.utils.encode_range(usedRange),
+    blankrows: true,
+    defval: ''
+  });
+}
+
+/**
+ * Checks whether a grid row has no values
+ *
+ * @param {Array} row - Row of cell values
+ * @returns {boolean} True if every cell is empty
+ */
+function isBlankRow(row) {
+  return !row || row.every(cell => cell === undefined || cell === null || String(cell).trim() === '');
+}
+
+/**
+ * Finds the row that best matches the expected column names
+ *
+ * @param {Array} grid - Array of row arrays
+ * @param {Array} expectedColumns - Column names the header row should contain
+ * @param {number} [minMatches] - Minimum number of matching names (default: half of the expected names)
+ * @returns {number} 0-based row index, or -1 if no row matches enough names
+ */
+function findHeaderRow(grid, expectedColumns, minMatches) {
+  const expected = new Set(expectedColumns.map(name => String(name).trim().toLowerCase()));
+  const required = minMatches || Math.max(1, Math.ceil(expected.size / 2));
+
+  let bestIndex = -1;
+  let bestMatches = 0;
+
+  grid.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+    const matches = (row || []).filter(cell => expected.has(String(cell).trim().toLowerCase())).length;
+    if (matches > bestMatches) {
+      bestIndex = index;
+      bestMatches = matches;
+    }
+  });
+
+  return bestMatches >= required ? bestIndex : -1;
+}
+
+/**
+ * Compiles the footer pattern(s) of a layout into regular expressions
+ *
+ * @param {string|Array} [footerPattern] - Regex source or list of sources
+ * @returns {Array} Regular expressions
+ */
+function compileFooterPatterns(footerPattern) {
+  if (!footerPattern) {
+    return [];
+  }
+  return [].concat(footerPattern).map(pattern => new RegExp(pattern, 'i'));
+}
+
+/**
+ * Extracts the header row and the data rows from a grid according to a layout
+ *
+ * @param {Array} grid - Array of row arrays (row 0 is row 1 of the file)
+ * @param {Object} [layout={}] - Layout options (see the module description)
+ * @param {Array} [expectedColumns=[]] - Column names used by `autoDetectHeader: true`
+ * @returns {Object} `{ headers, rows, rowNumbers, headerRowNumber }` where rows are arrays
+ *                   aligned with headers and rowNumbers are the 1-based file rows
+ */
+function extractTable(grid, layout = {}, expectedColumns = []) {
+  const range = layout.range ? parseRange(layout.range) : { startRow: 0, startCol: 0, endRow: null, endCol: null };
+  const cropColumns = row => (row || []).slice(range.startCol, range.endCol === null ? undefined : range.endCol + 1);
+
+  // Header row (0-based index into the grid)
+  let headerIndex;
+  if (layout.autoDetectHeader) {
+    const columns = Array.isArray(layout.autoDetectHeader) ? layout.autoDetectHeader : expectedColumns;
+    const searchArea = grid.slice(range.startRow).map(cropColumns);
+    const found = columns.length > 0 ? findHeaderRow(searchArea, columns, layout.minHeaderMatches) : -1;
+    if (found === -1) {
+      throw new Error(`Could not detect the header row: no row contains the expected columns (${columns.join(', ')})`);
+    }
+    headerIndex = range.startRow + found;
+  } else if (layout.headerRow) {
+    headerIndex = layout.headerRow - 1;
+  } else {
+    headerIndex = range.startRow;
+  }
+
+  if (headerIndex >= grid.length) {
+    throw new Error(`Header row ${headerIndex + 1} is beyond the last row (${grid.length})`);
+  }
+
+  const headers = cropColumns(grid[headerIndex]).map(cell => (cell === undefined || cell === null ? '' : String(cell).trim()));
+
+  // Data rows (0-based, inclusive)
+  const startIndex = layout.dataStartRow ? layout.dataStartRow - 1 : headerIndex + 1;
+  const lastIndexes = [grid.length - 1];
+  if (layout.dataEndRow) lastIndexes.push(layout.dataEndRow - 1);
+  if (range.endRow !== null) lastIndexes.push(range.endRow);
+  const endIndex = Math.min(...lastIndexes);
+
+  const footerPatterns = compileFooterPatterns(layout.footerPattern);
+  const skipBlankRows = layout.skipBlankRows !== false;
+
+  const rows = [];
+  const rowNumbers = [];
+
+  for (let index = startIndex; index <= endIndex; index++) {
+    const row = cropColumns(grid[index]);
+
+    if (skipBlankRows && isBlankRow(row)) {
+      continue;
+    }
+
+    const isFooter = footerPatterns.length > 0 &&
+      row.some(cell => cell !== undefined && cell !== null && footerPatterns.some(pattern => pattern.test(String(cell))));
+    if (isFooter) {
+      if (layout.stopAtFooter) break;
+      continue;
+    }
+
+    rows.push(headers.map((header, col) => (row[col] === undefined || row[col] === null ? '' : row[col])));
+    rowNumbers.push(index + 1);
+  }
+
+  return {
+    headers,
+    rows,
+    rowNumbers,
+    headerRowNumber: headerIndex + 1
+  };
+}
+
+/**
+ * Converts extracted table rows to objects keyed by column name
+ *
+ * Columns with an empty header are dropped.
+ *
+ * @param {Array} headers - Column names
+ * @param {Array} rows - Row arrays aligned with the headers
+ * @returns {Array} Array of row objects
+ */
+function rowsToObjects(headers, rows) {
+  return rows.map(row => {
+    const rowObject = {};
+    headers.forEach((header, col) => {
+      if (header !== '') {
+        rowObject[header] = row[col];
+      }
+    });
+    return rowObject;
+  });
+}
+
+module.exports = {
+  parseRange,
+  sheetToGrid,
+  findHeaderRow,
+  extractTable,
+  rowsToObjects,
+  isBlankRow
+};
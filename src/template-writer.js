@@ -0,0 +1,217 @@
+/**
+ * Template-Preserving Excel Writer
+ *
+ * This module writes mapped rows into a copy of the original Excel template
+ * instead of building a new workbook, so everything the recipient system
+ * expects from the template is kept: styles, column widths, frozen panes,
+ * data validation lists, defined names and extra sheets.
+ *
+ * The SheetJS community build used elsewhere in the project drops styles on
+ * write, so this module uses ExcelJS to round-trip the template.
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const logger = require('./logger');
+
+// Number of rows searched for the header row when it is not given
+const HEADER_SCAN_ROWS = 50;
+
+/**
+ * Converts a column name such as "K" to its 1-based number
+ *
+ * @param {string} letters - Column letters
+ * @returns {number} Column number
+ */
+function columnNumber(letters) {
+  return letters.toUpperCase().split('').reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * Parses an A1 style cell address (with optional $ signs)
+ *
+ * @param {string} address - Cell address such as "B6" or "$B$6"
+ * @returns {Object|null} 1-based `{ row, col }`, or null if the text is not an address
+ */
+function parseCellAddress(address) {
+  const match = String(address).replace(/\$/g, '').match(/^([A-Za-z]{1,3})(\d+)$/);
+  return match ? { row: Number(match[2]), col: columnNumber(match[1]) } : null;
+}
+
+/**
+ * Picks a worksheet by name or 0-based index
+ *
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {string|number} [selector] - Sheet name or index (defaults to the first sheet)
+ * @returns {Object} ExcelJS worksheet
+ */
+function selectWorksheet(workbook, selector) {
+  if (selector === undefined || selector === null || selector === '') {
+    return workbook.worksheets[0];
+  }
+
+  const byIndex = typeof selector === 'number' || /^\d+$/.test(selector) ? workbook.worksheets[Number(selector)] : undefined;
+  const worksheet = workbook.getWorksheet(String(selector)) ||
+    workbook.worksheets.find(sheet => sheet.name.toLowerCase() === String(selector).toLowerCase()) ||
+    byIndex;
+
+  if (!worksheet) {
+    throw new Error(`Sheet "${selector}" not found in template. Available sheets: ${workbook.worksheets.map(sheet => sheet.name).join(', ')}`);
+  }
+  return worksheet;
+}
+
+/**
+ * Resolves a start cell given as an address ("A6") or a defined name ("DataStart")
+ *
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Object} worksheet - Default worksheet for plain addresses
+ * @param {string} startCell - Cell address or defined name
+ * @returns {Object} `{ worksheet, row, col }`
+ */
+function resolveStartCell(workbook, worksheet, startCell) {
+  const address = parseCellAddress(startCell);
+  if (address) {
+    return { worksheet, ...address };
+  }
+
+  const definedName = workbook.definedNames.getRanges(startCell);
+  const reference = definedName && definedName.ranges && definedName.ranges[0];
+  if (!reference) {
+    throw new Error(`Start cell "${startCell}" is neither a cell address nor a defined name in the template`);
+  }
+
+  // References look like 'Sheet Name'!$A$6 or Sheet!$A$6:$K$6 (the first cell is used)
+  const match = reference.match(/^'?(.+?)'?!(\$?[A-Za-z]+\$?\d+)/);
+  const target = match && parseCellAddress(match[2]);
+  if (!target) {
+    throw new Error(`Defined name "${startCell}" does not refer to a cell (${reference})`);
+  }
+
+  return { worksheet: selectWorksheet(workbook, match[1]), ...target };
+}
+
+/**
+ * Finds the row of a worksheet that contains most of the template headers
+ *
+ * @param {Object} worksheet - ExcelJS worksheet
+ * @param {Array} headers - Template headers
+ * @returns {number} 1-based row number (1 if nothing matches)
+ */
+function findHeaderRowNumber(worksheet, headers) {
+  const wanted = new Set(headers.map(header => String(header).trim()));
+  let bestRow = 1;
+  let bestMatches = 0;
+
+  for (let rowNumber = 1; rowNumber <= Math.min(HEADER_SCAN_ROWS, worksheet.rowCount); rowNumber++) {
+    let matches = 0;
+    worksheet.getRow(rowNumber).eachCell(cell => {
+      if (wanted.has(String(cell.text).trim())) matches++;
+    });
+    if (matches > bestMatches) {
+      bestRow = rowNumber;
+      bestMatches = matches;
+    }
+  }
+
+  return bestRow;
+}
+
+/**
+ * Writes mapped rows into a copy of an Excel template
+ *
+ * Without a start cell, each value goes into the column whose header cell
+ * matches the template header, starting on the row below the header row.
+ * With a start cell (address or defined name), values are written in
+ * template header order from that cell onwards. Cell styles and validation
+ * lists of the first target row (e.g. a pre-formatted sample row) are copied
+ * to every written row.
+ *
+ * @param {string} templateFilePath - Path to the .xlsx template
+ * @param {string} outputFilePath - Path of the .xlsx file to write
+ * @param {Array} headers - Template headers, in the order of the row values
+ * @param {Array} rows - Mapped rows (arrays aligned with the headers)
+ * @param {Object} [options={}] - Placement options
+ * @param {string|number} [options.sheet] - Template sheet name or index (default: first sheet)
+ * @param {number} [options.headerRow] - 1-based header row (default: detected from the headers)
+ * @param {string} [options.startCell] - Cell address or defined name of the first data cell
+ * @param {Array} [options.formats] - Excel number format per header (null keeps the template's format)
+ * @returns {Promise<Object>} `{ sheetName, startRow, rowsWritten }`
+ */
+async function writeIntoTemplate(templateFilePath, outputFilePath, headers, rows, options = {}) {
+  if (path.extname(templateFilePath).toLowerCase() !== '.xlsx' || path.extname(outputFilePath).toLowerCase() !== '.xlsx') {
+    throw new Error('Writing into the template requires an .xlsx template and an .xlsx output file');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(templateFilePath);
+
+  let worksheet = selectWorksheet(workbook, options.sheet);
+  let startRow;
+  let columns; // 1-based target column per header (null = not written)
+
+  if (options.startCell) {
+    const start = resolveStartCell(workbook, worksheet, options.startCell);
+    worksheet = start.worksheet;
+    startRow = start.row;
+    columns = headers.map((header, index) => start.col + index);
+  } else {
+    const headerRow = options.headerRow || findHeaderRowNumber(worksheet, headers);
+    const headerColumns = {};
+    worksheet.getRow(headerRow).eachCell((cell, colNumber) => {
+      const text = String(cell.text).trim();
+      if (text && !(text in headerColumns)) headerColumns[text] = colNumber;
+    });
+
+    columns = headers.map(header => {
+      const col = headerColumns[String(header).trim()];
+      if (!col) {
+        logger.warn(`Warning: Template header "${header}" not found in row ${headerRow} of sheet "${worksheet.name}"; column not written`);
+      }
+      return col || null;
+    });
+    startRow = headerRow + 1;
+  }
+
+  // Styles and validation lists of the first target row are reused for all written rows
+  const styleRow = worksheet.getRow(startRow);
+  const columnStyles = columns.map(col => (col ? { ...styleRow.getCell(col).style } : null));
+  const columnValidations = columns.map(col => (col ? styleRow.getCell(col).dataValidation : null));
+  const rowHeight = styleRow.height;
+
+  rows.forEach((values, rowOffset) => {
+    const excelRow = worksheet.getRow(startRow + rowOffset);
+    if (rowHeight) {
+      excelRow.height = rowHeight;
+    }
+
+    columns.forEach((col, index) => {
+      if (!col) return;
+      const cell = excelRow.getCell(col);
+      const value = values[index];
+      cell.value = value === undefined || value === '' ? null : value;
+      if (rowOffset > 0) {
+        cell.style = { ...columnStyles[index] };
+        if (columnValidations[index]) {
+          cell.dataValidation = { ...columnValidations[index] };
+        }
+      }
+      if (options.formats && options.formats[index]) {
+        cell.numFmt = options.formats[index];
+      }
+    });
+  });
+
+  await workbook.xlsx.writeFile(outputFilePath);
+
+  return {
+    sheetName: worksheet.name,
+    startRow,
+    rowsWritten: rows.length
+  };
+}
+
+module.exports = {
+  writeIntoTemplate,
+  parseCellAddress
+};
@@ -0,0 +1,425 @@
+/**
+ * Text Encoding and CSV Format Detection
+ *
+ * CSV files from Excel users come in more than one encoding (UTF-8 with or
+ * without BOM, UTF-16, Windows-1252) and with different delimiters. This
+ * module reads them as text, detecting what the config leaves open:
+ *
+ *   "csvOptions": {
+ *     "encoding": "auto",     - Or any encoding name, e.g. "windows-1252", "utf-16le"
+ *     "delimiter": "auto",    - Or ",", ";", "\t", ... (also detected when not set)
+ *     "quoteChar": "auto"     - Or '"' / "'" (also detected when not set)
+ *   }
+ *
+ * and writes text files in the encoding chosen for the output, with or
+ * without a byte order mark (BOM):
+ *
+ *   "output": { "encoding": "windows-1252", "bom": false }
+ */
+
+const fs = require('fs');
+const { Transform } = require('stream');
+const logger = require('./logger');
+
+// Bytes read from the start of a file to detect its encoding and format
+const SAMPLE_SIZE = 64 * 1024;
+
+// Delimiters detection chooses from, preferred first when equally good
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Records compared when detecting the delimiter
+const DELIMITER_SAMPLE_RECORDS = 50;
+
+// Encodings text output can be written in
+const OUTPUT_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+
+// Byte order marks by encoding
+const BOMS = {
+  'utf-8': Buffer.from([0xef, 0xbb, 0xbf]),
+  'utf-16le': Buffer.from([0xff, 0xfe]),
+  'utf-16be': Buffer.from([0xfe, 0xff])
+};
+
+// Windows-1252 characters that are not Latin-1 (bytes 0x80 to 0x9F), for encoding
+const WINDOWS_1252_BYTES = new Map();
+const windows1252 = new TextDecoder('windows-1252');
+for (let byte = 0x80; byte <= 0x9f; byte++) {
+  const char = windows1252.decode(Buffer.from([byte]));
+  if (char.charCodeAt(0) !== byte) {
+    WINDOWS_1252_BYTES.set(char, byte);
+  }
+}
+
+/**
+ * Tells whether a CSV option is left to detection
+ *
+ * @param {*} value - Option value from the config
+ * @returns {boolean} True for unset, empty and "auto"
+ */
+function isAuto(value) {
+  return value === undefined || value === null || value === '' || value === 'auto';
+}
+
+/**
+ * Turns an encoding name into its standard name ("utf8" -> "utf-8", "latin1" -> "windows-1252")
+ *
+ * @param {string} name - Encoding name
+ * @returns {string} Standard name of the encoding
+ * @throws {Error} If the encoding is not supported
+ */
+function normalizeEncoding(name) {
+  try {
+    return new TextDecoder(String(name).trim()).encoding;
+  } catch (error) {
+    throw new Error(`Unsupported encoding "${name}"`);
+  }
+}
+
+/**
+ * Detects the encoding of a file from its first bytes
+ *
+ * @param {Buffer} buffer - Start of the file (or all of it)
+ * @param {boolean} [complete=true] - False if the buffer stops before the end of the file
+ * @returns {Object} `{ encoding, bom }`: "utf-8", "utf-16le", "utf-16be" or "windows-1252", and whether a BOM was found
+ */
+function detectEncoding(buffer, complete = true) {
+  const found = Object.keys(BOMS).find(encoding => buffer.subarray(0, BOMS[encoding].length).equals(BOMS[encoding]));
+  if (found) {
+    return { encoding: found, bom: true };
+  }
+
+  // UTF-16 without BOM: mostly ASCII text has a zero in every other byte
+  const sample = buffer.subarray(0, SAMPLE_SIZE);
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs > 0) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+      if (sample[i] === 0) evenZeros++;
+      if (sample[i + 1] === 0) oddZeros++;
+    }
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return { encoding: 'utf-16le', bom: false };
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return { encoding: 'utf-16be', bom: false };
+  }
+
+  // Anything that is not valid UTF-8 is taken for the Windows (ANSI) code page Excel uses
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: !complete || sample.length < buffer.length });
+    return { encoding: 'utf-8', bom: false };
+  } catch (error) {
+    return { encoding: 'windows-1252', bom: false };
+  }
+}
+
+/**
+ * Picks the encoding of a file: the configured one, or the detected one
+ *
+ * @param {Buffer} buffer - Start of the file (or all of it)
+ * @param {string} [configured] - Encoding from the config ("auto" or unset: detect)
+ * @param {boolean} [complete=true] - False if the buffer stops before the end of the file
+ * @returns {Object} `{ encoding, bom, detected }`
+ */
+function resolveEncoding(buffer, configured, complete = true) {
+  if (isAuto(configured)) {
+    return { ...detectEncoding(buffer, complete), detected: true };
+  }
+  const encoding = normalizeEncoding(configured);
+  const bom = Boolean(BOMS[encoding]) && buffer.subarray(0, BOMS[encoding].length).equals(BOMS[encoding]);
+  return { encoding, bom, detected: false };
+}
+
+/**
+ * Detects the quote character of CSV text from the fields it encloses
+ *
+ * @param {string} text - CSV text (or its start)
+ * @param {string} delimiter - Delimiter of the text
+ * @returns {string} `"` or `'`
+ */
+function detectQuoteChar(text, delimiter) {
+  const sep = delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const enclosed = quote => (text.match(new RegExp(`(^|${sep}|\\n)${quote}[^${quote}\\r\\n]*${quote}(?=${sep}|\\r|\\n|$)`, 'g')) || []).length;
+  return enclosed("'") > enclosed('"') ? "'" : '"';
+}
+
+/**
+ * Counts the delimiter candidates in each record of CSV text, outside quoted fields
+ *
+ * @param {string} text - CSV text (or its start)
+ * @param {string} quoteChar - Quote character of the text
+ * @param {boolean} cut - Whether the text is cut off (its last record is then left out)
+ * @returns {Array} Per non-empty record an object of counts keyed by candidate
+ */
+function countDelimiters(text, quoteChar, cut) {
+  const records = [];
+  let counts = {};
+  let empty = true;
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length && records.length < DELIMITER_SAMPLE_RECORDS; i++) {
+    const char = text[i];
+    if (char === quoteChar) {
+      inQuotes = !inQuotes; // A doubled quote toggles twice
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      if (!empty) {
+        records.push(counts);
+      }
+      counts = {};
+      empty = true;
+      continue;
+    } else if (!inQuotes && DELIMITER_CANDIDATES.includes(char)) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+    empty = false;
+  }
+  if (!empty && !cut && records.length < DELIMITER_SAMPLE_RECORDS) {
+    records.push(counts);
+  }
+  return records;
+}
+
+/**
+ * Detects the delimiter of CSV text from how consistently each candidate appears
+ *
+ * A candidate is consistent when it appears the same number of times in
+ * every record; of those, the one that splits records into the most fields
+ * wins. Without a consistent candidate, the one appearing the same number of
+ * times in the most records is used (or "," if none appears) and a warning
+ * is logged.
+ *
+ * @param {string} text - CSV text (or its start)
+ * @param {string} quoteChar - Quote character of the text
+ * @param {boolean} [cut=false] - Whether the text is cut off
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text, quoteChar, cut = false) {
+  const records = countDelimiters(text, quoteChar, cut);
+  const scores = DELIMITER_CANDIDATES.map(candidate => {
+    const counts = records.map(record => record[candidate] || 0);
+    const frequency = new Map();
+    counts.filter(count => count > 0).forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+    return {
+      candidate,
+      consistent: counts.length > 0 && counts[0] > 0 && counts.every(count => count === counts[0]),
+      fields: counts.length > 0 ? counts[0] + 1 : 0,
+      steady: Math.max(0, ...frequency.values())
+    };
+  });
+
+  const best = (a, b) => (b.fields > a.fields ? b : a);
+  const consistent = scores.filter(score => score.consistent);
+  if (consistent.length > 0) {
+    return consistent.reduce(best).candidate;
+  }
+
+  const fallback = scores.reduce((a, b) => (b.steady > a.steady ? b : a));
+  const delimiter = fallback.steady > 0 ? fallback.candidate : ',';
+  logger.warn(`Warning: No delimiter appears consistently in the CSV records; using ${JSON.stringify(delimiter)}. Set csvOptions.delimiter if this is wrong`);
+  return delimiter;
+}
+
+/**
+ * Detects the delimiter and quote character of CSV text the config leaves open
+ *
+ * @param {string} text - CSV text (or its start)
+ * @param {Object} [csvOptions={}] - CSV options of the config
+ * @returns {Object} `{ delimiter, quoteChar, detected }`, `detected` listing the options that were detected
+ */
+function detectCsvFormat(text, csvOptions = {}) {
+  const sample = text.slice(0, SAMPLE_SIZE);
+  const detected = [];
+  let { delimiter, quoteChar } = csvOptions;
+
+  if (isAuto(delimiter)) {
+    delimiter = detectDelimiter(sample, isAuto(quoteChar) ? '"' : quoteChar, text.length > sample.length);
+    detected.push('delimiter');
+  }
+  if (isAuto(quoteChar)) {
+    quoteChar = detectQuoteChar(sample, delimiter);
+    detected.push('quoteChar');
+  }
+  return { delimiter, quoteChar, detected };
+}
+
+/**
+ * Reads a CSV file as text, detecting its encoding, delimiter and quote character
+ *
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} [csvOptions={}] - CSV options of the config (`encoding`, `delimiter`, `quoteChar`, ...)
+ * @returns {Object} `{ text, format, csvOptions }`: the text without BOM, the format found
+ *                   (`{ encoding, bom, delimiter, quoteChar, detected }`) and the CSV options for Papa
+ *                   with the detected values filled in
+ */
+function readCsvFile(filePath, csvOptions = {}) {
+  const buffer = fs.readFileSync(filePath);
+  const { encoding, bom, detected } = resolveEncoding(buffer, csvOptions.encoding);
+  const text = new TextDecoder(encoding).decode(buffer); // Drops the BOM
+
+  return { text, ...describeCsvFile({ encoding, bom, detected }, detectCsvFormat(text, csvOptions), csvOptions) };
+}
+
+/**
+ * Reads a text file (JSON, XML, fixed-width records, ...), detecting its encoding
+ *
+ * @param {string} filePath - Path to the file
+ * @param {string} [encoding] - Encoding from the config ("auto" or unset: detect)
+ * @returns {Object} `{ text, encoding, bom, detected }`: the text without BOM and the encoding found
+ */
+function readTextFile(filePath, encoding) {
+  const buffer = fs.readFileSync(filePath);
+  const info = resolveEncoding(buffer, encoding);
+  return { text: new TextDecoder(info.encoding).decode(buffer), ...info };
+}
+
+/**
+ * Detects the format of a CSV file from its start, without reading all of it
+ *
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} [csvOptions={}] - CSV options of the config
+ * @returns {Object} `{ format, csvOptions }` as for readCsvFile
+ */
+function readCsvFormat(filePath, csvOptions = {}) {
+  const fd = fs.openSync(filePath, 'r');
+  let head;
+  try {
+    head = Buffer.alloc(Math.min(SAMPLE_SIZE, fs.fstatSync(fd).size));
+    fs.readSync(fd, head, 0, head.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const complete = head.length < SAMPLE_SIZE;
+  const { encoding, bom, detected } = resolveEncoding(head, csvOptions.encoding, complete);
+  const format = detectCsvFormat(new TextDecoder(encoding).decode(head, { stream: !complete }), csvOptions);
+  return describeCsvFile({ encoding, bom, detected }, format, csvOptions);
+}
+
+/**
+ * Opens a text file as a stream of strings
+ *
+ * @param {string} filePath - Path to the file
+ * @param {string} [encoding='utf-8'] - Encoding of the file (a BOM is dropped)
+ * @returns {Object} Readable stream of strings, as Papa expects
+ */
+function createTextStream(filePath, encoding = 'utf-8') {
+  const decoder = new TextDecoder(encoding);
+  const decode = new Transform({
+    readableObjectMode: true,
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+  const source = fs.createReadStream(filePath);
+  source.on('error', error => decode.destroy(error));
+  return source.pipe(decode);
+}
+
+/**
+ * Combines the encoding and format found for a CSV file
+ *
+ * @param {Object} encodingInfo - `{ encoding, bom, detected }` (see resolveEncoding)
+ * @param {Object} format - `{ delimiter, quoteChar, detected }` (see detectCsvFormat)
+ * @param {Object} csvOptions - CSV options of the config
+ * @returns {Object} `{ format, csvOptions }`: the format for stats, and the options for Papa with the
+ *                   detected delimiter and quote character (and without `encoding`, which Papa uses for browser files)
+ */
+function describeCsvFile(encodingInfo, format, csvOptions) {
+  const options = { ...csvOptions, delimiter: format.delimiter, quoteChar: format.quoteChar };
+  delete options.encoding;
+  return {
+    format: {
+      encoding: encodingInfo.encoding,
+      bom: encodingInfo.bom,
+      delimiter: format.delimiter,
+      quoteChar: format.quoteChar,
+      detected: [...(encodingInfo.detected ? ['encoding'] : []), ...format.detected]
+    },
+    csvOptions: options
+  };
+}
+
+/**
+ * Encodes text for a file
+ *
+ * @param {string} text - Text to encode
+ * @param {string} [encoding='utf-8'] - One of OUTPUT_ENCODINGS
+ * @returns {Buffer} Encoded text; characters Windows-1252 cannot hold become "?"
+ */
+function encodeText(text, encoding = 'utf-8') {
+  switch (encoding) {
+    case 'utf-8':
+      return Buffer.from(text, 'utf8');
+    case 'utf-16le':
+      return Buffer.from(text, 'utf16le');
+    case 'utf-16be':
+      return Buffer.from(text, 'utf16le').swap16();
+    case 'windows-1252': {
+      const bytes = Buffer.alloc(text.length);
+      let length = 0;
+      for (const char of text) {
+        const code = char.codePointAt(0);
+        bytes[length++] = WINDOWS_1252_BYTES.has(char) ? WINDOWS_1252_BYTES.get(char) : code < 0x100 && (code < 0x80 || code > 0x9f) ? code : 0x3f;
+      }
+      return bytes.subarray(0, length);
+    }
+    default:
+      throw new Error(`Cannot write text as "${encoding}". Supported encodings: ${OUTPUT_ENCODINGS.join(', ')}`);
+  }
+}
+
+/**
+ * Resolves the encoding settings of a text output
+ *
+ * @param {Object} [outputOptions={}] - `output` section of the config (`encoding`, `bom`)
+ * @returns {Object} `{ encoding, bom }` (default UTF-8 without BOM)
+ */
+function resolveOutputEncoding(outputOptions = {}) {
+  const encoding = outputOptions.encoding ? normalizeEncoding(outputOptions.encoding) : 'utf-8';
+  if (!OUTPUT_ENCODINGS.includes(encoding)) {
+    throw new Error(`Cannot write text as "${outputOptions.encoding}". Supported encodings: ${OUTPUT_ENCODINGS.join(', ')}`);
+  }
+  return { encoding, bom: Boolean(outputOptions.bom) && Boolean(BOMS[encoding]) };
+}
+
+/**
+ * Returns the bytes that start a text output (its BOM, if any)
+ *
+ * @param {Object} target - `{ encoding, bom }` from resolveOutputEncoding
+ * @returns {Buffer} The BOM, or an empty buffer
+ */
+function outputPreamble(target) {
+  return target.bom ? BOMS[target.encoding] : Buffer.alloc(0);
+}
+
+/**
+ * Writes a text file in the encoding of an output
+ *
+ * @param {string} filePath - Path of the file
+ * @param {string} text - Content
+ * @param {Object} [target={}] - `{ encoding, bom }` (see resolveOutputEncoding)
+ */
+function writeTextFile(filePath, text, target = {}) {
+  const { encoding, bom } = resolveOutputEncoding(target);
+  fs.writeFileSync(filePath, Buffer.concat([outputPreamble({ encoding, bom }), encodeText(text, encoding)]));
+}
+
+module.exports = {
+  readCsvFile,
+  readCsvFormat,
+  readTextFile,
+  createTextStream,
+  detectEncoding,
+  detectCsvFormat,
+  normalizeEncoding,
+  resolveOutputEncoding,
+  outputPreamble,
+  encodeText,
+  writeTextFile,
+  isAuto,
+  OUTPUT_ENCODINGS
+};
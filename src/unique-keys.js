@@ -0,0 +1,339 @@
+/**
+ * Unique Keys
+ *
+ * This module checks that keys are unique, on input rows or on mapped output
+ * rows, and resolves duplicates as the config's `uniqueKeys` section says:
+ *
+ *   "uniqueKeys": [
+ *     {
+ *       "columns": ["customer_no", "branch"],            - One or more columns (composite key)
+ *       "normalize": ["trim", "caseFold", "stripLeadingZeros"],
+ *       "on": "input",                                   - input (default) | output
+ *       "onDuplicate": "keepFirst"                       - report | keepFirst | keepLast | merge | rejectAll
+ *     }
+ *   ]
+ *
+ * Values are compared after the `normalize` steps, in the order listed:
+ * `trim`, `collapseWhitespace` (runs of whitespace become one space),
+ * `caseFold`, `stripLeadingZeros` (before a digit, "007" becomes "7"),
+ * `nfc` and `nfkc` (Unicode normalization). Rows with an empty key column
+ * are not checked.
+ *
+ * `report` (the default) only lists duplicates. `keepFirst` and `keepLast`
+ * keep one row per key, `merge` keeps the first row with its empty cells
+ * filled from the later rows, and `rejectAll` drops every row of a
+ * duplicated key as a row with errors (see ./error-policy.js).
+ *
+ * Each of the config's `idColumns` is a single-column key on the input,
+ * compared exactly and only reported.
+ */
+
+// Normalization steps by name
+const NORMALIZERS = {
+  trim: value => value.trim(),
+  collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+  caseFold: value => value.toLowerCase(),
+  stripLeadingZeros: value => value.replace(/^0+(?=\d)/, ''),
+  nfc: value => value.normalize('NFC'),
+  nfkc: value => value.normalize('NFKC')
+};
+
+// What happens to rows with the same key
+const DUPLICATE_POLICIES = ['report', 'keepFirst', 'keepLast', 'merge', 'rejectAll'];
+
+// Rows the key applies to
+const KEY_TARGETS = ['input', 'output'];
+
+/**
+ * Checks whether a cell is empty
+ *
+ * @param {*} value - Cell value
+ * @returns {boolean} True for undefined, null and empty text
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Converts a cell value to the text keys are built from
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Text of the value
+ */
+function valueText(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '' : value.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Applies normalization steps to one value
+ *
+ * @param {*} value - Cell value
+ * @param {Array} [steps=[]] - Names of the steps (see NORMALIZERS)
+ * @returns {string} Normalized text
+ */
+function normalizeKeyValue(value, steps = []) {
+  return steps.reduce((text, step) => NORMALIZERS[step](text), valueText(value));
+}
+
+/**
+ * Compiles the key definitions of a config
+ *
+ * @param {Array|string} [idColumns=[]] - The config's `idColumns` (input columns, each a key of its own)
+ * @param {Array} [uniqueKeys=[]] - The config's `uniqueKeys` section
+ * @returns {Array} Keys `{ columns, label, on, normalize, onDuplicate }`, `idColumns` first
+ * @throws {Error} If a key has no columns, or an unknown normalization step, target or policy
+ */
+function compileUniqueKeys(idColumns = [], uniqueKeys = []) {
+  const idKeys = [].concat(idColumns || []).map(column => ({ columns: [column] }));
+
+  return [...idKeys, ...(uniqueKeys || [])].map((keyDef, index) => {
+    const columns = [].concat(keyDef.columns || []);
+    if (columns.length === 0) {
+      throw new Error(`Unique key ${index + 1} has no columns`);
+    }
+    const normalize = [].concat(keyDef.normalize || []);
+    const unknownStep = normalize.find(step => !Object.prototype.hasOwnProperty.call(NORMALIZERS, step));
+    if (unknownStep !== undefined) {
+      throw new Error(`Unknown normalization "${unknownStep}" for key ${columns.join('+')}. Use one of: ${Object.keys(NORMALIZERS).join(', ')}`);
+    }
+    const on = keyDef.on || 'input';
+    if (!KEY_TARGETS.includes(on)) {
+      throw new Error(`Unknown target "${on}" for key ${columns.join('+')}. Use one of: ${KEY_TARGETS.join(', ')}`);
+    }
+    const onDuplicate = keyDef.onDuplicate || 'report';
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      throw new Error(`Unknown duplicate policy "${onDuplicate}" for key ${columns.join('+')}. Use one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    return { columns, label: columns.join('+'), on, normalize, onDuplicate };
+  });
+}
+
+/**
+ * Reads the key of one row
+ *
+ * @param {Object} row - Row keyed by column
+ * @param {Object} key - Compiled key (see compileUniqueKeys)
+ * @returns {Object|null} `{ id, value }`: the normalized key to compare and the values as written
+ *   (" | " between the columns of a composite key), or null if a key column is empty
+ */
+function readKey(row, key) {
+  const values = key.columns.map(column => row[column]);
+  if (values.some(isEmpty)) {
+    return null;
+  }
+  const parts = values.map(value => normalizeKeyValue(value, key.normalize));
+  if (parts.some(part => part === '')) {
+    return null;
+  }
+  return {
+    id: parts.length === 1 ? parts[0] : JSON.stringify(parts),
+    value: values.map(valueText).join(' | ')
+  };
+}
+
+/**
+ * Describes a key for messages
+ *
+ * @param {Object} key - Compiled key
+ * @returns {string} `column "id"` or `columns "customer_no", "branch"`
+ */
+function describeKey(key) {
+  return key.columns.length === 1
+    ? `column "${key.columns[0]}"`
+    : `columns ${key.columns.map(column => `"${column}"`).join(', ')}`;
+}
+
+/**
+ * Creates an incremental checker for unique keys
+ *
+ * Rows are fed one at a time, so the check also works while streaming input
+ * without holding all rows in memory.
+ *
+ * @param {Array} keys - Compiled keys (see compileUniqueKeys)
+ * @returns {Object} Tracker with `add(row, index)` and `results()`
+ */
+function createKeyTracker(keys) {
+  // Per key: first row number and value per normalized key, and duplicates found so far
+  const keyState = keys.map(key => ({ key, seen: new Map(), duplicates: [] }));
+
+  /**
+   * Checks one row against the keys seen so far
+   *
+   * @param {Object} row - Row keyed by column
+   * @param {number} index - 0-based index of the row
+   */
+  function add(row, index) {
+    keyState.forEach(({ key, seen, duplicates }) => {
+      const rowKey = readKey(row, key);
+      if (!rowKey) {
+        return;
+      }
+
+      // Add 2 for CSV consistency: +1 for 0-indexing, +1 for header row
+      const rowNum = index + 2;
+
+      const first = seen.get(rowKey.id);
+      if (first) {
+        first.rows.push(rowNum);
+        duplicates.push({
+          value: rowKey.value,
+          rows: [...first.rows],
+          ...(rowKey.value !== first.value ? { matches: first.value } : {})
+        });
+      } else {
+        seen.set(rowKey.id, { value: rowKey.value, rows: [rowNum] });
+      }
+    });
+  }
+
+  /**
+   * Builds the validation results for all rows added so far
+   *
+   * @returns {Object} `{ isValid, duplicates, validationMessages }`; per key with duplicates
+   *   `{ column, columns, on, onDuplicate, duplicateValues: [{ value, rows, matches }] }`
+   */
+  function results() {
+    const validationResults = {
+      isValid: true,
+      duplicates: [],
+      validationMessages: []
+    };
+
+    keyState.forEach(({ key, duplicates }) => {
+      if (duplicates.length === 0) {
+        return;
+      }
+
+      validationResults.isValid = false;
+      validationResults.duplicates.push({
+        column: key.label,
+        columns: key.columns,
+        on: key.on,
+        onDuplicate: key.onDuplicate,
+        duplicateValues: duplicates
+      });
+
+      const resolution = {
+        keepFirst: ' (first row kept)',
+        keepLast: ' (last row kept)',
+        merge: ' (rows merged)',
+        rejectAll: ' (rows rejected)'
+      }[key.onDuplicate] || '';
+      duplicates.forEach(dup => {
+        const matches = dup.matches !== undefined ? ` matching "${dup.matches}"` : '';
+        const where = key.on === 'output' ? 'output rows' : 'rows';
+        validationResults.validationMessages.push(
+          `Value "${dup.value}"${matches} in ${describeKey(key)} appears multiple times in ${where}: ${dup.rows.join(', ')}${resolution}`);
+      });
+    });
+
+    return validationResults;
+  }
+
+  return { add, results };
+}
+
+/**
+ * Combines the results of several key trackers
+ *
+ * @param {Array} findings - Results of createKeyTracker
+ * @returns {Object} One set of validation results (see createKeyTracker)
+ */
+function mergeKeyFindings(findings) {
+  return {
+    isValid: findings.every(result => result.isValid),
+    duplicates: findings.flatMap(result => result.duplicates),
+    validationMessages: findings.flatMap(result => result.validationMessages)
+  };
+}
+
+/**
+ * Fills the empty cells of a row from later rows with the same key
+ *
+ * @param {Array} rows - Rows keyed by column, first row first
+ * @returns {Object} Merged row (the first non-empty value per column wins)
+ */
+function mergeRows(rows) {
+  const merged = { ...rows[0] };
+  rows.slice(1).forEach(row => {
+    Object.entries(row).forEach(([column, value]) => {
+      if (isEmpty(merged[column]) && !isEmpty(value)) {
+        merged[column] = value;
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Resolves the duplicates of one key
+ *
+ * Kept rows stay in input order; a merged row takes the place of the first
+ * row of its key.
+ *
+ * @param {Array} rows - Rows keyed by column
+ * @param {Object} key - Compiled key (see compileUniqueKeys)
+ * @returns {Object} `{ kept, removed, rejected }`: kept rows as `{ index, row }` (index into `rows`),
+ *   the number of rows dropped, merged away or rejected, and the rows `rejectAll` dropped as
+ *   `{ index, row, others }` (indexes of the other rows with the key)
+ */
+function resolveDuplicates(rows, key) {
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const rowKey = readKey(row, key);
+    if (!rowKey) {
+      return;
+    }
+    if (!groups.has(rowKey.id)) {
+      groups.set(rowKey.id, []);
+    }
+    groups.get(rowKey.id).push(index);
+  });
+
+  const dropped = new Set();
+  const replaced = new Map();
+  const rejected = [];
+  groups.forEach(indexes => {
+    if (indexes.length < 2 || key.onDuplicate === 'report') {
+      return;
+    }
+    switch (key.onDuplicate) {
+      case 'keepFirst':
+        indexes.slice(1).forEach(index => dropped.add(index));
+        break;
+      case 'keepLast':
+        indexes.slice(0, -1).forEach(index => dropped.add(index));
+        break;
+      case 'merge':
+        replaced.set(indexes[0], mergeRows(indexes.map(index => rows[index])));
+        indexes.slice(1).forEach(index => dropped.add(index));
+        break;
+      case 'rejectAll':
+        indexes.forEach(index => {
+          dropped.add(index);
+          rejected.push({ index, row: rows[index], others: indexes.filter(other => other !== index) });
+        });
+        break;
+    }
+  });
+
+  const kept = rows
+    .map((row, index) => ({ index, row: replaced.has(index) ? replaced.get(index) : row }))
+    .filter(({ index }) => !dropped.has(index));
+  return { kept, removed: dropped.size, rejected };
+}
+
+module.exports = {
+  compileUniqueKeys,
+  createKeyTracker,
+  describeKey,
+  mergeKeyFindings,
+  normalizeKeyValue,
+  readKey,
+  resolveDuplicates,
+  DUPLICATE_POLICIES,
+  NORMALIZERS
+};
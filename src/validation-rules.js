@@ -0,0 +1,264 @@
+/**
+ * Column Validation Rules
+ *
+ * This module compiles the `validation` section of a mapping config into
+ * checks for input rows (keyed by input column) and output rows (keyed by
+ * template header), and writes the error report file.
+ *
+ *   "validation": {
+ *     "input": {
+ *       "email": { "required": true, "email": true }
+ *     },
+ *     "output": {
+ *       "CustomerID": { "required": true, "pattern": "^\\d{3}$" },
+ *       "Status": { "enum": ["Active", "Inactive"] },
+ *       "TotalOrders": { "min": 0, "max": 10000 },
+ *       "EmailAddress": { "required": true, "when": { "column": "Status", "equals": "Active" } }
+ *     },
+ *     "checks": [
+ *       { "check": "row => row['Status'] !== 'Active' || row['TotalOrders'] > 0", "column": "TotalOrders",
+ *         "message": "Active customers must have orders" }
+ *     ],
+ *     "report": "csv"
+ *   }
+ *
+ * Every failed rule becomes one error entry `{ row, source, column, value,
+ * rule, message }`, where `row` is the 1-based data row (header excluded).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { compileCondition } = require('./pipeline');
+const logger = require('./logger');
+
+// Rule keys of a column rule, in the order they are checked
+const COLUMN_RULES = ['required', 'pattern', 'enum', 'min', 'max', 'minLength', 'maxLength', 'email', 'date'];
+
+// Deliberately simple: one "@", no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Columns of the CSV error report
+const REPORT_COLUMNS = ['row', 'source', 'column', 'value', 'rule', 'message'];
+
+/**
+ * Checks whether a value counts as missing for `required`
+ *
+ * @param {*} value - Cell value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Builds a regular expression that matches dates written in a token pattern
+ *
+ * @param {string} format - Pattern such as "YYYY-MM-DD" or "DD.MM.YYYY"
+ * @returns {RegExp} Expression matching the whole value
+ */
+function datePatternToRegExp(format) {
+  const source = format
+    .split(/(YYYY|YY|MM|DD|HH|mm|ss)/)
+    .map(part => {
+      if (part === 'YYYY') return '\\d{4}';
+      if (/^(YY|MM|DD|HH|mm|ss)$/.test(part)) return '\\d{2}';
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compiles a single rule object for one column
+ *
+ * @param {Object} ruleDef - Rule object (see COLUMN_RULES, plus `when` and `message`)
+ * @param {string} column - Column the rule checks
+ * @param {string} label - Position in the config (for error messages)
+ * @returns {Function} `(row) => Array` of `{ column, value, rule, message }` for failed rules
+ */
+function compileColumnRule(ruleDef, column, label) {
+  const rules = COLUMN_RULES.filter(rule => ruleDef[rule] !== undefined && ruleDef[rule] !== false);
+  if (rules.length === 0) {
+    throw new Error(`Validation rule ${label} needs at least one of: ${COLUMN_RULES.join(', ')}`);
+  }
+
+  const applies = ruleDef.when ? compileCondition(ruleDef.when, `${label}.when`) : () => true;
+  let pattern = null;
+  if (ruleDef.pattern !== undefined) {
+    try {
+      pattern = new RegExp(ruleDef.pattern);
+    } catch (error) {
+      throw new Error(`Validation rule ${label}: ${error.message}`);
+    }
+  }
+  const allowed = Array.isArray(ruleDef.enum) ? ruleDef.enum.map(String) : null;
+  const dateFormat = typeof ruleDef.date === 'string' ? datePatternToRegExp(ruleDef.date) : null;
+
+  // Each check returns an error message or null
+  const checks = {
+    required: value => (isEmpty(value) ? 'Value is required' : null),
+    pattern: value => (pattern.test(String(value)) ? null : `Does not match ${ruleDef.pattern}`),
+    enum: value => (allowed.includes(String(value)) ? null : `Must be one of: ${allowed.join(', ')}`),
+    min: value => (Number(value) >= ruleDef.min ? null : `Must be at least ${ruleDef.min}`),
+    max: value => (Number(value) <= ruleDef.max ? null : `Must be at most ${ruleDef.max}`),
+    minLength: value => (String(value).length >= ruleDef.minLength ? null : `Must be at least ${ruleDef.minLength} characters long`),
+    maxLength: value => (String(value).length <= ruleDef.maxLength ? null : `Must be at most ${ruleDef.maxLength} characters long`),
+    email: value => (EMAIL_PATTERN.test(String(value).trim()) ? null : 'Not a valid email address'),
+    date: value => {
+      if (value instanceof Date) {
+        return isNaN(value.getTime()) ? 'Not a valid date' : null;
+      }
+      if (dateFormat) {
+        return dateFormat.test(String(value).trim()) ? null : `Not a date in format ${ruleDef.date}`;
+      }
+      return isNaN(new Date(String(value).trim()).getTime()) ? 'Not a valid date' : null;
+    }
+  };
+
+  return row => {
+    if (!applies(row)) {
+      return [];
+    }
+
+    const value = row[column];
+    return rules
+      // Only `required` looks at empty values; the other rules skip them
+      .filter(rule => rule === 'required' || !isEmpty(value))
+      .map(rule => ({ rule, message: checks[rule](value) }))
+      .filter(result => result.message !== null)
+      .map(result => ({ column, value, rule: result.rule, message: ruleDef.message || result.message }));
+  };
+}
+
+/**
+ * Compiles the column rules of one side (input or output)
+ *
+ * @param {Object} [columnDefs={}] - Rule object or list of rule objects per column
+ * @param {string} side - "input" or "output"
+ * @returns {Array} Compiled rules
+ */
+function compileColumnRules(columnDefs = {}, side) {
+  return Object.entries(columnDefs).flatMap(([column, ruleDefs]) => [].concat(ruleDefs)
+    .map((ruleDef, index) => compileColumnRule(ruleDef, column,
+      Array.isArray(ruleDefs) ? `${side}.${column}[${index}]` : `${side}.${column}`)));
+}
+
+/**
+ * Compiles the `validation` section of a config
+ *
+ * @param {Object} [validationDef={}] - Validation section
+ * @param {Function} compileFunction - Compiles a function string `(source, label) => Function`
+ * @returns {Object} `{ validateInput(row, rowIndex), validateOutput(row, rowIndex), hasInput, hasOutput, report }`
+ */
+function compileValidation(validationDef = {}, compileFunction) {
+  const rules = {
+    input: compileColumnRules(validationDef.input, 'input'),
+    output: compileColumnRules(validationDef.output, 'output')
+  };
+
+  // Function checks: a falsy result or a returned string (used as message) fails the row
+  (validationDef.checks || []).forEach((checkDef, index) => {
+    const label = `checks[${index}]`;
+    const fn = compileFunction(checkDef.check, `validation:${label}`);
+    const side = checkDef.on || 'output';
+    const column = checkDef.column || '';
+
+    rules[side].push((row, rowIndex) => {
+      let result;
+      try {
+        result = fn(row, rowIndex);
+      } catch (error) {
+        result = `Check ${label} threw: ${error.message}`;
+      }
+      if (result === true || (result && typeof result !== 'string')) {
+        return [];
+      }
+      return [{
+        column,
+        value: column ? row[column] : '',
+        rule: 'check',
+        message: typeof result === 'string' && result !== '' ? result : (checkDef.message || `Check ${label} failed`)
+      }];
+    });
+  });
+
+  // Runs all rules of one side against a row and numbers the resulting errors
+  const validate = side => (row, rowIndex) => rules[side]
+    .flatMap(rule => rule(row, rowIndex))
+    .map(error => ({ row: rowIndex + 1, source: side, ...error }));
+
+  return {
+    validateInput: validate('input'),
+    validateOutput: validate('output'),
+    hasInput: rules.input.length > 0,
+    hasOutput: rules.output.length > 0,
+    report: validationDef.report
+  };
+}
+
+/**
+ * Checks whether a validation section uses function strings
+ *
+ * @param {Object} [validationDef={}] - Validation section
+ * @returns {boolean} True if it has function checks
+ */
+function usesFunctions(validationDef = {}) {
+  return Array.isArray(validationDef.checks) && validationDef.checks.length > 0;
+}
+
+/**
+ * Works out where the error report of a run goes
+ *
+ * `true` or "csv" puts `<output name>.errors.csv` next to the output file,
+ * "json" does the same with JSON; an object can name the `file` (relative
+ * to the output folder) and the `format`.
+ *
+ * @param {boolean|string|Object} reportDef - `validation.report` setting or CLI override
+ * @param {string} outputFilePath - Path of the output file
+ * @returns {Object|null} `{ filePath, format }`, or null if no report is wanted
+ */
+function resolveReportTarget(reportDef, outputFilePath) {
+  if (!reportDef || !outputFilePath) {
+    return null;
+  }
+
+  const options = typeof reportDef === 'object' ? reportDef : { format: reportDef === true ? 'csv' : reportDef };
+  const format = options.format || (options.file && path.extname(options.file).toLowerCase() === '.json' ? 'json' : 'csv');
+  const outputDir = path.dirname(outputFilePath);
+  const filePath = options.file
+    ? path.resolve(outputDir, options.file)
+    : path.join(outputDir, `${path.basename(outputFilePath, path.extname(outputFilePath))}.errors.${format}`);
+
+  return { filePath, format };
+}
+
+/**
+ * Writes an error report as CSV or JSON
+ *
+ * @param {string} filePath - Path of the report file
+ * @param {Array} errors - Error entries `{ row, source, column, value, rule, message }`
+ * @param {string} [format='csv'] - "csv" or "json"
+ */
+function writeErrorReport(filePath, errors, format = 'csv') {
+  const entries = errors.map(error => ({
+    ...Object.fromEntries(REPORT_COLUMNS.map(column => [column, error[column] === undefined ? '' : error[column]])),
+    value: error.value instanceof Date ? error.value.toISOString() : (error.value === undefined ? '' : error.value)
+  }));
+
+  const content = format === 'json'
+    ? JSON.stringify(entries, null, 2)
+    : Papa.unparse({ fields: REPORT_COLUMNS, data: entries.map(entry => REPORT_COLUMNS.map(column => entry[column])) });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+  logger.info(`Error report (${errors.length} entries) saved to: ${filePath}`);
+}
+
+module.exports = {
+  compileValidation,
+  usesFunctions,
+  resolveReportTarget,
+  writeErrorReport,
+  COLUMN_RULES
+};